@@ -1,7 +1,11 @@
-const OpenAI = require("openai");
-const { supabase, OPENROUTER_API_KEY, NESTORIA_ENDPOINT } = require("./config");
+const { supabase, NESTORIA_ENDPOINT } = require("./config");
+const { chatCompletion, isAIUnavailable } = require("./llm");
+const { defineTool, runTool, toolSchemas } = require("./tools");
+const { STATES, setState, getState, peekState, clearState, pendingStates } = require("./dialog");
 const { normBase, queryDataset } = require("./rag");
 const { addReminder } = require("./reminder");
+const { parseRecurrence } = require("./recurrence");
+const { timezoneFor, setTimezone, parseWhen, formatWhen } = require("./timezone");
 const chrono = require("chrono-node");
 const {
   handleConnectIntent,
@@ -10,23 +14,11 @@ const {
 } = require("./match");
 const axios = require("axios");
 const uniportal = require("./uniportal");
+const events = require("./events");
+const { openHandover } = require("./handover");
 
-/* ============================
-   OpenAI Client (lazy)
-
-   Same reason as vectorstore.js: `new OpenAI()` throws without a key, and this
-   module is required by server.js, so constructing it eagerly crashed the
-   process at startup and no QR could ever be served.
-============================= */
-let _openai;
-function openaiClient() {
-  if (_openai) return _openai;
-  if (!OPENROUTER_API_KEY) {
-    throw new Error('OPENROUTER_API_KEY is not set \u2014 AI replies unavailable.');
-  }
-  _openai = new OpenAI({ apiKey: OPENROUTER_API_KEY }); // same env variable as requested
-  return _openai;
-}
+const AI_UNAVAILABLE_REPLY =
+  "🤖 I can't think straight right now — the AI service is unavailable. Please try again in a few minutes.";
 
 /* ============================
    Onboarding & App State
@@ -55,8 +47,6 @@ function createUserProfile() {
     onboardingStep: ONBOARDING_STEPS.NAME,
     lastInteraction: new Date(),
     conversationHistory: [],
-    lastRows: null,
-    lastOffset: 0,
   };
 }
 function extractTextFromMessage(message) {
@@ -76,6 +66,16 @@ function extractTextFromMessage(message) {
   }
   return null;
 }
+/** Onboarding answers so far, kept in dialog state until the user row exists. */
+async function saveOnboarding(userId, profile) {
+  const { onboardingStep, name, interests, goals, country } = profile;
+  // A timezone set mid-onboarding (timezone.js) lives in the same state.
+  const { timezone } = await restoreOnboarding(userId);
+  await setState(userId, STATES.ONBOARDING.kind, { onboardingStep, name, interests, goals, country, timezone });
+}
+async function restoreOnboarding(userId) {
+  return (await getState(userId, STATES.ONBOARDING.kind)) || {};
+}
 function validateUserId(userId) {
   if (!userId || typeof userId !== "string") throw new Error("Invalid userId");
   return userId;
@@ -143,14 +143,66 @@ async function updateUserInDB(userId, updates) {
   return data;
 }
 async function getConversationHistory(userId) {
+  // Newest first so the limit keeps the latest turns, not the very first ones;
+  // reversed back to chronological order for the prompt.
   const { data, error } = await supabase
     .from("conversations")
     .select("*")
     .eq("user_id", userId)
-    .order("created_at", { ascending: true })
-    .limit(20);
+    .order("created_at", { ascending: false })
+    .limit(HISTORY_LIMIT);
   if (error) throw error;
-  return data || [];
+  return (data || []).reverse();
+}
+async function saveConversation(userId, message, response) {
+  try {
+    const { error } = await supabase.from("conversations").insert([{
+      user_id: userId, message, response, created_at: new Date(),
+    }]);
+    if (error) throw error;
+  } catch (err) {
+    // A lost history row costs some context later; failing the reply costs the answer now.
+    console.error("Error saving conversation:", err.message || err);
+  }
+}
+
+/* ============================
+   Conversation memory
+   Recent exchanges go back into the prompt so a follow-up ("what about the
+   second one?") has something to refer to. The window is cut by an estimated
+   token budget, newest first, so one long course list can't crowd out the
+   question being asked.
+============================= */
+const HISTORY_LIMIT = 20;
+const HISTORY_TOKEN_BUDGET = 1500;
+const QUOTED_MAX_CHARS = 1000;
+
+/** Rough token count — ~4 characters per token is close enough for a budget. */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function historyMessages(history) {
+  const out = [];
+  let budget = HISTORY_TOKEN_BUDGET;
+  for (let i = (history || []).length - 1; i >= 0; i--) {
+    const { message, response } = history[i];
+    if (!message || !response) continue;
+    const cost = estimateTokens(message) + estimateTokens(response);
+    if (cost > budget) break;
+    budget -= cost;
+    out.unshift({ role: "user", content: message }, { role: "assistant", content: response });
+  }
+  return out;
+}
+
+async function recordExchange(userId, profile, message, response) {
+  if (!message || !response) return;
+  profile.conversationHistory = [
+    ...(profile.conversationHistory || []),
+    { message, response, created_at: new Date() },
+  ].slice(-HISTORY_LIMIT);
+  await saveConversation(userId, message, response);
 }
 
 /* ============================
@@ -267,20 +319,19 @@ const ACTION_LABELS = {
   send_message: (a) => `send this to your university:\n\n"${a.text}"`,
 };
 
-async function runStudentAction(jid, args) {
-  const action = args.action;
-
-  if (CONFIRM_REQUIRED.has(action)) {
-    stagePendingAction(jid, args);
-    const label = (ACTION_LABELS[action] || (() => action))(args);
-    return `⚠️ I'll ${label}\n\nReply *YES* to go ahead, or *CANCEL* to stop.`;
-  }
+function confirmationPrompt(args) {
+  const label = (ACTION_LABELS[args.action] || (() => args.action))(args);
+  return `⚠️ I'll ${label}\n\nReply *YES* to go ahead, or *CANCEL* to stop.`;
+}
 
+async function performStudentAction(jid, args) {
   try {
-    const result = await uniportal.act(jid, action, args);
-    return describeActionResult(action, args, result);
+    const result = await uniportal.act(jid, args.action, args);
+    events.emit("tool.action", jid, { tool: "studentAction", action: args.action, target: args.target ?? null });
+    if (args.action === "send_message") events.emit("escalation", jid, { via: "send_message", text: args.text });
+    return describeActionResult(args.action, args, result);
   } catch (err) {
-    console.error("student action failed:", action, err.message);
+    console.error("student action failed:", args.action, err.message);
     return `⚠️ ${err.message || "I couldn't do that."}`;
   }
 }
@@ -306,44 +357,26 @@ function describeActionResult(action, args, result) {
   }
 }
 
-/** Staged actions awaiting YES/CANCEL, alongside staged community posts. */
-const pendingActions = new Map();
-const PENDING_ACTION_TTL_MS = 10 * 60 * 1000;
-
-function stagePendingAction(jid, args) {
-  pendingActions.set(jid, { args, at: Date.now() });
-}
-
-function hasPendingAction(jid) {
-  const pending = pendingActions.get(jid);
-  if (!pending) return false;
-  if (Date.now() - pending.at > PENDING_ACTION_TTL_MS) {
-    pendingActions.delete(jid);
-    return false;
-  }
-  return true;
+/** Stage an action for YES/CANCEL. Expiry and persistence live in dialog.js. */
+async function stagePendingAction(jid, tool, args) {
+  await setState(jid, STATES.CONFIRM_ACTION.kind, { tool, args });
 }
 
 /** Settle a staged action. Returns a reply, or null if this was not an answer. */
-async function handlePendingAction(jid, text) {
-  if (!jid || !hasPendingAction(jid)) return null;
+async function settlePendingAction(jid, pending, text) {
   const answer = (text || "").trim().toLowerCase();
 
   if (answer === "cancel" || answer === "no") {
-    pendingActions.delete(jid);
+    await clearState(jid, STATES.CONFIRM_ACTION.kind);
     return "🚫 Cancelled — nothing was sent.";
   }
   if (answer !== "yes" && answer !== "confirm") return null;
 
-  const pending = pendingActions.get(jid);
-  pendingActions.delete(jid);
-  try {
-    const result = await uniportal.act(jid, pending.args.action, pending.args);
-    return describeActionResult(pending.args.action, pending.args, result);
-  } catch (err) {
-    console.error("confirmed action failed:", err.message);
-    return `⚠️ ${err.message || "That didn't go through."}`;
-  }
+  await clearState(jid, STATES.CONFIRM_ACTION.kind);
+  const outcome = await runTool(pending.tool, pending.args, { jid, linked: true, confirmed: true });
+  if (outcome.status === "ok") return outcome.output;
+  console.error("confirmed action failed:", outcome.message || outcome.status);
+  return "⚠️ That didn't go through.";
 }
 
 /** Answerable without a linked account — mirrors the server's own list. */
@@ -353,53 +386,32 @@ const LINK_REQUIRED_MESSAGE =
   "🔗 Connect your student account first — send: link your-university-email@example.ac.uk";
 
 /**
- * Posts staged for confirmation, keyed by jid. Held in memory on purpose: an
- * unconfirmed draft should not outlive a restart, and a stale one is better
- * lost than published later without the student meaning it.
+ * Posts staged for confirmation, keyed by jid and tied to the WhatsApp number
+ * they were staged on (dialog.js perSession). The state's short expiry is
+ * what keeps a stale draft from being published long after the student meant
+ * it; surviving a restart within that window is fine.
  */
-const pendingPosts = new Map();
-const PENDING_POST_TTL_MS = 10 * 60 * 1000;
-
-function stagePendingPost(jid, text, anonymous) {
-  pendingPosts.set(jid, { text, anonymous, at: Date.now() });
-}
-
-function takePendingPost(jid) {
-  const pending = pendingPosts.get(jid);
-  if (!pending) return null;
-  pendingPosts.delete(jid);
-  return Date.now() - pending.at > PENDING_POST_TTL_MS ? null : pending;
-}
-
-function hasPendingPost(jid) {
-  const pending = pendingPosts.get(jid);
-  if (!pending) return false;
-  if (Date.now() - pending.at > PENDING_POST_TTL_MS) {
-    pendingPosts.delete(jid);
-    return false;
-  }
-  return true;
+async function stagePendingPost(jid, text, anonymous) {
+  await setState(jid, STATES.CONFIRM_POST.kind, { text, anonymous });
 }
 
 /**
  * Handle POST/CANCEL for a staged community post. Returns a reply when the
  * message was a confirmation, or null to let normal handling continue.
  */
-async function handlePendingPost(jid, text) {
-  if (!jid || !hasPendingPost(jid)) return null;
+async function settlePendingPost(jid, pending, text) {
   const answer = (text || "").trim().toLowerCase();
 
   if (answer === "cancel" || answer === "no") {
-    pendingPosts.delete(jid);
+    await clearState(jid, STATES.CONFIRM_POST.kind);
     return "🗑️ Discarded — nothing was posted.";
   }
   if (answer !== "post" && answer !== "yes") return null;
 
-  const pending = takePendingPost(jid);
-  if (!pending) return "⌛ That draft expired. Tell me what you'd like to post and I'll draft it again.";
-
+  await clearState(jid, STATES.CONFIRM_POST.kind);
   try {
     await uniportal.postToCommunity(jid, pending.text, pending.anonymous);
+    events.emit("tool.action", jid, { tool: "postToCommunity", anonymous: Boolean(pending.anonymous), text: pending.text });
     return "✅ Posted to the community feed.";
   } catch (err) {
     console.error("community post failed:", err.message);
@@ -407,6 +419,55 @@ async function handlePendingPost(jid, text) {
   }
 }
 
+const CONFIRMATION_HANDLERS = {
+  [STATES.CONFIRM_POST.kind]: settlePendingPost,
+  [STATES.CONFIRM_ACTION.kind]: settlePendingAction,
+};
+
+/**
+ * What a late answer to each confirmation is told once it has expired but
+ * is not yet swept, rather than leave the model to guess what the "yes" was
+ * for.
+ */
+const EXPIRED_CONFIRMATIONS = {
+  [STATES.CONFIRM_POST.kind]: {
+    answers: new Set(["post", "yes", "cancel", "no"]),
+    reply: "⌛ That draft expired. Tell me what you'd like to post and I'll draft it again.",
+  },
+  [STATES.CONFIRM_ACTION.kind]: {
+    answers: new Set(["yes", "confirm", "cancel", "no"]),
+    reply: "⌛ That request expired, so nothing was done. Ask me again if you'd still like me to go ahead.",
+  },
+};
+
+/** The reply for a bare answer to the most recent expired confirmation, or null. */
+async function expiredConfirmationReply(jid, text, liveKinds) {
+  const answer = (text || "").trim().toLowerCase();
+  let latest = null;
+  for (const [kind, expired] of Object.entries(EXPIRED_CONFIRMATIONS)) {
+    if (liveKinds.has(kind) || !expired.answers.has(answer)) continue;
+    const row = await peekState(jid, kind);
+    if (row && row.expiresAt <= Date.now() && (!latest || row.updatedAt > latest.row.updatedAt)) latest = { kind, row };
+  }
+  if (!latest) return null;
+  await clearState(jid, latest.kind);
+  return EXPIRED_CONFIRMATIONS[latest.kind].reply;
+}
+
+/**
+ * Offer the message to each staged confirmation in dialog.js precedence order
+ * — the most recently staged first — and return the first reply that claims it.
+ */
+async function settleConfirmations(jid, text) {
+  if (!jid) return null;
+  const pending = await pendingStates(jid, Object.keys(CONFIRMATION_HANDLERS));
+  for (const state of pending) {
+    const reply = await CONFIRMATION_HANDLERS[state.kind](jid, state.data, text);
+    if (reply) return reply;
+  }
+  return expiredConfirmationReply(jid, text, new Set(pending.map((state) => state.kind)));
+}
+
 /** Render a lookup result as a readable WhatsApp reply. */
 function formatLookup(result) {
   if (!result || !Array.isArray(result.items) || result.items.length === 0) {
@@ -477,22 +538,34 @@ function formatLookup(result) {
   return [heading, ...lines, result.note ? `\n${result.note}` : ""].filter(Boolean).join("\n");
 }
 
-function buildSystemPrompt(accountContext) {
+function buildSystemPrompt(accountContext, tenant = null, tz = null) {
+  const who = `${tenant?.assistantName || "Student Assistant"} for ${tenant?.name || "WorldLynk"}`;
+  const clock = tz
+    ? `It is now ${formatWhen(new Date(), tz)} where the student is (${tz}). Read and give times ` +
+      "in that zone, and pass addReminder their local time without a UTC offset.\n"
+    : "";
   const base =
-    "You are a Student Assistant for WorldLynk. Use tools, not generic answers.\n" +
+    `You are a ${who}. Use tools, not generic answers.\n` +
+    clock +
     "- Courses/universities → queryDataset\n" +
     "- Anything the student can see in the app — events, jobs, accommodation, their journey, " +
     "documents (and which are still required), messages from their university, unread alerts, " +
     "the university calendar, assessment deadlines, assigned tasks → lookupWorldlynk\n" +
     "- Doing something for them — ticking off a milestone, RSVPing, saving or applying to a " +
     "job, messaging their university → studentAction\n" +
+    "- They want a person, or are clearly frustrated and getting nowhere with you → requestHuman\n" +
     "- Wider UK rental market beyond WorldLynk listings → searchUKAccommodation\n" +
-    "- Reminders → addReminder\n" +
+    "- Reminders, one-off or repeating → addReminder\n" +
+    "- Reminders before all their assessment and task deadlines, kept up to date → tell them " +
+    "to send: deadline reminders on\n" +
     "- Meeting nearby students → handleConnectIntent\n" +
     "- Sharing something on the community feed → postToCommunity (drafts it; the student " +
     "confirms before anything is published)\n" +
     "Prefer calling a tool for anything you do not already know. Never invent an event, job, " +
-    "listing or milestone that a tool did not return.";
+    "listing or milestone that a tool did not return.\n" +
+    "You may call several tools at once, and call more after reading their results. When you " +
+    "are done, answer in ONE WhatsApp message covering everything they asked. If a tool result " +
+    "asks the student to reply with a word (YES, POST, CANCEL), repeat that instruction exactly.";
 
   if (!accountContext) {
     return (
@@ -514,7 +587,434 @@ function buildSystemPrompt(accountContext) {
   );
 }
 
-async function getAIResponse(userId, rawMessage, accountContext = null, jid = null) {
+/* ============================
+   Tools
+   Each tool is declared once: schema, handler, and whether it needs a linked
+   account or the student's confirmation. tools.js validates the arguments
+   before a handler ever runs.
+============================= */
+defineTool({
+  name: "queryDataset",
+  description: "Get university or course info",
+  parameters: {
+    type: "object",
+    properties: { query: { type: "string" } },
+    required: ["query"],
+  },
+  handler: async (args, { uid }) => {
+    const result = await queryDataset(args.query, { max: 200 });
+    if (result?.rows?.length) {
+      // Kept for "more": the first five are in this reply.
+      const rows = result.rows.map(({ embedding, ...row }) => row);
+      await setState(uid, STATES.COURSE_RESULTS.kind, { rows, offset: Math.min(5, rows.length) });
+      return result.text;
+    }
+    return "No matching courses found.";
+  },
+});
+
+defineTool({
+  name: "searchUKAccommodation",
+  description: "Find UK student accommodation",
+  parameters: {
+    type: "object",
+    properties: {
+      place_name: { type: "string" },
+      price_max: { type: "number" },
+      bedrooms: { type: "number" },
+    },
+  },
+  handler: async (args) => {
+    const { listings } = await searchUKAccommodation(args);
+    return formatAccommodationReply(listings);
+  },
+});
+
+defineTool({
+  name: "addReminder",
+  description:
+    "Set a reminder, once or repeating. For a repeating one (\"every Monday at 9\") give `recurrence`; " +
+    "`datetime` is then optional and, if given, is the first time it fires. Students can list, cancel, " +
+    "edit and snooze reminders themselves by sending \"reminders\".",
+  parameters: {
+    type: "object",
+    properties: {
+      task: { type: "string" },
+      datetime: {
+        type: "string",
+        description: "The student's local time, without a UTC offset (\"2026-10-20T09:00\").",
+      },
+      recurrence: {
+        type: "string",
+        description:
+          "5-field cron expression (\"0 9 * * 1\" = Mondays 09:00) or RRULE " +
+          "(\"FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0\"). Omit for a one-off reminder.",
+      },
+    },
+    required: ["task"],
+  },
+  handler: async (args, { uid, jid }) => {
+    if (!args.datetime && !args.recurrence) return "Error: give a datetime, a recurrence, or both.";
+    let rule = null;
+    if (args.recurrence) {
+      try {
+        rule = parseRecurrence(args.recurrence);
+      } catch (err) {
+        return `Error: ${err.message}`;
+      }
+    }
+    const tz = await timezoneFor(uid);
+    let at = null;
+    if (args.datetime) {
+      at = parseWhen(args.datetime, tz);
+      if (!at) return `Error: could not read "${args.datetime}" as a date and time.`;
+    }
+    const saved = await addReminder(uid, args.task, at, { recurrence: rule?.source ?? null });
+    if (!saved) return "⚠️ I couldn't save that reminder just now. Please try again shortly.";
+    const firstAt = new Date(saved.remind_at);
+    events.emit("tool.action", jid, { tool: "addReminder", remindAt: firstAt.toISOString(), recurring: Boolean(rule) });
+    return rule
+      ? `✅ Repeating reminder set for "${args.task}" (${rule.source}), first on ${formatWhen(firstAt, tz)}`
+      : `✅ Reminder set for "${args.task}" at ${formatWhen(firstAt, tz)}`;
+  },
+});
+
+defineTool({
+  name: "handleConnectIntent",
+  description: "Connect nearby students",
+  parameters: {
+    type: "object",
+    properties: {
+      topic: { type: "string" },
+      radiusKm: { type: "number" },
+    },
+  },
+  handler: async (args, { uid }) => handleConnectIntent({ requesterId: uid, ...args }),
+});
+
+defineTool({
+  name: "lookupWorldlynk",
+  description:
+    "Look up WorldLynk information. Available to anyone, linked or not: " +
+    "universities, their courses, job listings and accommodation listings. " +
+    "Available once their account is linked: events, job " +
+    "listings, accommodation listings, their journey tracker, their documents and " +
+    "which are still required, messages from their university, unread alerts, the " +
+    "university calendar, their assessment deadlines, or tasks assigned to them.",
+  parameters: {
+    type: "object",
+    properties: {
+      resource: {
+        type: "string",
+        enum: [
+          "universities", "courses",
+          "events", "jobs", "accommodations", "journey",
+          "documents", "messages", "notifications", "calendar",
+          "assessments", "tasks",
+        ],
+      },
+      query: {
+        type: "string",
+        description: "Optional keywords to filter by, e.g. a city, job type or category.",
+      },
+    },
+    required: ["resource"],
+  },
+  // Public resources are answerable for anyone; only personal ones need a
+  // linked account, and the server enforces that too.
+  requiresLink: (args) => !PUBLIC_RESOURCES.has(args.resource),
+  handler: async (args, { jid }) => {
+    try {
+      const result = await uniportal.lookup(jid || undefined, args.resource, args.query);
+      return formatLookup(result);
+    } catch (err) {
+      if (err.status === 403) return LINK_REQUIRED_MESSAGE;
+      throw err;
+    }
+  },
+});
+
+defineTool({
+  name: "studentAction",
+  description:
+    "Do something on the student's behalf: tick off a journey milestone, RSVP to an " +
+    "event, save or apply to a job, or message their university. Applying and " +
+    "messaging are confirmed with the student before they go through.",
+  parameters: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: ["complete_milestone", "rsvp_event", "save_job", "apply_job", "send_message"],
+      },
+      target: {
+        type: "string",
+        description: "Which milestone, event or job — its title is enough.",
+      },
+      text: { type: "string", description: "Message body, for send_message." },
+    },
+    required: ["action"],
+  },
+  requiresLink: true,
+  confirm: { when: (args) => CONFIRM_REQUIRED.has(args.action), prompt: confirmationPrompt },
+  handler: async (args, { jid }) => performStudentAction(jid, args),
+});
+
+defineTool({
+  name: "requestHuman",
+  description:
+    "Hand the conversation to a person at the student's university. Their next messages " +
+    "go straight to the counselor inbox and you stay silent until it is closed. Call this " +
+    "when they ask for a human, or are frustrated and you cannot resolve it.",
+  parameters: {
+    type: "object",
+    properties: {
+      reason: { type: "string", description: "One line for the counselor on what the student needs." },
+    },
+  },
+  requiresLink: true,
+  handler: async (args, { jid }) => openHandover(jid, { source: "assistant", reason: args.reason || null }),
+});
+
+defineTool({
+  name: "postToCommunity",
+  description:
+    "Draft a post for the student to publish on the WorldLynk community feed. " +
+    "Only call this when the student clearly asks to post or share something.",
+  parameters: {
+    type: "object",
+    properties: {
+      text: { type: "string", description: "The post body, in the student's own voice." },
+      anonymous: { type: "boolean" },
+    },
+    required: ["text"],
+  },
+  requiresLink: true,
+  handler: async (args, { jid }) => {
+    // Never publish straight from a model call. The student sees the exact
+    // text and confirms it first — an LLM misreading "tell the group" as an
+    // instruction to post would otherwise publish under their name with no
+    // way to take it back.
+    await stagePendingPost(jid, args.text, args.anonymous === true);
+    return (
+      `📝 Here's your post:\n\n"${args.text}"\n\n` +
+      (args.anonymous === true ? "_Posted anonymously._\n\n" : "") +
+      "Reply *POST* to publish it, or *CANCEL* to discard."
+    );
+  },
+});
+
+/**
+ * Run one tool call and return its result as text for the model. Failures and
+ * schema errors are returned rather than thrown, so the model can correct its
+ * arguments or explain what went wrong and still answer the rest.
+ */
+async function executeToolCall(call, { uid, jid, profile, tenant }) {
+  const name = call.function?.name;
+  console.debug("🔧 Tool call:", name, call.function?.arguments);
+
+  const outcome = await runTool(name, call.function?.arguments, {
+    uid, jid, profile, linked: Boolean(jid), enabled: tenant?.tools ?? null,
+  });
+  switch (outcome.status) {
+    case "ok":
+      return outcome.output;
+    case "link_required":
+      return LINK_REQUIRED_MESSAGE;
+    case "needs_confirmation":
+      await stagePendingAction(jid, name, outcome.args);
+      return outcome.prompt;
+    default:
+      return outcome.message;
+  }
+}
+
+/* ============================
+   Tool loop
+   Tool results go back to the model as `tool` messages until it answers in
+   plain text. Bounded twice over: a model that keeps asking for tools stops
+   after MAX_TOOL_ROUNDS, and a conversation that keeps growing stops once it
+   has spent MAX_LOOP_TOKENS — either way the student still gets a reply.
+============================= */
+const MAX_TOOL_ROUNDS = 4;
+const MAX_LOOP_TOKENS = 8000;
+const MAX_REPLY_TOKENS = 400;
+
+async function runToolLoop(messages, ctx) {
+  const toolOutputs = [];
+  let tokensUsed = 0;
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const res = await chatCompletion("tools", {
+      messages,
+      tools: toolSchemas({ only: ctx.tenant?.tools }),
+      tool_choice: "auto",
+      temperature: 0,
+      max_tokens: MAX_REPLY_TOKENS,
+    });
+    tokensUsed += res.usage?.total_tokens || 0;
+
+    const msg = res.choices?.[0]?.message || {};
+    const toolCalls = msg.tool_calls || [];
+    if (!toolCalls.length) {
+      return { content: msg.content || "", toolsUsed: toolOutputs.length > 0 };
+    }
+
+    messages.push({ role: "assistant", content: msg.content ?? null, tool_calls: toolCalls });
+    // Sequential on purpose: two calls in one turn can touch the same staged
+    // confirmation, and the student should see them settle in the order asked.
+    for (const call of toolCalls) {
+      const output = await executeToolCall(call, ctx);
+      toolOutputs.push(output);
+      messages.push({ role: "tool", tool_call_id: call.id, content: output });
+    }
+
+    if (tokensUsed >= MAX_LOOP_TOKENS) {
+      console.warn(`⚠️ Tool loop hit its token budget (${tokensUsed}) — returning tool results as-is`);
+      return { content: toolOutputs.join("\n\n"), toolsUsed: true };
+    }
+  }
+
+  // Out of rounds: one last call with tools switched off to summarise.
+  try {
+    const res = await chatCompletion("chat", {
+      messages,
+      tools: toolSchemas({ only: ctx.tenant?.tools }),
+      tool_choice: "none",
+      temperature: 0,
+      max_tokens: MAX_REPLY_TOKENS,
+    });
+    const content = res.choices?.[0]?.message?.content;
+    if (content) return { content, toolsUsed: true };
+  } catch (err) {
+    console.error("final tool-loop answer failed:", err.message);
+  }
+  return { content: toolOutputs.join("\n\n"), toolsUsed: true };
+}
+
+/** Everything after the profile is loaded; getAIResponse records the result. */
+async function respond({ uid, jid, profile, messageText, accountContext, quotedText, tenant }) {
+  // ✅ A staged post or action is awaiting an answer — settle that first,
+  // before the model gets a chance to reinterpret a one-word reply.
+  const confirmReply = await settleConfirmations(jid, messageText);
+  if (confirmReply) return confirmReply;
+
+  // 👋 Greeting check
+  if (/^(hello|hi|hey)\b/i.test(messageText)) {
+    if (profile.name && profile.onboardingStep === ONBOARDING_STEPS.COMPLETE) {
+      return `Hey ${profile.name} 👋 How can I help you?`;
+    } else {
+      if (profile.onboardingStep === ONBOARDING_STEPS.NAME) {
+        return `Hey! I’m your study buddy. What’s your name?`;
+      }
+    }
+  }
+
+  // 🤖 LLM call with tools
+  const messages = [
+    { role: "system", content: buildSystemPrompt(accountContext, tenant, await timezoneFor(uid)) },
+    ...historyMessages(profile.conversationHistory),
+  ];
+  // A WhatsApp reply quotes the message being answered; without it "yes, that
+  // one" means nothing once the quoted message has left the history window.
+  if (quotedText) {
+    messages.push({
+      role: "system",
+      content: `The student is replying to this earlier message:\n"""${quotedText.slice(0, QUOTED_MAX_CHARS)}"""`,
+    });
+  }
+  messages.push({ role: "user", content: messageText });
+
+  const { content, toolsUsed } = await runToolLoop(messages, { uid, jid, profile, tenant });
+  if (toolsUsed) return content || "Sorry, I couldn’t process that.";
+
+  // ✅ Accept handling
+  if (ACCEPT_PAT.test(messageText)) {
+    const m = messageText.match(ACCEPT_PAT);
+    if (m) return await handleAcceptCode(uid, m[1]);
+  }
+
+  // 👨‍🎓 Onboarding
+  if (profile.onboardingStep !== ONBOARDING_STEPS.COMPLETE) {
+    switch (profile.onboardingStep) {
+      case ONBOARDING_STEPS.NAME: {
+        const name = extractNameFromText(messageText);
+        if (!name)
+          return `All good—tell me your name (e.g., "I'm Nabil Hasan").`;
+        profile.name = name;
+        profile.onboardingStep = ONBOARDING_STEPS.INTERESTS;
+        await saveOnboarding(uid, profile);
+        return `Nice to meet you, ${profile.name}! What subjects/fields are you into?`;
+      }
+      case ONBOARDING_STEPS.INTERESTS:
+        profile.interests = messageText;
+        profile.onboardingStep = ONBOARDING_STEPS.GOALS;
+        await saveOnboarding(uid, profile);
+        return `Got it. Your main goal—scholarship, admission, job?`;
+      case ONBOARDING_STEPS.GOALS:
+        profile.goals = messageText;
+        profile.onboardingStep = ONBOARDING_STEPS.COUNTRY;
+        await saveOnboarding(uid, profile);
+        return `Cool. Which country are you in / targeting?`;
+      case ONBOARDING_STEPS.COUNTRY: {
+        profile.country = messageText;
+        profile.onboardingStep = ONBOARDING_STEPS.COMPLETE;
+        // A zone they already set wins; otherwise the one their number's
+        // calling code suggests. Not the country answer: that may be where
+        // they are going, not where they are.
+        const { timezone: chosen } = await restoreOnboarding(uid);
+        const tz = chosen || (await timezoneFor(uid));
+        try {
+          await createUserInDB(uid, profile);
+        } catch {
+          try {
+            await updateUserInDB(uid, profile);
+          } catch {}
+        }
+        if (chosen) {
+          try {
+            await setTimezone(uid, chosen);
+          } catch (err) {
+            console.warn("Saving timezone failed:", err.message || err);
+          }
+        }
+        await clearState(uid, STATES.ONBOARDING.kind);
+        return (
+          `Profile saved ✅ Ask me anything about courses, unis, or apps.\n` +
+          `I'll show times in ${tz} — send *timezone <your city>* to change it.`
+        );
+      }
+    }
+  }
+
+  // 📜 Pagination
+  if (MORE_PATTERNS.test(messageText)) {
+    const results = await getState(uid, STATES.COURSE_RESULTS.kind);
+    if (Array.isArray(results?.rows) && results.rows.length) {
+      const start = results.offset || 0;
+      const reply = formatCourseSlice(results.rows, start, 5);
+      await setState(uid, STATES.COURSE_RESULTS.kind, {
+        rows: results.rows,
+        offset: Math.min(start + 5, results.rows.length),
+      });
+      return reply;
+    }
+  }
+
+  // 🚨 Fallback
+  return content || "Sorry, I couldn’t process that.";
+}
+
+/**
+ * @param {string} userId
+ * @param {string|Object} rawMessage  text, or the raw Baileys message when it has none
+ * @param {string|null} accountContext  linked-account summary, private chats only
+ * @param {string|null} jid  sender, when the chat is private
+ * @param {Object} [opts]
+ * @param {string|null} [opts.quotedText]  text of the message being replied to
+ * @param {Object|null} [opts.tenant]  the session's tenant (tenants.js): branding and enabled tools
+ */
+async function getAIResponse(userId, rawMessage, accountContext = null, jid = null, { quotedText = null, tenant = null } = {}) {
   try {
     const uid = validateUserId(userId);
     let messageText =
@@ -556,312 +1056,24 @@ async function getAIResponse(userId, rawMessage, accountContext = null, jid = nu
         onboardingStep: ONBOARDING_STEPS.COMPLETE,
         lastInteraction: new Date(),
         conversationHistory: await getConversationHistory(uid),
-        lastRows: null,
-        lastOffset: 0,
       };
       activeSessions.set(uid, profile);
       try {
         await updateUserInDB(uid, {});
       } catch {}
     } else {
-      profile = createUserProfile();
+      // Not in the users table yet: pick up an onboarding that was under way
+      // before a restart instead of asking for their name again.
+      profile = { ...createUserProfile(), ...(await restoreOnboarding(uid)) };
       activeSessions.set(uid, profile);
     }
 
-    // ✅ A staged community post is awaiting POST/CANCEL — settle that first,
-    // before the model gets a chance to reinterpret a one-word reply.
-    const postReply = await handlePendingPost(jid, messageText);
-    if (postReply) return postReply;
-    const actionReply = await handlePendingAction(jid, messageText);
-    if (actionReply) return actionReply;
-
-    // 👋 Greeting check
-    if (/^(hello|hi|hey)\b/i.test(messageText)) {
-      if (profile.name && profile.onboardingStep === ONBOARDING_STEPS.COMPLETE) {
-        return `Hey ${profile.name} 👋 How can I help you?`;
-      } else {
-        if (profile.onboardingStep === ONBOARDING_STEPS.NAME) {
-          return `Hey! I’m your study buddy. What’s your name?`;
-        }
-      }
-    }
-
-    // 🤖 LLM call with tools
-    const res = await openaiClient().chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: buildSystemPrompt(accountContext),
-        },
-        { role: "user", content: messageText },
-      ],
-      tools: [
-        {
-          type: "function",
-          function: {
-            name: "queryDataset",
-            description: "Get university or course info",
-            parameters: {
-              type: "object",
-              properties: { query: { type: "string" } },
-              required: ["query"],
-            },
-          },
-        },
-        {
-          type: "function",
-          function: {
-            name: "searchUKAccommodation",
-            description: "Find UK student accommodation",
-            parameters: {
-              type: "object",
-              properties: {
-                place_name: { type: "string" },
-                price_max: { type: "number" },
-                bedrooms: { type: "number" },
-              },
-            },
-          },
-        },
-        {
-          type: "function",
-          function: {
-            name: "addReminder",
-            description: "Set a reminder",
-            parameters: {
-              type: "object",
-              properties: {
-                task: { type: "string" },
-                datetime: { type: "string", format: "date-time" },
-              },
-              required: ["task", "datetime"],
-            },
-          },
-        },
-        {
-          type: "function",
-          function: {
-            name: "handleConnectIntent",
-            description: "Connect nearby students",
-            parameters: {
-              type: "object",
-              properties: {
-                topic: { type: "string" },
-                radiusKm: { type: "number" },
-              },
-            },
-          },
-        },
-        {
-          type: "function",
-          function: {
-            name: "lookupWorldlynk",
-            description:
-              "Look up WorldLynk information. Available to anyone, linked or not: " +
-              "universities, their courses, job listings and accommodation listings. " +
-              "Available once their account is linked: events, job " +
-              "listings, accommodation listings, their journey tracker, their documents and " +
-              "which are still required, messages from their university, unread alerts, the " +
-              "university calendar, their assessment deadlines, or tasks assigned to them.",
-            parameters: {
-              type: "object",
-              properties: {
-                resource: {
-                  type: "string",
-                  enum: [
-                    "universities", "courses",
-                    "events", "jobs", "accommodations", "journey",
-                    "documents", "messages", "notifications", "calendar",
-                    "assessments", "tasks",
-                  ],
-                },
-                query: {
-                  type: "string",
-                  description: "Optional keywords to filter by, e.g. a city, job type or category.",
-                },
-              },
-              required: ["resource"],
-            },
-          },
-        },
-        {
-          type: "function",
-          function: {
-            name: "studentAction",
-            description:
-              "Do something on the student's behalf: tick off a journey milestone, RSVP to an " +
-              "event, save or apply to a job, or message their university. Applying and " +
-              "messaging are confirmed with the student before they go through.",
-            parameters: {
-              type: "object",
-              properties: {
-                action: {
-                  type: "string",
-                  enum: ["complete_milestone", "rsvp_event", "save_job", "apply_job", "send_message"],
-                },
-                target: {
-                  type: "string",
-                  description: "Which milestone, event or job — its title is enough.",
-                },
-                text: { type: "string", description: "Message body, for send_message." },
-              },
-              required: ["action"],
-            },
-          },
-        },
-        {
-          type: "function",
-          function: {
-            name: "postToCommunity",
-            description:
-              "Draft a post for the student to publish on the WorldLynk community feed. " +
-              "Only call this when the student clearly asks to post or share something.",
-            parameters: {
-              type: "object",
-              properties: {
-                text: { type: "string", description: "The post body, in the student's own voice." },
-                anonymous: { type: "boolean" },
-              },
-              required: ["text"],
-            },
-          },
-        },
-      ],
-      tool_choice: "auto",
-      temperature: 0,
-      max_tokens: 200,
-    });
-
-    const msg = res.choices?.[0]?.message || {};
-    const toolCalls = msg.tool_calls || [];
-
-    if (toolCalls.length) {
-      for (const call of toolCalls) {
-        try {
-          const fnName = call.function?.name;
-          const argsRaw = call.function?.arguments;
-          const args = argsRaw ? JSON.parse(argsRaw) : {};
-
-          console.debug("🔧 Tool call:", fnName, args);
-
-          switch (fnName) {
-            case "queryDataset": {
-              const result = await queryDataset(args.query, { max: 200 });
-              if (result?.rows?.length) {
-                profile.lastRows = result.rows;
-                profile.lastOffset = Math.min(5, result.rows.length);
-                return result.text;
-              }
-              return "No matching courses found.";
-            }
-            case "searchUKAccommodation": {
-              const { listings } = await searchUKAccommodation(args);
-              return formatAccommodationReply(listings);
-            }
-            case "addReminder": {
-              await addReminder(uid, args.task, new Date(args.datetime));
-              return `✅ Reminder set for "${args.task}" at ${new Date(
-                args.datetime
-              ).toLocaleString()}`;
-            }
-            case "handleConnectIntent": {
-              return await handleConnectIntent({ requesterId: uid, ...args });
-            }
-            case "lookupWorldlynk": {
-              // Public resources are answerable for anyone; only personal ones
-              // need a linked account, and the server enforces that too.
-              if (!jid && !PUBLIC_RESOURCES.has(args.resource)) return LINK_REQUIRED_MESSAGE;
-              try {
-                const result = await uniportal.lookup(jid || undefined, args.resource, args.query);
-                return formatLookup(result);
-              } catch (err) {
-                if (err.status === 403) return LINK_REQUIRED_MESSAGE;
-                throw err;
-              }
-            }
-            case "studentAction": {
-              if (!jid) return LINK_REQUIRED_MESSAGE;
-              return await runStudentAction(jid, args);
-            }
-            case "postToCommunity": {
-              if (!jid) return LINK_REQUIRED_MESSAGE;
-              // Never publish straight from a model call. The student sees the
-              // exact text and confirms it first — an LLM misreading "tell the
-              // group" as an instruction to post would otherwise publish under
-              // their name with no way to take it back.
-              stagePendingPost(jid, args.text, args.anonymous === true);
-              return (
-                `📝 Here's your post:\n\n"${args.text}"\n\n` +
-                (args.anonymous === true ? "_Posted anonymously._\n\n" : "") +
-                "Reply *POST* to publish it, or *CANCEL* to discard."
-              );
-            }
-            default:
-              return "❌ I didn’t understand the tool request.";
-          }
-        } catch (err) {
-          console.error("❌ Tool call error:", err);
-          return "Sorry, I couldn’t process that request.";
-        }
-      }
-    }
-
-    // ✅ Accept handling
-    if (ACCEPT_PAT.test(messageText)) {
-      const m = messageText.match(ACCEPT_PAT);
-      if (m) return await handleAcceptCode(uid, m[1]);
-    }
-
-    // 👨‍🎓 Onboarding
-    if (profile.onboardingStep !== ONBOARDING_STEPS.COMPLETE) {
-      switch (profile.onboardingStep) {
-        case ONBOARDING_STEPS.NAME: {
-          const name = extractNameFromText(messageText);
-          if (!name)
-            return `All good—tell me your name (e.g., "I'm Nabil Hasan").`;
-          profile.name = name;
-          profile.onboardingStep = ONBOARDING_STEPS.INTERESTS;
-          return `Nice to meet you, ${profile.name}! What subjects/fields are you into?`;
-        }
-        case ONBOARDING_STEPS.INTERESTS:
-          profile.interests = messageText;
-          profile.onboardingStep = ONBOARDING_STEPS.GOALS;
-          return `Got it. Your main goal—scholarship, admission, job?`;
-        case ONBOARDING_STEPS.GOALS:
-          profile.goals = messageText;
-          profile.onboardingStep = ONBOARDING_STEPS.COUNTRY;
-          return `Cool. Which country are you in / targeting?`;
-        case ONBOARDING_STEPS.COUNTRY:
-          profile.country = messageText;
-          profile.onboardingStep = ONBOARDING_STEPS.COMPLETE;
-          try {
-            await createUserInDB(uid, profile);
-          } catch {
-            try {
-              await updateUserInDB(uid, profile);
-            } catch {}
-          }
-          return `Profile saved ✅ Ask me anything about courses, unis, or apps.`;
-      }
-    }
-
-    // 📜 Pagination
-    if (
-      MORE_PATTERNS.test(messageText) &&
-      Array.isArray(profile.lastRows) &&
-      profile.lastRows.length
-    ) {
-      const start = profile.lastOffset || 0;
-      const reply = formatCourseSlice(profile.lastRows, start, 5);
-      profile.lastOffset = Math.min(start + 5, profile.lastRows.length);
-      return reply;
-    }
-
-    // 🚨 Fallback
-    return msg.content || "Sorry, I couldn’t process that.";
+    const reply = await respond({ uid, jid, profile, messageText, accountContext, quotedText, tenant });
+    await recordExchange(uid, profile, messageText, reply);
+    return reply;
   } catch (error) {
     console.error("getAIResponse error:", error.response?.data || error.message);
+    if (isAIUnavailable(error)) return AI_UNAVAILABLE_REPLY;
     return "Sorry, something went wrong.";
   }
 }
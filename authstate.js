@@ -0,0 +1,230 @@
+// authstate.js
+// Where the WhatsApp session (Baileys creds + signal keys) is kept.
+//
+// useMultiFileAuthState writes a folder of JSON files next to the app, and an
+// Azure redeploy can wipe that folder — every wipe meant scanning a new QR.
+// AUTH_STORE picks the backend:
+//   file      the old folder (AUTH_DIR), unchanged
+//   sqlite    the bot's local database (localdb.js) — survives as long as the
+//             disk it lives on, so point BOT_DB_PATH at persistent storage
+//   supabase  table wa_auth_state, which survives any redeploy
+// In sqlite and supabase every value is encrypted with AES-256-GCM under
+// AUTH_STATE_KEY: these keys *are* the WhatsApp account, and neither a copied
+// database file nor a leaked anon key should hand it over.
+//
+// The first start on a database backend imports an existing AUTH_DIR folder,
+// so switching backends does not need a re-scan.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { initAuthCreds, BufferJSON, proto, useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const { supabase } = require('./config');
+
+const AUTH_STORE = (process.env.AUTH_STORE || 'file').trim().toLowerCase();
+const CREDS_KEY = 'creds';
+
+/** Same naming as useMultiFileAuthState, so an imported folder maps 1:1. */
+function keyName(name) {
+  return name.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+/* ============================
+   Encryption
+   Values are stored as "v1.<iv>.<tag>.<ciphertext>" (base64). The row key is
+   bound in as associated data, so a value cannot be moved to another key.
+============================= */
+let _cipherKey;
+function cipherKey() {
+  if (_cipherKey) return _cipherKey;
+  const secret = (process.env.AUTH_STATE_KEY || '').trim();
+  if (!secret) {
+    throw new Error(`AUTH_STORE=${AUTH_STORE} needs AUTH_STATE_KEY to encrypt the WhatsApp session`);
+  }
+  _cipherKey = crypto.createHash('sha256').update(secret).digest();
+  return _cipherKey;
+}
+
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', cipherKey(), iv);
+  cipher.setAAD(Buffer.from(key));
+  const body = Buffer.concat([cipher.update(JSON.stringify(value, BufferJSON.replacer), 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), body.toString('base64')].join('.');
+}
+
+function decrypt(key, stored) {
+  const [version, iv, tag, body] = String(stored).split('.');
+  if (version !== 'v1') throw new Error(`unknown auth value format for ${key}`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', cipherKey(), Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(key));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const json = Buffer.concat([decipher.update(Buffer.from(body, 'base64')), decipher.final()]).toString('utf8');
+  return JSON.parse(json, BufferJSON.reviver);
+}
+
+/* ============================
+   Backends
+   Each stores opaque strings under (session, key). `write` takes
+   [key, value|null] pairs — null deletes — and applies them together.
+============================= */
+function sqliteBackend() {
+  const { ensureSchema } = require('./localdb');
+  const db = () => ensureSchema('wa_auth_state', `
+    CREATE TABLE IF NOT EXISTS wa_auth_state (
+      session    TEXT    NOT NULL,
+      key        TEXT    NOT NULL,
+      value      TEXT    NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (session, key)
+    );
+  `);
+  return {
+    async read(session, keys) {
+      const get = db().prepare('SELECT value FROM wa_auth_state WHERE session = ? AND key = ?');
+      return Object.fromEntries(keys.map((k) => [k, get.get(session, k)?.value ?? null]));
+    },
+    async write(session, entries) {
+      const put = db().prepare(`
+        INSERT INTO wa_auth_state (session, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (session, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `);
+      const del = db().prepare('DELETE FROM wa_auth_state WHERE session = ? AND key = ?');
+      const now = Date.now();
+      db().transaction(() => {
+        for (const [k, v] of entries) v === null ? del.run(session, k) : put.run(session, k, v, now);
+      })();
+    },
+    async clear(session) {
+      db().prepare('DELETE FROM wa_auth_state WHERE session = ?').run(session);
+    },
+  };
+}
+
+function supabaseBackend() {
+  const table = () => supabase.from('wa_auth_state');
+  const check = ({ data, error }) => { if (error) throw error; return data; };
+  return {
+    async read(session, keys) {
+      const out = Object.fromEntries(keys.map((k) => [k, null]));
+      if (!keys.length) return out;
+      const rows = check(await table().select('key, value').eq('session', session).in('key', keys)) || [];
+      for (const r of rows) out[r.key] = r.value;
+      return out;
+    },
+    async write(session, entries) {
+      const now = new Date().toISOString();
+      const upserts = entries.filter(([, v]) => v !== null)
+        .map(([key, value]) => ({ session, key, value, updated_at: now }));
+      const deletes = entries.filter(([, v]) => v === null).map(([k]) => k);
+      if (upserts.length) check(await table().upsert(upserts, { onConflict: 'session,key' }));
+      if (deletes.length) check(await table().delete().eq('session', session).in('key', deletes));
+    },
+    async clear(session) {
+      check(await table().delete().eq('session', session));
+    },
+  };
+}
+
+const BACKENDS = { sqlite: sqliteBackend, supabase: supabaseBackend };
+if (AUTH_STORE !== 'file' && !BACKENDS[AUTH_STORE]) {
+  throw new Error('AUTH_STORE must be one of file, sqlite, supabase');
+}
+let _backend;
+function backend() {
+  if (!_backend) _backend = BACKENDS[AUTH_STORE]();
+  return _backend;
+}
+
+/* ============================
+   Import from a useMultiFileAuthState folder
+============================= */
+/**
+ * Copy every file of an auth folder into the database backend. File names are
+ * already in keyName() form, so each `<name>.json` becomes key `<name>`.
+ * Returns the number of keys imported.
+ */
+async function importAuthFolder(dir, session = 'default') {
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith('.json'));
+  const entries = files.map((file) => {
+    const key = file.slice(0, -'.json'.length);
+    const value = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'), BufferJSON.reviver);
+    return [key, encrypt(key, value)];
+  });
+  if (entries.length) await backend().write(session, entries);
+  return entries.length;
+}
+
+/* ============================
+   API
+============================= */
+/**
+ * Drop-in for useMultiFileAuthState: `{ state, saveCreds }` for makeWASocket.
+ * @param {Object} opts
+ * @param {string} opts.dir        the file backend's folder, and the folder to import from
+ * @param {string} [opts.session]  row namespace in the database backends
+ */
+async function useAuthState({ dir, session = 'default' }) {
+  if (AUTH_STORE === 'file') return useMultiFileAuthState(dir);
+
+  const store = backend();
+  const readOne = async (key) => {
+    const stored = (await store.read(session, [key]))[key];
+    return stored ? decrypt(key, stored) : null;
+  };
+
+  let creds = await readOne(CREDS_KEY);
+  if (!creds && fs.existsSync(path.join(dir, 'creds.json'))) {
+    const n = await importAuthFolder(dir, session);
+    console.log(`📥 Imported ${n} auth file(s) from ${dir} into the ${AUTH_STORE} auth store`);
+    creds = await readOne(CREDS_KEY);
+  }
+  creds = creds || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const names = ids.map((id) => keyName(`${type}-${id}`));
+          const stored = await store.read(session, names);
+          const data = {};
+          ids.forEach((id, i) => {
+            let value = stored[names[i]] ? decrypt(names[i], stored[names[i]]) : null;
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          });
+          return data;
+        },
+        set: async (data) => {
+          const entries = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const key = keyName(`${category}-${id}`);
+              const value = data[category][id];
+              entries.push([key, value ? encrypt(key, value) : null]);
+            }
+          }
+          if (entries.length) await store.write(session, entries);
+        },
+      },
+    },
+    saveCreds: async () => {
+      await store.write(session, [[CREDS_KEY, encrypt(CREDS_KEY, creds)]]);
+    },
+  };
+}
+
+/**
+ * Forget the session so the next connect pairs from scratch. The folder goes
+ * too on every backend — otherwise a database backend would re-import the
+ * dead session from it on the next start.
+ */
+async function clearAuthState({ dir, session = 'default' }) {
+  if (AUTH_STORE !== 'file') await backend().clear(session);
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = { AUTH_STORE, useAuthState, clearAuthState, importAuthFolder };
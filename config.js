@@ -12,11 +12,46 @@ const NESTORIA_ENDPOINT =
   'https://api.nestoria.co.uk/api'; 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+/**
+ * Language model settings, read by llm.js. A model is "model-id" on the default
+ * provider or "provider:model-id" (openai, openrouter, local). Historically the
+ * OpenAI client was built from OPENROUTER_API_KEY, so that key still works for
+ * the openai provider when OPENAI_API_KEY is not set.
+ */
+const env = (name) => (process.env[name] || '').trim() || undefined;
+// A count that may be 0; anything that is not a whole number ≥ 0 gets the default.
+const count = (name, fallback) => {
+  const n = Number(env(name) ?? fallback);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+};
+const LLM = {
+  provider: env('LLM_PROVIDER') || 'openai',
+  keys: {
+    openai: env('OPENAI_API_KEY') || OPENROUTER_API_KEY,
+    openrouter: OPENROUTER_API_KEY,
+    local: env('LLM_LOCAL_API_KEY'),
+  },
+  localBaseUrl: env('LLM_LOCAL_BASE_URL'),
+  models: {
+    chat: env('LLM_CHAT_MODEL') || 'gpt-4o-mini',
+    tools: env('LLM_TOOL_MODEL') || env('LLM_CHAT_MODEL') || 'gpt-4o-mini',
+    embeddings: env('LLM_EMBEDDING_MODEL') || 'text-embedding-3-small',
+  },
+  fallbacks: {
+    chat: env('LLM_CHAT_FALLBACK_MODEL'),
+    tools: env('LLM_TOOL_FALLBACK_MODEL') || env('LLM_CHAT_FALLBACK_MODEL'),
+  },
+  timeoutMs: Number(env('LLM_TIMEOUT_MS')) || 20000,
+  maxRetries: count('LLM_MAX_RETRIES', 2),
+  retryBaseMs: 500,
+};
+
 
 module.exports = {
 supabase,
 OPENROUTER_API_KEY,
 DATA_FILE,
 NESTORIA_ENDPOINT,
+LLM,
 DATA_ARRAY_KEY: process.env.DATA_ARRAY_KEY || 'records',
 };
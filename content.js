@@ -0,0 +1,246 @@
+// content.js
+// Typed /api/send payloads → Baileys message content.
+//
+// /api/send used to take `{ jid, text }` only, so uniportal could not send a
+// timetable PDF, an event poster, a location pin or a set of options. A
+// payload now names its `type`:
+//
+//   text      { text }
+//   image     { url | upload, caption? }
+//   document  { url | upload, fileName?, mimetype?, caption? }
+//   location  { latitude, longitude, name?, address? }
+//   contact   { name, phone, organization? }
+//   poll      { question, options: [..2-12], selectableCount? }
+//   list      { text, buttonText, sections: [{ title?, rows: [{ id, title, description? }] }],
+//               title?, footer? }
+//
+// or `{ template, variables }` for a named template from templates.json, so
+// the server side does not hand-build message text. Invalid payloads throw an
+// Error with `.status = 400`.
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_PATH = process.env.MESSAGE_TEMPLATES_PATH || path.join(__dirname, 'templates.json');
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function requireString(payload, field, { max = 4096 } = {}) {
+  const value = payload[field];
+  if (typeof value !== 'string' || !value.trim()) throw invalid(`${payload.type}: "${field}" is required`);
+  if (value.length > max) throw invalid(`${payload.type}: "${field}" is longer than ${max} characters`);
+  return value;
+}
+
+function optionalString(payload, field, { max = 1024 } = {}) {
+  const value = payload[field];
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') throw invalid(`${payload.type}: "${field}" must be a string`);
+  if (value.length > max) throw invalid(`${payload.type}: "${field}" is longer than ${max} characters`);
+  return value;
+}
+
+function requireNumber(payload, field, min, max) {
+  const value = Number(payload[field]);
+  if (payload[field] === undefined || !Number.isFinite(value) || value < min || value > max) {
+    throw invalid(`${payload.type}: "${field}" must be a number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Where Baileys should read the media from. Only http(s) URLs are accepted
+ * from callers: Baileys treats any other `url` as a local path, and a payload
+ * must never be able to mail out a file from this machine. Uploads are passed
+ * in by server.js as the path multer saved them to.
+ */
+function mediaSource(payload, upload) {
+  if (upload) return { url: upload.path };
+  const url = payload.url;
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+    throw invalid(`${payload.type}: an http(s) "url" or an uploaded file is required`);
+  }
+  return { url };
+}
+
+function fileNameFromUrl(url) {
+  const name = path.basename(new URL(url).pathname);
+  try { return decodeURIComponent(name); } catch { return name; }
+}
+
+const BUILDERS = {
+  text(p) {
+    return { text: requireString(p, 'text', { max: 65536 }) };
+  },
+
+  image(p, upload) {
+    return { image: mediaSource(p, upload), caption: optionalString(p, 'caption', { max: 4096 }) };
+  },
+
+  document(p, upload) {
+    const source = mediaSource(p, upload);
+    const fileName = optionalString(p, 'fileName', { max: 255 }) || upload?.originalname ||
+      (upload ? null : fileNameFromUrl(source.url)) || 'document';
+    return {
+      document: source,
+      // WhatsApp shows an unopenable file without a mimetype.
+      mimetype: optionalString(p, 'mimetype', { max: 255 }) || upload?.mimetype || 'application/octet-stream',
+      fileName,
+      caption: optionalString(p, 'caption', { max: 4096 }),
+    };
+  },
+
+  location(p) {
+    return {
+      location: {
+        degreesLatitude: requireNumber(p, 'latitude', -90, 90),
+        degreesLongitude: requireNumber(p, 'longitude', -180, 180),
+        name: optionalString(p, 'name'),
+        address: optionalString(p, 'address'),
+      },
+    };
+  },
+
+  contact(p) {
+    const name = requireString(p, 'name', { max: 255 });
+    const phone = requireString(p, 'phone', { max: 32 }).replace(/[^\d+]/g, '');
+    if (!/^\+?\d{6,15}$/.test(phone)) throw invalid('contact: "phone" must be a phone number');
+    const org = optionalString(p, 'organization', { max: 255 });
+    const esc = (s) => s.replace(/[\\;,\n]/g, (c) => (c === '\n' ? '\\n' : `\\${c}`));
+    const vcard = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${esc(name)}`,
+      org ? `ORG:${esc(org)};` : null,
+      `TEL;type=CELL;type=VOICE;waid=${phone.replace('+', '')}:${phone}`,
+      'END:VCARD',
+    ].filter(Boolean).join('\n');
+    return { contacts: { displayName: name, contacts: [{ vcard }] } };
+  },
+
+  poll(p) {
+    const question = requireString(p, 'question', { max: 255 });
+    const options = Array.isArray(p.options) ? p.options.map(String).filter((o) => o.trim()) : [];
+    if (options.length < 2 || options.length > 12) throw invalid('poll: "options" must list 2 to 12 choices');
+    if (new Set(options).size !== options.length) throw invalid('poll: "options" must be distinct');
+    const selectableCount = p.selectableCount === undefined ? 1 : Number(p.selectableCount);
+    if (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > options.length) {
+      throw invalid(`poll: "selectableCount" must be 0 (any) to ${options.length}`);
+    }
+    return { poll: { name: question, values: options, selectableCount } };
+  },
+
+  // Rendered as a "choose an option" sheet. WhatsApp only shows lists on some
+  // clients; `text` is what everyone else sees, so it should stand on its own.
+  list(p) {
+    const text = requireString(p, 'text');
+    const buttonText = requireString(p, 'buttonText', { max: 20 });
+    if (!Array.isArray(p.sections) || !p.sections.length || p.sections.length > 10) {
+      throw invalid('list: "sections" must have 1 to 10 entries');
+    }
+    let rowCount = 0;
+    const sections = p.sections.map((section, i) => {
+      const rows = Array.isArray(section?.rows) ? section.rows : [];
+      if (!rows.length) throw invalid(`list: section ${i + 1} has no rows`);
+      rowCount += rows.length;
+      return {
+        title: section.title ? String(section.title).slice(0, 24) : undefined,
+        rows: rows.map((row, j) => {
+          if (!row?.id || !row?.title) throw invalid(`list: section ${i + 1} row ${j + 1} needs "id" and "title"`);
+          return {
+            rowId: String(row.id).slice(0, 200),
+            title: String(row.title).slice(0, 24),
+            description: row.description ? String(row.description).slice(0, 72) : undefined,
+          };
+        }),
+      };
+    });
+    if (rowCount > 10) throw invalid('list: at most 10 rows in total');
+    return {
+      text,
+      buttonText,
+      sections,
+      title: optionalString(p, 'title', { max: 60 }),
+      footer: optionalString(p, 'footer', { max: 60 }),
+    };
+  },
+};
+
+/* ============================
+   Templates
+   templates.json maps a name to a payload (or, for plain text, a string) with
+   {{variable}} placeholders in any string field. Reloaded when the file
+   changes, so a wording fix needs no redeploy.
+============================= */
+let templateCache = { mtimeMs: -1, templates: {} };
+
+function loadTemplates() {
+  let stat;
+  try {
+    stat = fs.statSync(TEMPLATES_PATH);
+  } catch {
+    return {};
+  }
+  if (stat.mtimeMs !== templateCache.mtimeMs) {
+    templateCache = { mtimeMs: stat.mtimeMs, templates: JSON.parse(fs.readFileSync(TEMPLATES_PATH, 'utf8')) };
+  }
+  return templateCache.templates;
+}
+
+function fill(value, variables, missing) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+      const v = variables[name];
+      if (v === undefined || v === null) { missing.add(name); return ''; }
+      return String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => fill(v, variables, missing));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, variables, missing)]));
+  }
+  return value;
+}
+
+/** The payload a template expands to. Every placeholder must be supplied. */
+function renderTemplate(name, variables = {}) {
+  const template = loadTemplates()[name];
+  if (!template) throw invalid(`unknown template "${name}"`);
+  const base = typeof template === 'string' ? { type: 'text', text: template } : template;
+  const missing = new Set();
+  const payload = fill(base, variables || {}, missing);
+  if (missing.size) throw invalid(`template "${name}" is missing ${[...missing].join(', ')}`);
+  return payload;
+}
+
+function listTemplates() {
+  return Object.keys(loadTemplates());
+}
+
+/* ============================
+   API
+============================= */
+/**
+ * Baileys content for a /api/send payload.
+ * @param {Object} payload           `{ type, ... }`, `{ template, variables }` or legacy `{ text }`
+ * @param {Object} [upload]          multer file, for image/document sent as multipart
+ */
+function buildContent(payload, upload = null) {
+  if (!payload || typeof payload !== 'object') throw invalid('payload must be an object');
+  let p = payload;
+  if (p.template) p = { ...renderTemplate(String(p.template), p.variables) };
+  const type = p.type || (p.text !== undefined ? 'text' : null);
+  const build = BUILDERS[type];
+  if (!build) throw invalid(`"type" must be one of ${Object.keys(BUILDERS).join(', ')}`);
+  if (upload && type !== 'image' && type !== 'document') throw invalid(`${type}: file uploads are not accepted`);
+  const content = build({ ...p, type }, upload);
+  // Baileys serialises undefined fields as empty values; leave them out.
+  for (const k of Object.keys(content)) if (content[k] === undefined) delete content[k];
+  return content;
+}
+
+module.exports = { buildContent, renderTemplate, listTemplates, TYPES: Object.keys(BUILDERS) };
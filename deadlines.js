@@ -0,0 +1,235 @@
+// deadlines.js
+// Reminders for a linked student's assessment and task deadlines, set
+// without them having to ask.
+//
+// lookupWorldlynk could show a student their deadlines, but only when they
+// thought to ask. A student who opts in ("deadline reminders on") now has them
+// synced from uniportal every DEADLINE_SYNC_MINUTES by the leader instance:
+// a reminder at each of DEADLINE_REMINDER_OFFSETS (default 7d,1d,2h) before
+// every assessment and open task still due.
+//
+// Each reminder is keyed by the deadline, its due time and the offset
+// (reminder.js syncSourceReminders), so a sync run twice adds nothing. When a
+// deadline moves, its keys change: the reminders still to come for the old
+// time are removed and new ones set. A task completed, or a deadline gone
+// from uniportal, has its reminders still to come removed. One the student
+// cancelled stays cancelled.
+//
+// Opt-ins are kept in Supabase (table deadline_subscriptions) with the
+// WhatsApp number (tenants.js) they were made on, so the lookups go out for
+// the right university. A number that is no longer linked is switched off.
+
+const { supabase } = require('./config');
+const uniportal = require('./uniportal');
+const tenants = require('./tenants');
+const { syncSourceReminders } = require('./reminder');
+const { timezoneFor, parseTimes, formatWhen, fromWallClock } = require('./timezone');
+
+const SOURCE = 'deadline';
+const SYNC_MS = (Number(process.env.DEADLINE_SYNC_MINUTES) || 60) * 60 * 1000;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const UNIT_WORD = { m: 'minute', h: 'hour', d: 'day', w: 'week' };
+const DONE_STATUSES = new Set(['completed', 'complete', 'done', 'submitted', 'cancelled']);
+
+/** "7d,1d,2h" → [{ label: '7d', ms, words: '7 days' }, …], longest first. */
+function parseOffsets(spec) {
+  const offsets = String(spec).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean).map((label) => {
+    const m = label.match(/^(\d+)\s*([mhdw])$/);
+    if (!m || !Number(m[1])) throw new Error(`DEADLINE_REMINDER_OFFSETS: "${label}" is not like 7d, 2h or 30m`);
+    const n = Number(m[1]);
+    return { label: `${n}${m[2]}`, ms: n * UNIT_MS[m[2]], words: `${n} ${UNIT_WORD[m[2]]}${n === 1 ? '' : 's'}` };
+  });
+  return offsets.sort((a, b) => b.ms - a.ms);
+}
+const OFFSETS = parseOffsets(process.env.DEADLINE_REMINDER_OFFSETS || '7d,1d,2h');
+
+/* ============================
+   Deadlines → reminders
+============================= */
+/**
+ * When something is due, on the student's clock. A date with no time ("12 Nov
+ * 2026") is taken as the end of that day.
+ */
+function dueDate(due, tz) {
+  if (!due) return null;
+  const [found] = parseTimes(String(due), tz, { forwardDate: false });
+  if (!found) return null;
+  if (found.start.isCertain('hour')) return found.start.date();
+  return fromWallClock({
+    y: found.start.get('year'), m: found.start.get('month') - 1, d: found.start.get('day'), h: 23, mi: 59,
+  }, tz);
+}
+
+/** The reminders a student's deadlines call for, from now on. */
+function desiredReminders(kind, items, tz, now = new Date()) {
+  const out = [];
+  for (const item of items || []) {
+    if (!item?.title || DONE_STATUSES.has(String(item.status || '').toLowerCase())) continue;
+    const due = dueDate(item.due, tz);
+    if (!due || due <= now) continue;
+    const what = item.module ? `${item.title} (${item.module})` : item.title;
+    for (const offset of OFFSETS) {
+      const remindAt = new Date(due.getTime() - offset.ms);
+      if (remindAt <= now) continue;
+      out.push({
+        key: `${kind}:${item.id ?? item.title}:${due.toISOString()}:${offset.label}`,
+        remindAt,
+        message: `${what} is due ${formatWhen(due, tz)} — ${offset.words} to go.`,
+      });
+    }
+  }
+  return out;
+}
+
+/* ============================
+   Subscriptions
+============================= */
+async function setSubscription(jid, patch) {
+  const { error } = await supabase.from('deadline_subscriptions').upsert([{ jid, ...patch }], { onConflict: 'jid' });
+  if (error) throw error;
+}
+
+async function isSubscribed(jid) {
+  const { data, error } = await supabase.from('deadline_subscriptions').select('enabled').eq('jid', jid).maybeSingle();
+  if (error) throw error;
+  return Boolean(data?.enabled);
+}
+
+/** Stop syncing `jid` and remove the deadline reminders it has still to come. */
+async function unsubscribe(jid, why = null) {
+  await setSubscription(jid, { enabled: false, last_error: why });
+  await syncSourceReminders(jid, SOURCE, []);
+}
+
+/* ============================
+   Sync
+============================= */
+/**
+ * Bring one student's deadline reminders in line with uniportal. Nothing is
+ * removed unless both lookups answered: a failed one would otherwise read as
+ * every deadline gone.
+ * @returns {Promise<{ linked: boolean, deadlines?: number, added?: number, updated?: number, removed?: number }>}
+ */
+async function syncStudent(jid, session) {
+  const id = session && tenants.getTenant(session) ? session : await tenants.sessionFor(jid);
+  return tenants.runInSession(id, async () => {
+    let assessments;
+    let tasks;
+    try {
+      [assessments, tasks] = await Promise.all([
+        uniportal.lookup(jid, 'assessments'),
+        uniportal.lookup(jid, 'tasks'),
+      ]);
+    } catch (err) {
+      if (err.status !== 403) throw err;
+      await unsubscribe(jid, 'not linked');
+      return { linked: false };
+    }
+    const tz = await timezoneFor(jid);
+    const desired = [
+      ...desiredReminders('assessment', assessments?.items, tz),
+      ...desiredReminders('task', tasks?.items, tz),
+    ];
+    const result = await syncSourceReminders(jid, SOURCE, desired);
+    await setSubscription(jid, { synced_at: new Date().toISOString(), last_error: null });
+    const deadlines = new Set(desired.map((d) => d.key.slice(0, d.key.lastIndexOf(':')))).size;
+    if (result.added || result.updated || result.removed) {
+      console.log(`📝 Deadline reminders for ${jid}: +${result.added} ~${result.updated} -${result.removed}`);
+    }
+    return { linked: true, deadlines, ...result };
+  });
+}
+
+let syncTimer = null;
+let syncing = false;
+
+/** Sync every student who opted in, one at a time. */
+async function syncAll() {
+  if (syncing || !uniportal.isConfigured()) return;
+  syncing = true;
+  try {
+    const { data, error } = await supabase.from('deadline_subscriptions').select('jid, session').eq('enabled', true);
+    if (error) throw error;
+    for (const sub of data || []) {
+      try {
+        await syncStudent(sub.jid, sub.session);
+      } catch (err) {
+        console.warn(`deadline sync for ${sub.jid} failed:`, err.message || err);
+        await setSubscription(sub.jid, { last_error: String(err.message || err).slice(0, 500) }).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error('❌ Deadline sync failed:', err.message || err);
+  } finally {
+    syncing = false;
+  }
+}
+
+/** Start the periodic sync. Only the leader runs it (leader.js). */
+function startDeadlineSync() {
+  if (syncTimer) return;
+  console.log(`📝 Syncing deadline reminders every ${SYNC_MS / 60000} min (${OFFSETS.map((o) => o.label).join(', ')} before)`);
+  syncTimer = setInterval(syncAll, SYNC_MS);
+  syncTimer.unref?.();
+  setImmediate(syncAll);
+}
+
+function stopDeadlineSync() {
+  if (syncTimer) clearInterval(syncTimer);
+  syncTimer = null;
+}
+
+/* ============================
+   Chat command
+   "deadline reminders on|off", or just "deadline reminders" to ask.
+============================= */
+const DEADLINE_PAT = /^deadline\s+reminders?(?:\s+(on|off|start|stop))?[.!]*$/i;
+
+function offsetWords() {
+  const words = OFFSETS.map((o) => o.words);
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words.at(-1)}` : words[0];
+}
+
+/**
+ * Handle the opt-in command in a private chat. Returns the reply, or null
+ * when the text is not one.
+ */
+async function handleDeadlineCommand(jid, text) {
+  const m = (text || '').trim().match(DEADLINE_PAT);
+  if (!m) return null;
+  const choice = m[1]?.toLowerCase();
+  try {
+    if (!choice) {
+      return (await isSubscribed(jid))
+        ? `📝 Deadline reminders are *on*: ${offsetWords()} before each assessment and task. Send *deadline reminders off* to stop.`
+        : '📝 Deadline reminders are *off*. Send *deadline reminders on* and I\'ll remind you before each assessment and task is due.';
+    }
+    if (choice === 'off' || choice === 'stop') {
+      await unsubscribe(jid);
+      return '👍 Deadline reminders are off, and the ones still to come are removed. Send *deadline reminders on* to turn them back on.';
+    }
+    if (!uniportal.isConfigured()) return '⚠️ Deadline reminders aren\'t available here yet.';
+    await setSubscription(jid, { enabled: true, session: tenants.currentSession(), last_error: null });
+    const result = await syncStudent(jid, tenants.currentSession());
+    if (!result.linked) {
+      return 'ℹ️ Deadline reminders need your student account. Send *link your-university-email@example.ac.uk* to connect it first.';
+    }
+    return `✅ Deadline reminders are on — ${offsetWords()} before each assessment and task. ` +
+      (result.deadlines
+        ? `I've set them for ${result.deadlines} upcoming deadline${result.deadlines === 1 ? '' : 's'}`
+        : 'You have no upcoming deadlines right now') +
+      ', and I\'ll keep them up to date. Send *reminders* to see them.';
+  } catch (err) {
+    console.error('deadline command failed:', err.message || err);
+    return "⚠️ I couldn't update your deadline reminders just now. Please try again shortly.";
+  }
+}
+
+module.exports = {
+  startDeadlineSync,
+  stopDeadlineSync,
+  syncAll,
+  syncStudent,
+  unsubscribe,
+  handleDeadlineCommand,
+};
@@ -0,0 +1,289 @@
+// dialog.js
+// Conversation state: every multi-step flow that is waiting on the student's
+// next message.
+//
+// These used to be separate in-memory Maps, each with its own TTL check —
+// staged posts and actions in ai.js, link codes and counselor messages in
+// server.js, onboarding progress and the last course results on the session
+// profile — so a restart or deploy silently dropped them all. They now share
+// one store that survives restarts, with a type, an expiry, and a precedence
+// for deciding which pending flow claims an ambiguous reply such as "yes".
+//
+// Storage is chosen with STATE_STORE (store.js): `supabase` (default, table
+// dialog_states), `sqlite` (the bot's local database) or `memory`. Every write
+// is mirrored in memory, so a store outage degrades to the old behaviour
+// rather than losing the conversation mid-flow.
+
+const { supabase } = require('./config');
+const { openStore } = require('./store');
+const tenants = require('./tenants');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * The flows, in precedence order: when several are pending for one chat, the
+ * lowest `priority` gets the first chance to claim a message, and within a
+ * priority the most recently staged one goes first — the confirmation the
+ * student just saw is the one their "yes" answers.
+ *
+ * A `perSession` flow belongs to the WhatsApp number it was started on
+ * (tenants.js): a "yes" sent to another number — another university — must
+ * not confirm it, so there it is treated as absent.
+ */
+const STATES = {
+  COUNSELOR_MESSAGE: { kind: 'counselor_message', priority: 0, ttlMs: 7 * DAY },
+  REMINDER_MESSAGE: { kind: 'reminder_message', priority: 0, ttlMs: 2 * DAY },
+  HANDOVER: { kind: 'handover', priority: 5, ttlMs: DAY },
+  LINK_CODE: { kind: 'link_code', priority: 10, ttlMs: 15 * MINUTE, perSession: true },
+  CONFIRM_POST: { kind: 'confirm_post', priority: 20, ttlMs: 10 * MINUTE, perSession: true },
+  CONFIRM_ACTION: { kind: 'confirm_action', priority: 20, ttlMs: 10 * MINUTE, perSession: true },
+  CONFIRM_ACCOUNT: { kind: 'confirm_account', priority: 20, ttlMs: 10 * MINUTE, perSession: true },
+  REMINDER_DRAFT: { kind: 'reminder_draft', priority: 20, ttlMs: 10 * MINUTE, perSession: true },
+  ONBOARDING: { kind: 'onboarding', priority: 30, ttlMs: 30 * DAY },
+  COURSE_RESULTS: { kind: 'course_results', priority: 40, ttlMs: 60 * MINUTE },
+};
+const BY_KIND = Object.fromEntries(Object.values(STATES).map((s) => [s.kind, s]));
+
+// The prompts a bare "yes" or "no" can answer. Each is settled by its own
+// handler, in whatever order those run; latestConfirmation tells each one
+// whether the reply is its to take.
+const CONFIRMATIONS = [STATES.CONFIRM_POST, STATES.CONFIRM_ACTION, STATES.CONFIRM_ACCOUNT, STATES.REMINDER_DRAFT]
+  .map((s) => s.kind);
+
+function specFor(kind) {
+  const spec = BY_KIND[kind];
+  if (!spec) throw new Error(`unknown dialog state "${kind}"`);
+  return spec;
+}
+
+/* ============================
+   Backends
+   Rows are { jid, kind, key, data, session, expiresAt, updatedAt } with times
+   in ms; `session` is set for perSession flows only.
+============================= */
+function memoryBackend() {
+  const rows = new Map();
+  const id = (jid, kind, key) => `${jid}\u0000${kind}\u0000${key}`;
+  return {
+    async get(jid, kind, key) { return rows.get(id(jid, kind, key)) || null; },
+    async list(jid) { return [...rows.values()].filter((r) => r.jid === jid); },
+    async listKind(kind) { return [...rows.values()].filter((r) => r.kind === kind); },
+    async put(row) { rows.set(id(row.jid, row.kind, row.key), row); },
+    async remove(jid, kind, key) { rows.delete(id(jid, kind, key)); },
+    async purge(now) {
+      let n = 0;
+      for (const [k, r] of rows) if (r.expiresAt <= now) { rows.delete(k); n++; }
+      return n;
+    },
+  };
+}
+
+function sqliteBackend() {
+  const { ensureSchema, ensureColumn } = require('./localdb');
+  const db = () => ensureSchema('dialog_states', `
+    CREATE TABLE IF NOT EXISTS dialog_states (
+      jid        TEXT    NOT NULL,
+      kind       TEXT    NOT NULL,
+      key        TEXT    NOT NULL DEFAULT '',
+      data       TEXT,
+      expires_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (jid, kind, key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_dialog_states_expires ON dialog_states (expires_at);
+  `, (d) => ensureColumn(d, 'dialog_states', 'session', 'TEXT'));
+  const toRow = (r) => r && ({
+    jid: r.jid, kind: r.kind, key: r.key,
+    data: r.data ? JSON.parse(r.data) : null,
+    session: r.session ?? null,
+    expiresAt: r.expires_at, updatedAt: r.updated_at,
+  });
+  return {
+    async get(jid, kind, key) {
+      return toRow(db().prepare(
+        'SELECT * FROM dialog_states WHERE jid = ? AND kind = ? AND key = ?').get(jid, kind, key));
+    },
+    async list(jid) {
+      return db().prepare('SELECT * FROM dialog_states WHERE jid = ?').all(jid).map(toRow);
+    },
+    async listKind(kind) {
+      return db().prepare('SELECT * FROM dialog_states WHERE kind = ?').all(kind).map(toRow);
+    },
+    async put(row) {
+      db().prepare(`
+        INSERT INTO dialog_states (jid, kind, key, data, session, expires_at, updated_at)
+        VALUES (@jid, @kind, @key, @data, @session, @expiresAt, @updatedAt)
+        ON CONFLICT (jid, kind, key) DO UPDATE SET
+          data = excluded.data, session = excluded.session,
+          expires_at = excluded.expires_at, updated_at = excluded.updated_at
+      `).run({ ...row, data: JSON.stringify(row.data ?? null), session: row.session ?? null });
+    },
+    async remove(jid, kind, key) {
+      db().prepare('DELETE FROM dialog_states WHERE jid = ? AND kind = ? AND key = ?').run(jid, kind, key);
+    },
+    async purge(now) {
+      return db().prepare('DELETE FROM dialog_states WHERE expires_at <= ?').run(now).changes;
+    },
+  };
+}
+
+function supabaseBackend() {
+  const table = () => supabase.from('dialog_states');
+  const toRow = (r) => r && ({
+    jid: r.jid, kind: r.kind, key: r.key, data: r.data, session: r.session ?? null,
+    expiresAt: Date.parse(r.expires_at), updatedAt: Date.parse(r.updated_at),
+  });
+  const check = ({ data, error }) => { if (error) throw error; return data; };
+  return {
+    async get(jid, kind, key) {
+      const rows = check(await table().select('*').eq('jid', jid).eq('kind', kind).eq('key', key).limit(1));
+      return toRow(rows?.[0]);
+    },
+    async list(jid) {
+      return (check(await table().select('*').eq('jid', jid)) || []).map(toRow);
+    },
+    async listKind(kind) {
+      return (check(await table().select('*').eq('kind', kind)) || []).map(toRow);
+    },
+    async put(row) {
+      check(await table().upsert({
+        jid: row.jid, kind: row.kind, key: row.key, data: row.data ?? null, session: row.session ?? null,
+        expires_at: new Date(row.expiresAt).toISOString(),
+        updated_at: new Date(row.updatedAt).toISOString(),
+      }, { onConflict: 'jid,kind,key' }));
+    },
+    async remove(jid, kind, key) {
+      check(await table().delete().eq('jid', jid).eq('kind', kind).eq('key', key));
+    },
+    async purge(now) {
+      const rows = check(await table().delete().lte('expires_at', new Date(now).toISOString()).select('jid'));
+      return rows?.length || 0;
+    },
+  };
+}
+
+const { store, mirror, run } = openStore('Dialog state',
+  { memory: memoryBackend, sqlite: sqliteBackend, supabase: supabaseBackend },
+  { mirror: true, whileDown: 'using memory' });
+
+/** Run against the durable store, falling back to the in-memory mirror if it fails. */
+async function withStore(op, ...args) {
+  if (store === mirror) return mirror[op](...args);
+  return run(op, args, () => mirror[op](...args));
+}
+
+/* ============================
+   API
+============================= */
+function live(row, now = Date.now()) {
+  return row && row.expiresAt > now ? row : null;
+}
+
+/** Whether the number this message came in on may see the row (see perSession). */
+function ownSession(row) {
+  const current = tenants.currentSession();
+  return !row.session || !current || row.session === current;
+}
+
+/** Start or replace a flow. `ttlMs` overrides the state's default expiry. */
+async function setState(jid, kind, data, { key = '', ttlMs } = {}) {
+  const spec = specFor(kind);
+  const now = Date.now();
+  const session = spec.perSession ? tenants.currentSession() : null;
+  const row = { jid, kind, key, data, session, expiresAt: now + (ttlMs ?? spec.ttlMs), updatedAt: now };
+  await mirror.put(row);
+  if (store !== mirror) await withStore('put', row);
+  return row;
+}
+
+/**
+ * The flow's data, or null when there is none, it has expired, or it belongs
+ * to another number (left for that one).
+ */
+async function getState(jid, kind, key = '') {
+  specFor(kind);
+  if (!jid) return null;
+  const row = await withStore('get', jid, kind, key);
+  if (live(row)) return ownSession(row) ? row.data : null;
+  if (row) await clearState(jid, kind, key);
+  return null;
+}
+
+/**
+ * The flow's row `{ data, expiresAt, updatedAt }` as stored, expired or not,
+ * and left in place — for flows that must act on their own expiry (see
+ * handover.js), which getState would have deleted unseen.
+ */
+async function peekState(jid, kind, key = '') {
+  specFor(kind);
+  if (!jid) return null;
+  const row = await withStore('get', jid, kind, key);
+  return row ? { data: row.data, expiresAt: row.expiresAt, updatedAt: row.updatedAt } : null;
+}
+
+async function clearState(jid, kind, key = '') {
+  await mirror.remove(jid, kind, key);
+  if (store !== mirror) await withStore('remove', jid, kind, key);
+}
+
+/** Read and end a flow in one step — for answers that settle it. */
+async function takeState(jid, kind, key = '') {
+  const data = await getState(jid, kind, key);
+  if (data !== null) await clearState(jid, kind, key);
+  return data;
+}
+
+/**
+ * Live flows for a chat, in precedence order (see STATES).
+ * @param {string} jid
+ * @param {string[]} [kinds]  only these kinds
+ */
+async function pendingStates(jid, kinds) {
+  if (!jid) return [];
+  const now = Date.now();
+  const rows = (await withStore('list', jid)) || [];
+  return rows
+    .filter((r) => live(r, now) && ownSession(r) && BY_KIND[r.kind] && (!kinds || kinds.includes(r.kind)))
+    .sort((a, b) => BY_KIND[a.kind].priority - BY_KIND[b.kind].priority || b.updatedAt - a.updatedAt);
+}
+
+/**
+ * The confirmation prompt a chat is waiting on: the most recently staged of
+ * CONFIRMATIONS, as `{ kind, data, … }`, or null.
+ */
+async function latestConfirmation(jid) {
+  const [latest] = await pendingStates(jid, CONFIRMATIONS);
+  return latest || null;
+}
+
+/**
+ * Every row of one kind across all chats, expired ones included — for flows
+ * that must act on their own expiry (see handover.js) before the sweep
+ * deletes them. Rows are `{ jid, key, data, expiresAt, updatedAt }`.
+ */
+async function listStates(kind) {
+  specFor(kind);
+  const rows = (await withStore('listKind', kind)) || [];
+  return rows.map(({ jid, key, data, expiresAt, updatedAt }) => ({ jid, key, data, expiresAt, updatedAt }));
+}
+
+/** Delete every expired row. Called from the server's sweep timer. */
+async function purgeExpired() {
+  const now = Date.now();
+  await mirror.purge(now);
+  return store === mirror ? 0 : withStore('purge', now);
+}
+
+module.exports = {
+  STATES,
+  setState,
+  getState,
+  peekState,
+  takeState,
+  clearState,
+  pendingStates,
+  latestConfirmation,
+  listStates,
+  purgeExpired,
+};
@@ -0,0 +1,153 @@
+// events.js
+// Conversation events pushed to uniportal, for the student's timeline.
+//
+// The bot only ever called uniportal to link, look up and act, so staff never
+// saw what students asked on WhatsApp. With UNIPORTAL_WEBHOOK_URL set, these
+// are POSTed there, signed like every other request (signing.js):
+//
+//   message.inbound   a linked student wrote to the bot (private chats only)
+//   link.completed    a number was connected (or moved) to an account
+//   link.removed      a number was disconnected
+//   tool.action       the assistant did something on the student's behalf
+//   escalation        something was handed to a human (counselor reply, send_message, handover)
+//   handover.closed   a handover ended (student, counselor or idle timeout)
+//
+// Envelope: { id, event, at, jid, session, data }. `id` is stable across
+// retries, so the receiver can drop duplicates; `session` is the WhatsApp
+// number (tenants.js) the conversation is on.
+//
+// Privacy filters, all read at send time:
+//   UNIPORTAL_WEBHOOK_EVENTS        comma list of events to send (default: all)
+//   UNIPORTAL_WEBHOOK_INCLUDE_TEXT  "true" to include what the student wrote;
+//                                   otherwise only its length goes out
+// Even with text included, anything shaped like a link code, phone number or
+// email address is masked: those belong to the student, not to their file.
+//
+// Delivery is best effort with retries: a queue in memory, exponential backoff,
+// and a bounded size so an unreachable receiver cannot eat the process.
+
+const crypto = require('crypto');
+const uniportal = require('./uniportal');
+const tenants = require('./tenants');
+
+const EVENTS = ['message.inbound', 'link.completed', 'link.removed', 'tool.action', 'escalation', 'handover.closed'];
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 5000;
+const MAX_QUEUE = 1000;
+const TICK_MS = 1000;
+
+/* ============================
+   Privacy filters
+============================= */
+function enabledEvents() {
+  const list = (process.env.UNIPORTAL_WEBHOOK_EVENTS || '').split(',').map((e) => e.trim()).filter(Boolean);
+  return list.length && !list.includes('*') ? new Set(list) : new Set(EVENTS);
+}
+
+function includeText() {
+  return process.env.UNIPORTAL_WEBHOOK_INCLUDE_TEXT === 'true';
+}
+
+// Phone numbers are matched by shape — a leading +, a WhatsApp jid, or ten
+// digits or more — so dates, times and prices in the text survive.
+function mask(text) {
+  return String(text)
+    .replace(/\b\d+@(?:s\.whatsapp\.net|c\.us|lid)\b/g, '[number]')
+    .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]')
+    .replace(/\+\d[\d\s().-]{5,}\d/g, '[number]')
+    .replace(/\b\d(?:\s?\d){9,}\b/g, '[number]')
+    .replace(/\b\d{6}\b/g, '[code]');
+}
+
+/** A `text` field becomes `{ text, textLength }`, or just `{ textLength }`. */
+function filterData(data) {
+  const out = { ...data };
+  if (typeof out.text === 'string') {
+    out.textLength = out.text.length;
+    if (includeText()) out.text = mask(out.text);
+    else delete out.text;
+  }
+  return out;
+}
+
+/* ============================
+   Queue
+============================= */
+const queue = []; // { envelope, attempts, nextAttemptAt }
+let sending = false;
+let ticker = null;
+
+/**
+ * Report an event. Returns at once; never throws. Groups never produce events
+ * — what is said there is not one student's record.
+ * @param {string} event  one of EVENTS
+ * @param {string} jid    the student's WhatsApp id
+ * @param {Object} [data]
+ */
+function emit(event, jid, data = {}) {
+  try {
+    if (!uniportal.webhookUrl() || !jid || jid.endsWith('@g.us')) return;
+    if (!EVENTS.includes(event)) throw new Error(`unknown event "${event}"`);
+    if (!enabledEvents().has(event)) return;
+    if (queue.length >= MAX_QUEUE) {
+      const dropped = queue.shift();
+      console.warn(`⚠️ Event queue full — dropped ${dropped.envelope.event} ${dropped.envelope.id}`);
+    }
+    queue.push({
+      envelope: {
+        id: crypto.randomUUID(), event, at: new Date().toISOString(), jid,
+        session: tenants.currentSession(), data: filterData(data),
+      },
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+    });
+    startTicker();
+    setImmediate(drain);
+  } catch (err) {
+    console.error('event emit failed:', err.message);
+  }
+}
+
+// By index lookup: the item may already have been pushed out by a full queue.
+function remove(item) {
+  const i = queue.indexOf(item);
+  if (i >= 0) queue.splice(i, 1);
+}
+
+async function drain() {
+  if (sending) return;
+  sending = true;
+  try {
+    const now = Date.now();
+    for (const item of queue.filter((i) => i.nextAttemptAt <= now)) {
+      item.attempts++;
+      try {
+        // Outside a message (a reminder, a sweep) the session is looked up
+        // here rather than in emit, which must not wait on the store.
+        item.envelope.session ||= (await tenants.homeSession(item.envelope.jid)) || tenants.defaultSession();
+        await uniportal.sendEvent(item.envelope);
+        remove(item);
+      } catch (err) {
+        if (!err.retryable || item.attempts >= MAX_ATTEMPTS) {
+          remove(item);
+          console.error(`❌ Gave up on ${item.envelope.event} event ${item.envelope.id} after ${item.attempts} attempt(s):`, err.message);
+        } else {
+          item.nextAttemptAt = Date.now() + RETRY_BASE_MS * 2 ** (item.attempts - 1);
+        }
+      }
+    }
+  } finally {
+    sending = false;
+  }
+}
+
+function startTicker() {
+  if (ticker) return;
+  ticker = setInterval(() => {
+    if (!queue.length) { clearInterval(ticker); ticker = null; return; }
+    drain();
+  }, TICK_MS);
+  ticker.unref?.();
+}
+
+module.exports = { EVENTS, emit };
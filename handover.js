@@ -0,0 +1,187 @@
+// handover.js
+// Handing a conversation to a person at the student's university.
+//
+// A student used to reach a human only by quote-replying to a counselor's
+// message, or by having the assistant stage a one-off `send_message`. Now
+// "talk to a human" — or the assistant, when it sees the student getting
+// nowhere — opens a handover: every following message goes to the counselor
+// inbox through uniportal.act, and the assistant stays silent until the
+// counselor closes it, the student sends "end chat", or it sits idle for
+// HANDOVER_IDLE_HOURS.
+//
+// One dialog state per chat (dialog.js HANDOVER); each message either way
+// pushes its expiry out, so the idle timeout counts from the last exchange.
+
+const dialog = require('./dialog');
+const uniportal = require('./uniportal');
+const events = require('./events');
+const tenants = require('./tenants');
+
+const KIND = dialog.STATES.HANDOVER.kind;
+const IDLE_MS = (Number(process.env.HANDOVER_IDLE_HOURS) || 24) * 60 * 60 * 1000;
+
+const REQUEST_PAT =
+  /^(?:can i |could i |i want to |i'd like to |let me )?(?:talk|speak|chat)\s+(?:to|with)\s+(?:a\s+|an\s+|someone\s+|a\s+real\s+)?(?:human|person|counsel+or|advis[eo]r|agent|staff|someone)\b|^(?:human|agent|real person)(?:\s+please)?[.!?]*$/i;
+const END_PAT = /^(?:end chat|end handover|back to (?:the )?bot|stop chat)[.!]*$/i;
+
+let sendFn = async () => {};
+let onChangeFn = () => {};
+
+/**
+ * @param {Object} opts
+ * @param {Function} opts.send      async (jid, text, sessionId) => void — a reply to the student,
+ *                                  from the WhatsApp session the handover was opened on
+ * @param {Function} [opts.onChange] () => void — the set of open handovers changed
+ */
+function initHandover({ send, onChange }) {
+  sendFn = send;
+  if (onChange) onChangeFn = onChange;
+}
+
+function looksLikeHandoverRequest(text) {
+  return REQUEST_PAT.test((text || '').trim());
+}
+
+async function getHandover(jid) {
+  return dialog.getState(jid, KIND);
+}
+
+async function touch(jid, session, changes = {}) {
+  await dialog.setState(jid, KIND, { ...session, ...changes, lastActivityAt: Date.now() }, { ttlMs: IDLE_MS });
+}
+
+/**
+ * Open a handover (or find the one already open).
+ * @param {string} jid
+ * @param {Object} opts
+ * @param {string} opts.source   'student' (asked for it) or 'assistant' (model decided)
+ * @param {string} [opts.reason] why — shown to the counselor
+ * @returns {Promise<string>} what to tell the student
+ */
+async function openHandover(jid, { source, reason = null }) {
+  if (await getHandover(jid)) {
+    return '🧑‍💼 You are already talking to your university team — just keep writing here.';
+  }
+  await uniportal.act(jid, 'send_message', {
+    target: 'handover',
+    text: `🙋 ${source === 'assistant' ? 'The assistant handed this student over' : 'Student asked to talk to a person'} ` +
+      `on WhatsApp${reason ? ` (${reason})` : ''}. ` +
+      'Their next messages will follow here; the assistant is paused until you close the handover.',
+  });
+  await touch(jid, { openedAt: Date.now(), source, reason, forwarded: 0, session: await tenants.sessionFor(jid) });
+  events.emit('escalation', jid, { via: 'handover', source, reason });
+  console.log(`🧑‍💼 Handover opened for ${jid} (${source})`);
+  onChangeFn();
+  return '🧑‍💼 I\'ve asked someone from your university team to pick this up. Everything you send now goes to them, ' +
+    'and I\'ll stay quiet until they\'re done.\n\nSend *end chat* to come back to me.';
+}
+
+/**
+ * Handle a message in a chat that has a handover open. Returns false when
+ * there is none, or it has just timed out, so the caller carries on as normal.
+ */
+async function handleHandoverMessage(jid, text) {
+  // Read expired or not: a handover that went idle since the last sweep is
+  // closed (and the student told) here, rather than silently dropped.
+  const row = await dialog.peekState(jid, KIND);
+  if (!row) return false;
+  if (row.expiresAt <= Date.now()) {
+    await closeHandover(jid, { by: 'timeout', state: row.data || {} });
+    return false;
+  }
+  const session = row.data;
+
+  if (END_PAT.test((text || '').trim())) {
+    await closeHandover(jid, { by: 'student' });
+    return true;
+  }
+  if (!text) {
+    await sendFn(jid, '⚠️ Only text messages can be passed on to your university team.');
+    return true;
+  }
+  try {
+    await uniportal.act(jid, 'send_message', { target: 'handover', text });
+    await touch(jid, session, { forwarded: (session.forwarded || 0) + 1 });
+  } catch (err) {
+    console.error('handover forward failed:', err.message);
+    await sendFn(jid, "⚠️ I couldn't pass that on. Please try again shortly.");
+  }
+  return true;
+}
+
+/** A counselor wrote to the student: the conversation is alive, keep it open. */
+async function noteCounselorActivity(jid) {
+  const session = await getHandover(jid);
+  if (session) await touch(jid, session);
+}
+
+const CLOSE_MESSAGES = {
+  student: '🤖 You\'re back with the assistant. Say *talk to a human* any time to reach your university team again.',
+  counselor: '✅ Your university team has closed this conversation. You\'re back with the assistant.',
+  timeout: '⌛ This conversation with your university team has ended after a quiet spell. You\'re back with the assistant — ' +
+    'say *talk to a human* to reach them again.',
+};
+
+/**
+ * Close a handover and tell the student.
+ * @param {string} jid
+ * @param {Object} opts
+ * @param {'student'|'counselor'|'timeout'} opts.by
+ * @param {Object} [opts.state]  the handover's state, when the caller already has it (an expired one
+ *                               is no longer returned by dialog.getState)
+ * @returns {Promise<boolean>} false when none was open
+ */
+async function closeHandover(jid, { by, state = null }) {
+  const session = state || await getHandover(jid);
+  if (!session) return false;
+  await dialog.clearState(jid, KIND);
+  events.emit('handover.closed', jid, { by });
+  console.log(`🧑‍💼 Handover closed for ${jid} (${by})`);
+  onChangeFn();
+  await sendFn(jid, CLOSE_MESSAGES[by], session.session || await tenants.sessionFor(jid));
+  if (by === 'student') {
+    uniportal.act(jid, 'send_message', { target: 'handover', text: '👋 The student ended the handover and is back with the assistant.' })
+      .catch((err) => console.error('handover close notice failed:', err.message));
+  }
+  return true;
+}
+
+/** Open handovers, oldest first. */
+async function listHandovers() {
+  const now = Date.now();
+  return (await dialog.listStates(KIND))
+    .filter((r) => r.expiresAt > now)
+    .map((r) => ({
+      jid: r.jid,
+      openedAt: new Date(r.data?.openedAt || r.updatedAt).toISOString(),
+      lastActivityAt: new Date(r.data?.lastActivityAt || r.updatedAt).toISOString(),
+      expiresAt: new Date(r.expiresAt).toISOString(),
+      source: r.data?.source || null,
+      reason: r.data?.reason || null,
+      forwarded: r.data?.forwarded || 0,
+      session: r.data?.session || null,
+    }))
+    .sort((a, b) => a.openedAt.localeCompare(b.openedAt));
+}
+
+/**
+ * Close handovers that went idle, telling each student. Must run before the
+ * dialog sweep deletes the expired rows. Called from the server's sweep.
+ */
+async function expireIdleHandovers() {
+  const now = Date.now();
+  for (const row of await dialog.listStates(KIND)) {
+    if (row.expiresAt <= now) await closeHandover(row.jid, { by: 'timeout', state: row.data || {} });
+  }
+}
+
+module.exports = {
+  initHandover,
+  looksLikeHandoverRequest,
+  openHandover,
+  handleHandoverMessage,
+  noteCounselorActivity,
+  closeHandover,
+  listHandovers,
+  expireIdleHandovers,
+};
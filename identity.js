@@ -0,0 +1,280 @@
+// identity.js
+// One identity per student, whichever address WhatsApp uses for them.
+//
+// WhatsApp is moving senders onto LIDs ("linked identities", `123…@lid`) that
+// hide the phone number — in groups first, and increasingly in private chats.
+// Everything the bot keys on is the phone-number jid (`447…@s.whatsapp.net`):
+// users.user_id, uniportal's link records, match invites, the wa.me links
+// handleAcceptCode builds. A LID matches none of them, so the same student
+// looked like a stranger.
+//
+// LID ↔ phone-number pairs are learned from whatever Baileys reveals —
+// contacts, group participant lists, the "share phone number" event, and the
+// sender fields newer Baileys versions put on message keys — and stored, so
+// every inbound sender can be resolved to the phone-number jid before profile
+// lookup, linking or matching. A LID that cannot be resolved stays as it is:
+// a consistent identity, just not one the rest of the system knows yet.
+//
+// Storage follows STATE_STORE (store.js), in table wa_identities.
+
+const { supabase } = require('./config');
+const { openStore } = require('./store');
+
+const PN_SERVER = 's.whatsapp.net';
+const LID_SERVER = 'lid';
+const GROUP_REFRESH_MS = 10 * 60 * 1000;
+const MISS_TTL_MS = 60 * 1000;
+
+/* ============================
+   Jids
+============================= */
+/** `user@server` without the device or agent part; `c.us` becomes `s.whatsapp.net`. */
+function bareJid(jid) {
+  if (typeof jid !== 'string' || !jid.includes('@')) return null;
+  const [user, server] = jid.split('@');
+  const bareUser = user.split(':')[0].split('_')[0];
+  if (!bareUser) return null;
+  return `${bareUser}@${server === 'c.us' ? PN_SERVER : server}`;
+}
+
+const isLid = (jid) => typeof jid === 'string' && jid.endsWith(`@${LID_SERVER}`);
+const isPn = (jid) => typeof jid === 'string' && jid.endsWith(`@${PN_SERVER}`);
+
+/* ============================
+   Backends
+   Records are { lid, pn, source, updatedAt }; one per LID, and a phone number
+   maps to the LID it was last seen with.
+============================= */
+function memoryBackend() {
+  const byLid = new Map();
+  const byPn = new Map();
+  return {
+    async getByLid(lid) { return byLid.get(lid) || null; },
+    async getByPn(pn) { return byPn.get(pn) || null; },
+    async put(rec) {
+      const old = byLid.get(rec.lid);
+      if (old && byPn.get(old.pn) === old) byPn.delete(old.pn);
+      byLid.set(rec.lid, rec);
+      byPn.set(rec.pn, rec);
+    },
+  };
+}
+
+function sqliteBackend() {
+  const { ensureSchema } = require('./localdb');
+  const db = () => ensureSchema('wa_identities', `
+    CREATE TABLE IF NOT EXISTS wa_identities (
+      lid        TEXT PRIMARY KEY,
+      pn         TEXT NOT NULL,
+      source     TEXT,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_wa_identities_pn ON wa_identities (pn);
+  `);
+  const toRec = (r) => r && { lid: r.lid, pn: r.pn, source: r.source, updatedAt: r.updated_at };
+  return {
+    async getByLid(lid) { return toRec(db().prepare('SELECT * FROM wa_identities WHERE lid = ?').get(lid)); },
+    async getByPn(pn) {
+      return toRec(db().prepare('SELECT * FROM wa_identities WHERE pn = ? ORDER BY updated_at DESC LIMIT 1').get(pn));
+    },
+    async put(rec) {
+      db().prepare(`
+        INSERT OR REPLACE INTO wa_identities (lid, pn, source, updated_at)
+        VALUES (@lid, @pn, @source, @updatedAt)
+      `).run({ source: null, ...rec });
+    },
+  };
+}
+
+function supabaseBackend() {
+  const toRec = (r) => r && { lid: r.lid, pn: r.pn, source: r.source, updatedAt: Date.parse(r.updated_at) };
+  const one = async (column, value) => {
+    const { data, error } = await supabase
+      .from('wa_identities')
+      .select('*')
+      .eq(column, value)
+      .order('updated_at', { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return toRec(data?.[0]);
+  };
+  return {
+    getByLid: (lid) => one('lid', lid),
+    getByPn: (pn) => one('pn', pn),
+    async put(rec) {
+      const { error } = await supabase.from('wa_identities').upsert({
+        lid: rec.lid, pn: rec.pn, source: rec.source ?? null, updated_at: new Date(rec.updatedAt).toISOString(),
+      });
+      if (error) throw error;
+    },
+  };
+}
+
+// Mappings are small and read on every message, so the mirror keeps them all.
+const { store, mirror, run } = openStore('Identity',
+  { memory: memoryBackend, sqlite: sqliteBackend, supabase: supabaseBackend },
+  { mirror: true, whileDown: 'resolving from memory only' });
+
+const withStore = (op, ...args) => run(op, args);
+
+// A LID nobody has paired yet is looked up on every message it sends — in a
+// busy group, many times a minute. Misses are remembered briefly instead;
+// learning a pair here forgets them at once, and MISS_TTL_MS bounds how long
+// a pair learned by another instance goes unseen.
+const misses = new Map(); // `${op} ${key}` -> ms the store had nothing
+
+function forgetMiss(op, key) {
+  misses.delete(`${op} ${key}`);
+}
+
+async function load(op, key) {
+  const cached = await mirror[op](key);
+  if (cached || store === mirror) return cached;
+  const missKey = `${op} ${key}`;
+  const now = Date.now();
+  if (now - (misses.get(missKey) ?? -Infinity) < MISS_TTL_MS) return null;
+  const rec = await withStore(op, key);
+  if (rec) {
+    misses.delete(missKey);
+    await mirror.put(rec);
+    return rec;
+  }
+  if (misses.size >= 1000) for (const [k, at] of misses) if (now - at >= MISS_TTL_MS) misses.delete(k);
+  misses.set(missKey, now);
+  return null;
+}
+
+/* ============================
+   Learning
+============================= */
+/**
+ * Record that a LID and a phone-number jid are the same person. Arguments may
+ * come in either order; anything that is not one of each is ignored.
+ * @returns {Promise<boolean>} true when this was new
+ */
+async function learn(a, b, source) {
+  const x = bareJid(a);
+  const y = bareJid(b);
+  const lid = isLid(x) ? x : isLid(y) ? y : null;
+  const pn = isPn(x) ? x : isPn(y) ? y : null;
+  if (!lid || !pn) return false;
+
+  const known = await load('getByLid', lid);
+  if (known?.pn === pn) return false;
+  if (known) console.warn(`⚠️ ${lid} moved from ${known.pn} to ${pn} (${source})`);
+  const rec = { lid, pn, source, updatedAt: Date.now() };
+  forgetMiss('getByLid', lid);
+  forgetMiss('getByPn', pn);
+  await mirror.put(rec);
+  if (store !== mirror) await withStore('put', rec);
+  if (!known) console.log(`🪪 Learned ${lid} → ${pn} (${source})`);
+  return true;
+}
+
+/**
+ * Pairs from Baileys contacts or group participants. Depending on the
+ * version and addressing mode, `id` is either address and the other one is in
+ * `lid`, `jid` or `phoneNumber`.
+ */
+async function learnFromContacts(contacts, source = 'contacts') {
+  for (const c of contacts || []) {
+    const other = c?.lid || c?.jid || c?.phoneNumber;
+    if (c?.id && other) await learn(c.id, other, source);
+  }
+}
+
+async function learnFromGroup(metadata) {
+  await learnFromContacts(metadata?.participants, 'group');
+}
+
+/** Newer Baileys put the other address of the sender on the message key. */
+async function learnFromMessage(msg) {
+  const key = msg?.key;
+  if (!key) return;
+  if (key.senderPn) await learn(key.remoteJid, key.senderPn, 'message');
+  if (key.senderLid) await learn(key.remoteJid, key.senderLid, 'message');
+  if (key.participant && key.participantPn) await learn(key.participant, key.participantPn, 'message');
+  if (key.participant && key.participantLid) await learn(key.participant, key.participantLid, 'message');
+}
+
+/* ============================
+   Resolution
+============================= */
+let fetchGroupFn = null;
+const groupFetchedAt = new Map(); // groupJid -> ms
+const unresolved = new Set();     // LIDs already reported, to log each once
+
+/**
+ * @param {Object} opts
+ * @param {Function} [opts.fetchGroup]  async (groupJid) => group metadata — used to
+ *   learn the pairs of a group when one of its members cannot be resolved
+ */
+function initIdentity({ fetchGroup } = {}) {
+  fetchGroupFn = fetchGroup || null;
+}
+
+async function refreshGroup(groupId) {
+  if (!fetchGroupFn || !groupId) return;
+  const last = groupFetchedAt.get(groupId) || 0;
+  if (Date.now() - last < GROUP_REFRESH_MS) return;
+  groupFetchedAt.set(groupId, Date.now());
+  try {
+    await learnFromGroup(await fetchGroupFn(groupId));
+  } catch (err) {
+    console.warn(`group metadata for ${groupId} failed:`, err.message);
+  }
+}
+
+/**
+ * The canonical identity for an address: the phone-number jid when it is
+ * known, otherwise the bare jid as given. Groups and other non-user jids pass
+ * through unchanged.
+ * @param {string} jid
+ * @param {Object} [opts]
+ * @param {string} [opts.groupId]  the group it was seen in, to look the member up there
+ */
+async function resolve(jid, { groupId = null } = {}) {
+  const bare = bareJid(jid);
+  if (!isLid(bare)) return bare;
+
+  let rec = await load('getByLid', bare);
+  if (!rec && groupId) {
+    await refreshGroup(groupId);
+    rec = await load('getByLid', bare);
+  }
+  if (rec) {
+    unresolved.delete(bare);
+    return rec.pn;
+  }
+  if (!unresolved.has(bare)) {
+    unresolved.add(bare);
+    console.log(`🪪 No phone number known for ${bare} yet — using the LID as its identity`);
+  }
+  return bare;
+}
+
+/** The phone number (digits only) behind an address, or null if none is known. */
+async function phoneNumberFor(jid) {
+  const resolved = await resolve(jid);
+  return isPn(resolved) ? resolved.split('@')[0] : null;
+}
+
+/** The LID a phone-number jid was last seen with, or null. */
+async function lidFor(jid) {
+  const bare = bareJid(jid);
+  if (isLid(bare)) return bare;
+  if (!isPn(bare)) return null;
+  return (await load('getByPn', bare))?.lid || null;
+}
+
+module.exports = {
+  isLid,
+  initIdentity,
+  learn,
+  learnFromContacts,
+  learnFromGroup,
+  learnFromMessage,
+  resolve,
+  phoneNumberFor,
+  lidFor,
+};
@@ -0,0 +1,224 @@
+// leader.js
+// Which of several running instances owns the WhatsApp sockets and timers.
+//
+// Every replica used to start its sockets and its reminder scheduler. They
+// fought over the same WhatsApp sessions — each new connection kicks the
+// previous one off — and each polled for due reminders on its own, so every
+// reminder went out once per replica.
+//
+// Now the instances compete for one lease row (table leader_leases). Whoever
+// holds it is the leader: it renews the lease well before it runs out and is
+// the only one to run the sockets, the outbox and the schedulers. The others
+// are followers — they serve HTTP, pass /api/send on to the leader, and leave
+// anything else they queue in the store for the leader to pick up. When the
+// leader stops renewing (crash, network split), its lease runs out and the
+// next follower to try takes over.
+//
+// A leader that cannot renew steps down before its lease can run out, timed
+// by its own clock from when it last asked, so two instances never lead at
+// once whatever the clocks say.
+//
+// Storage follows STATE_STORE (store.js). With `memory` there is nothing
+// shared to compete over: the process is the only instance and always leads.
+
+const os = require('os');
+const crypto = require('crypto');
+const { supabase } = require('./config');
+const { openStore } = require('./store');
+
+const LEASE_NAME = process.env.LEADER_LEASE_NAME || 'whatsapp-bot';
+const TTL_MS = (Number(process.env.LEADER_LEASE_SECONDS) || 30) * 1000;
+// Renewed every quarter of the TTL; two misses in a row are survived, a third
+// steps down with a quarter still to run.
+const RENEW_MS = Math.floor(TTL_MS / 4);
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+/* ============================
+   Backends
+   `acquire` takes the lease for `holder` if it is free, expired or already
+   theirs, in one atomic step, and returns whoever holds it afterwards as
+   { holder, url, expiresAt } (ms).
+============================= */
+function memoryBackend() {
+  return {
+    async acquire(name, holder, url, ttlMs) { return { holder, url, expiresAt: Date.now() + ttlMs }; },
+    async release() {},
+  };
+}
+
+function sqliteBackend() {
+  const { ensureSchema } = require('./localdb');
+  const db = () => ensureSchema('leader_leases', `
+    CREATE TABLE IF NOT EXISTS leader_leases (
+      name       TEXT PRIMARY KEY,
+      holder     TEXT    NOT NULL,
+      url        TEXT,
+      expires_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+  return {
+    async acquire(name, holder, url, ttlMs) {
+      const now = Date.now();
+      db().prepare(`
+        INSERT INTO leader_leases (name, holder, url, expires_at, updated_at)
+        VALUES (@name, @holder, @url, @expiresAt, @now)
+        ON CONFLICT (name) DO UPDATE SET
+          holder = excluded.holder, url = excluded.url,
+          expires_at = excluded.expires_at, updated_at = excluded.updated_at
+        WHERE leader_leases.holder = excluded.holder OR leader_leases.expires_at <= excluded.updated_at
+      `).run({ name, holder, url, expiresAt: now + ttlMs, now });
+      const r = db().prepare('SELECT holder, url, expires_at FROM leader_leases WHERE name = ?').get(name);
+      return r && { holder: r.holder, url: r.url, expiresAt: r.expires_at };
+    },
+    async release(name, holder) {
+      db().prepare('DELETE FROM leader_leases WHERE name = ? AND holder = ?').run(name, holder);
+    },
+  };
+}
+
+// The compare-and-set runs in Postgres (acquire_leader_lease, see the
+// migration), against the database's clock rather than each instance's.
+function supabaseBackend() {
+  return {
+    async acquire(name, holder, url, ttlMs) {
+      const { data, error } = await supabase.rpc('acquire_leader_lease', {
+        p_name: name, p_holder: holder, p_url: url, p_ttl_ms: ttlMs,
+      });
+      if (error) throw error;
+      const r = Array.isArray(data) ? data[0] : data;
+      return r && { holder: r.holder, url: r.url, expiresAt: Date.parse(r.expires_at) };
+    },
+    async release(name, holder) {
+      const { error } = await supabase.from('leader_leases').delete().eq('name', name).eq('holder', holder);
+      if (error) throw error;
+    },
+  };
+}
+
+const { STORE, store, run } = openStore('Leader lease',
+  { memory: memoryBackend, sqlite: sqliteBackend, supabase: supabaseBackend });
+const UNREACHABLE = Symbol('unreachable');
+
+/* ============================
+   Election
+============================= */
+let instanceUrl = null;
+let onElectedFn = async () => {};
+let onDeposedFn = async () => {};
+
+let leading = false;
+let heldUntil = 0;     // local ms by which the lease is certainly still ours
+let lease = null;      // last seen { holder, url, expiresAt }
+let timer = null;
+let inFlight = false;
+let transition = Promise.resolve(); // elect/depose run one at a time, in order
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.url            where the other instances can reach this one over HTTP
+ * @param {Function} opts.onElected    async () => void — start the sockets and timers
+ * @param {Function} opts.onDeposed    async () => void — stop them again
+ */
+function initLeader({ url, onElected, onDeposed }) {
+  instanceUrl = url;
+  onElectedFn = onElected;
+  onDeposedFn = onDeposed;
+}
+
+function elect() {
+  leading = true;
+  console.log(`👑 ${INSTANCE_ID} is now the leader`);
+  transition = transition.then(() => onElectedFn())
+    .catch((err) => console.error('❌ leader start failed:', err));
+}
+
+function depose(why) {
+  if (!leading) return;
+  leading = false;
+  heldUntil = 0;
+  console.warn(`🪑 ${INSTANCE_ID} stepped down as leader (${why})`);
+  transition = transition.then(() => onDeposedFn())
+    .catch((err) => console.error('❌ leader stop failed:', err));
+}
+
+async function attempt() {
+  const askedAt = Date.now();
+  const result = await run('acquire', [LEASE_NAME, INSTANCE_ID, instanceUrl, TTL_MS], UNREACHABLE);
+  if (result === UNREACHABLE) return;
+  lease = result;
+  if (lease?.holder === INSTANCE_ID) {
+    heldUntil = askedAt + TTL_MS;
+    if (!leading) elect();
+  } else {
+    depose(`${lease?.holder || 'another instance'} holds the lease`);
+  }
+}
+
+async function tick() {
+  // Checked before asking again: a renewal stuck on a dead store must not
+  // keep us leading past the point another instance could take over.
+  if (leading && Date.now() >= heldUntil - RENEW_MS) depose('lease could not be renewed');
+  if (inFlight) return;
+  inFlight = true;
+  try {
+    await attempt();
+  } finally {
+    inFlight = false;
+  }
+}
+
+/**
+ * Start competing for the lease. Resolves after the first attempt — and, if
+ * that won, once onElected has finished.
+ */
+async function startLeaderElection() {
+  if (timer) return;
+  console.log(`🗳️  Instance ${INSTANCE_ID} joining leader election (${STORE}, lease ${TTL_MS / 1000}s)`);
+  timer = setInterval(tick, RENEW_MS);
+  await tick();
+  await transition;
+}
+
+/** Stop competing, step down, and free the lease so a follower takes over at once. */
+async function stopLeaderElection() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  const wasLeading = leading;
+  depose('shutting down');
+  await transition;
+  if (!wasLeading) return;
+  try {
+    await store.release(LEASE_NAME, INSTANCE_ID);
+  } catch (err) {
+    console.warn('leader lease release failed:', err.message || err);
+  }
+}
+
+function isLeader() {
+  return leading;
+}
+
+/** The leader's URL, or null when there is none or it is us. */
+function leaderUrl() {
+  if (leading || !lease || lease.holder === INSTANCE_ID || lease.expiresAt <= Date.now()) return null;
+  return lease.url || null;
+}
+
+function leaderInfo() {
+  return {
+    instance: INSTANCE_ID,
+    isLeader: leading,
+    leader: lease ? { instance: lease.holder, url: lease.url, expiresAt: new Date(lease.expiresAt).toISOString() } : null,
+  };
+}
+
+module.exports = {
+  INSTANCE_ID,
+  initLeader,
+  startLeaderElection,
+  stopLeaderElection,
+  isLeader,
+  leaderUrl,
+  leaderInfo,
+};
@@ -0,0 +1,134 @@
+// llm.js
+// One place to talk to a language model.
+//
+// ai.js and vectorstore.js used to build their own OpenAI clients against a
+// hard-coded model, so a single provider outage took the whole assistant down.
+// Every call now names a task (chat, tools, embeddings); the model for each is
+// configured in config.js, may live on OpenAI, OpenRouter or any
+// OpenAI-compatible local endpoint, and fails over to a secondary model after
+// retrying transient errors.
+
+const OpenAI = require('openai');
+const { LLM } = require('./config');
+
+const PROVIDERS = {
+  openai: () => ({ apiKey: LLM.keys.openai, baseURL: undefined }),
+  openrouter: () => ({ apiKey: LLM.keys.openrouter, baseURL: 'https://openrouter.ai/api/v1' }),
+  // Local servers (Ollama, vLLM, LM Studio) usually ignore the key but the SDK
+  // insists on one.
+  local: () => ({ apiKey: LLM.keys.local || 'local', baseURL: LLM.localBaseUrl }),
+};
+
+/**
+ * Clients are built on first use, not at module load: `new OpenAI()` throws
+ * without a key, and this module is required (via ai.js) by server.js — an
+ * unset key must cost AI replies, not the WhatsApp connection.
+ */
+const clients = new Map();
+function clientFor(provider) {
+  if (clients.has(provider)) return clients.get(provider);
+  const make = PROVIDERS[provider];
+  if (!make) throw unavailable(`unknown LLM provider "${provider}"`);
+  const { apiKey, baseURL } = make();
+  if (!apiKey) throw unavailable(`no API key configured for LLM provider "${provider}"`);
+  if (provider === 'local' && !baseURL) throw unavailable('LLM_LOCAL_BASE_URL is not set');
+  // Retries are ours (below) so they can fail over between models; the SDK's
+  // own would just repeat the same doomed call first.
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0, timeout: LLM.timeoutMs });
+  clients.set(provider, client);
+  return client;
+}
+
+/**
+ * "openrouter:anthropic/claude-3-haiku" → { provider: "openrouter", model: ... }.
+ * Without a known provider prefix the default provider is used, so OpenRouter
+ * ids that themselves contain a colon ("…:free") still parse.
+ */
+function parseModelSpec(spec) {
+  const i = spec.indexOf(':');
+  if (i > 0 && PROVIDERS[spec.slice(0, i)]) {
+    return { provider: spec.slice(0, i), model: spec.slice(i + 1) };
+  }
+  return { provider: LLM.provider, model: spec };
+}
+
+/** Error for "no model could answer" — callers turn it into a polite reply. */
+function unavailable(detail, cause) {
+  const err = new Error(`AI unavailable: ${detail}`);
+  err.code = 'AI_UNAVAILABLE';
+  if (cause) err.cause = cause;
+  return err;
+}
+
+function isAIUnavailable(err) {
+  return err?.code === 'AI_UNAVAILABLE';
+}
+
+/** Rate limits, server errors and timeouts are worth another try; a 400 is not. */
+function isTransient(err) {
+  const status = err?.status;
+  if (status === 408 || status === 409 || status === 429) return true;
+  if (typeof status === 'number') return status >= 500;
+  return true; // no status: connection reset, DNS, abort/timeout
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function withRetries(label, fn) {
+  let lastErr;
+  for (let attempt = 0; attempt <= LLM.maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastErr = err;
+      if (isAIUnavailable(err) || !isTransient(err) || attempt === LLM.maxRetries) break;
+      const delay = LLM.retryBaseMs * 2 ** attempt + Math.floor(Math.random() * 250);
+      console.warn(`⚠️ ${label} failed (${err.status || err.message}) — retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+  throw lastErr;
+}
+
+/**
+ * Chat completion for a task ("chat" or "tools"). Tries the primary model with
+ * retries, then the fallback; throws an AI_UNAVAILABLE error if neither answers.
+ */
+async function chatCompletion(task, params) {
+  const specs = [LLM.models[task], LLM.fallbacks[task]].filter(Boolean);
+  if (!specs.length) throw unavailable(`no model configured for task "${task}"`);
+
+  let lastErr;
+  for (const spec of specs) {
+    const { provider, model } = parseModelSpec(spec);
+    try {
+      return await withRetries(`${task} via ${spec}`, () =>
+        clientFor(provider).chat.completions.create({ ...params, model }));
+    } catch (err) {
+      lastErr = err;
+      // A request the model rejected as malformed will be rejected by the
+      // fallback too — surface it rather than masking it as an outage.
+      if (!isAIUnavailable(err) && !isTransient(err)) throw err;
+      console.error(`❌ ${task} model ${spec} unavailable:`, err.message);
+    }
+  }
+  throw isAIUnavailable(lastErr) ? lastErr : unavailable(lastErr?.message || 'all models failed', lastErr);
+}
+
+/**
+ * Embeddings for a batch of texts. There is deliberately no fallback model:
+ * vectors from a different model live in a different space, and mixing them
+ * into course_vectors would silently break every search.
+ */
+async function embed(texts) {
+  const { provider, model } = parseModelSpec(LLM.models.embeddings);
+  try {
+    const res = await withRetries(`embeddings via ${model}`, () =>
+      clientFor(provider).embeddings.create({ model, input: texts }));
+    return res.data.map((d) => d.embedding);
+  } catch (err) {
+    throw isAIUnavailable(err) ? err : unavailable(err.message, err);
+  }
+}
+
+module.exports = { chatCompletion, embed, isAIUnavailable, parseModelSpec };
@@ -0,0 +1,44 @@
+// localdb.js
+// The bot's own SQLite file, for state that belongs to this process rather
+// than to the shared Supabase project.
+//
+// Opened on first use, not at module load: better-sqlite3 is a native module,
+// and a deployment where it failed to build should lose the SQLite-backed
+// stores only — not fail to require server.js and never serve a QR.
+
+const path = require('path');
+
+const DB_PATH = process.env.BOT_DB_PATH || path.join(process.cwd(), 'bot-state.db');
+
+let _db;
+function localDb() {
+  if (_db) return _db;
+  const Database = require('better-sqlite3');
+  _db = new Database(DB_PATH);
+  // WAL lets the reminder/outbound timers read while a message handler writes.
+  _db.pragma('journal_mode = WAL');
+  _db.pragma('busy_timeout = 5000');
+  return _db;
+}
+
+/**
+ * Run `CREATE TABLE IF NOT EXISTS ...` style DDL once per table set, then
+ * `upgrade(db)` for changes an existing file needs (see ensureColumn).
+ */
+const migrated = new Set();
+function ensureSchema(name, ddl, upgrade = null) {
+  if (migrated.has(name)) return localDb();
+  const db = localDb();
+  db.exec(ddl);
+  if (upgrade) upgrade(db);
+  migrated.add(name);
+  return db;
+}
+
+/** Add a column to a table created before it existed. */
+function ensureColumn(db, table, column, definition) {
+  const has = db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+  if (!has) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+module.exports = { localDb, ensureSchema, ensureColumn, DB_PATH };
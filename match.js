@@ -1,4 +1,5 @@
 const { supabase } = require("./config");
+const identity = require("./identity");
 
 /* ============================
    Messaging adapter
@@ -23,6 +24,13 @@ function haversineKm(lat1, lon1, lat2, lon2) {
       Math.sin(dLon / 2) ** 2;
   return R * (2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
 }
+// A wa.me link needs the phone number; an invite made while the student was
+// only known by their LID may not have one.
+async function contactLink(userId) {
+  const phone = await identity.phoneNumberFor(userId);
+  return phone ? `You can message them at 👉 wa.me/${phone}` : "I'll pass your number on so they can message you.";
+}
+
 async function getUser(userId) {
   const { data, error } = await supabase.from("users").select("*").eq("user_id", userId).single();
   if (error) throw error;
@@ -155,12 +163,12 @@ async function handleAcceptCode(inviteeId, code) {
 
   await sendFn(
     invite.requester_id,
-    `✅ ${invitee?.name || "A student"} accepted! You can message them at 👉 wa.me/${inviteeId.split("@")[0]}`
+    `✅ ${invitee?.name || "A student"} accepted! ${await contactLink(inviteeId)}`
   );
 
   await sendFn(
     inviteeId,
-    `✅ Connected with ${requester?.name || "a student"}! You can message them at 👉 wa.me/${invite.requester_id.split("@")[0]}`
+    `✅ Connected with ${requester?.name || "a student"}! ${await contactLink(invite.requester_id)}`
   );
 
   return "🎉 You’re now connected!";
@@ -0,0 +1,291 @@
+// operators.js
+// Who may use the dashboard and the control endpoints.
+//
+// The pairing QR is the bot's WhatsApp number — whoever scans it owns the
+// session — and /api/logout wipes that session, yet both were open to anyone
+// who could reach the port. Operators now sign in, and each has a role:
+//   viewer  connection status and the alert list
+//   admin   also the QR / pairing code, restart, reset and alert actions
+//
+// Accounts come from OPERATORS, `name:role:hash` entries separated by commas,
+// where hash is made with `npm run operator:hash -- <password>`. With no
+// accounts configured every request is refused — a fresh deployment is locked,
+// not open.
+//
+// Signing in issues a session token, sent back as an HttpOnly cookie for the
+// dashboard and usable as `Authorization: Bearer <token>` by scripts. Sessions
+// are kept where STATE_STORE says (store.js, table operator_sessions), so a
+// sign-in holds on every instance and across restarts — the control routes
+// are forwarded to the leader (server.js). Only a hash of each token is
+// stored. Read from the store on every request, with no memory copy: a
+// sign-out on one instance must end the session on all of them. While the
+// store is down nobody is signed in.
+
+const crypto = require('crypto');
+const { supabase } = require('./config');
+const { openStore } = require('./store');
+
+const ROLES = { viewer: 1, admin: 2 };
+const COOKIE = 'wpbot_session';
+const SESSION_TTL_MS = (Number(process.env.OPERATOR_SESSION_HOURS) || 12) * 60 * 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const SCRYPT_KEYLEN = 32;
+
+/* ============================
+   Accounts
+============================= */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Parsed on every call, like uniportal.js reads its env: a fixed OPERATORS
+// takes effect on restart without touching code.
+function accounts() {
+  const out = new Map();
+  for (const entry of (process.env.OPERATORS || '').split(',')) {
+    const [name, role, hash] = entry.trim().split(':');
+    if (!name || !ROLES[role] || !hash) continue;
+    out.set(name.toLowerCase(), { name, role, hash });
+  }
+  return out;
+}
+
+function operatorsConfigured() {
+  return accounts().size > 0;
+}
+
+// Unknown names are checked against this so they take as long as a wrong password.
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/* ============================
+   Login throttling (per client address)
+============================= */
+const failures = new Map(); // ip -> { count, since }
+
+function isThrottled(ip) {
+  const f = failures.get(ip);
+  if (!f) return false;
+  if (Date.now() - f.since > LOGIN_WINDOW_MS) { failures.delete(ip); return false; }
+  return f.count >= LOGIN_MAX_FAILURES;
+}
+
+function recordFailure(ip) {
+  const f = failures.get(ip);
+  if (!f || Date.now() - f.since > LOGIN_WINDOW_MS) failures.set(ip, { count: 1, since: Date.now() });
+  else f.count++;
+}
+
+/* ============================
+   Sessions
+   Keyed by a hash of the token, so neither the store nor a heap dump holds
+   live tokens. Sessions are { name, role, expiresAt } with times in ms.
+============================= */
+function memoryBackend() {
+  const sessions = new Map(); // sha256(token) -> session
+  return {
+    async get(key) { return sessions.get(key) || null; },
+    async put(key, session) { sessions.set(key, session); },
+    async remove(key) { sessions.delete(key); },
+    async purge(now) { for (const [k, s] of sessions) if (s.expiresAt <= now) sessions.delete(k); },
+  };
+}
+
+function sqliteBackend() {
+  const { ensureSchema } = require('./localdb');
+  const db = () => ensureSchema('operator_sessions', `
+    CREATE TABLE IF NOT EXISTS operator_sessions (
+      token_hash TEXT PRIMARY KEY,
+      name       TEXT    NOT NULL,
+      role       TEXT    NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+  return {
+    async get(key) {
+      const r = db().prepare('SELECT * FROM operator_sessions WHERE token_hash = ?').get(key);
+      return r ? { name: r.name, role: r.role, expiresAt: r.expires_at } : null;
+    },
+    async put(key, s) {
+      db().prepare('INSERT OR REPLACE INTO operator_sessions (token_hash, name, role, expires_at) VALUES (?, ?, ?, ?)')
+        .run(key, s.name, s.role, s.expiresAt);
+    },
+    async remove(key) { db().prepare('DELETE FROM operator_sessions WHERE token_hash = ?').run(key); },
+    async purge(now) { db().prepare('DELETE FROM operator_sessions WHERE expires_at <= ?').run(now); },
+  };
+}
+
+function supabaseBackend() {
+  const check = ({ data, error }) => { if (error) throw error; return data; };
+  return {
+    async get(key) {
+      const r = check(await supabase.from('operator_sessions').select('*').eq('token_hash', key).maybeSingle());
+      return r ? { name: r.name, role: r.role, expiresAt: Date.parse(r.expires_at) } : null;
+    },
+    async put(key, s) {
+      check(await supabase.from('operator_sessions').upsert({
+        token_hash: key, name: s.name, role: s.role, expires_at: new Date(s.expiresAt).toISOString(),
+      }));
+    },
+    async remove(key) { check(await supabase.from('operator_sessions').delete().eq('token_hash', key)); },
+    async purge(now) {
+      check(await supabase.from('operator_sessions').delete().lte('expires_at', new Date(now).toISOString()));
+    },
+  };
+}
+
+const sessions = openStore('Operator session',
+  { memory: memoryBackend, sqlite: sqliteBackend, supabase: supabaseBackend },
+  { whileDown: 'nobody can sign in' });
+
+const digest = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Check a username and password and open a session.
+ * Errors carry `.status` (401 bad credentials, 429 throttled, 503 no accounts
+ * or no session store).
+ * @returns {Promise<{ token: string, name: string, role: string, expiresAt: number }>}
+ */
+async function login(username, password, ip) {
+  if (!operatorsConfigured()) {
+    const err = new Error('no operator accounts are configured');
+    err.status = 503;
+    throw err;
+  }
+  if (isThrottled(ip)) {
+    const err = new Error('too many failed sign-ins — try again later');
+    err.status = 429;
+    throw err;
+  }
+  const account = accounts().get(String(username || '').trim().toLowerCase());
+  const ok = verifyPassword(password, account ? account.hash : DUMMY_HASH);
+  if (!account || !ok) {
+    recordFailure(ip);
+    console.warn(`🔒 Failed operator sign-in for "${String(username || '').slice(0, 64)}" from ${ip}`);
+    const err = new Error('wrong username or password');
+    err.status = 401;
+    throw err;
+  }
+  failures.delete(ip);
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = { name: account.name, role: account.role, expiresAt: Date.now() + SESSION_TTL_MS };
+  if ((await sessions.run('put', [digest(token), session], false)) === false) {
+    const err = new Error('sign-in is unavailable right now — try again shortly');
+    err.status = 503;
+    throw err;
+  }
+  console.log(`🔓 Operator ${account.name} (${account.role}) signed in`);
+  return { token, ...session };
+}
+
+function tokenFromRequest(req) {
+  const auth = req.headers?.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  for (const part of (req.headers?.cookie || '').split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (k === COOKIE) return decodeURIComponent(v.join('='));
+  }
+  return null;
+}
+
+/** The key a request's session is stored under, or null when it carries no token. */
+function sessionKey(req) {
+  const token = tokenFromRequest(req);
+  return token ? digest(token) : null;
+}
+
+/**
+ * The signed-in operator behind a request (HTTP or WebSocket upgrade), or null.
+ * Also drops the session if its account was removed or its role changed.
+ */
+async function operatorFromRequest(req) {
+  return operatorForSession(sessionKey(req));
+}
+
+/** operatorFromRequest for a session already keyed — an open dashboard socket. */
+async function operatorForSession(key) {
+  if (!key) return null;
+  const session = await sessions.run('get', [key]);
+  if (!session) return null;
+  const account = accounts().get(session.name.toLowerCase());
+  if (session.expiresAt <= Date.now() || !account || account.role !== session.role) {
+    await sessions.run('remove', [key]);
+    return null;
+  }
+  return { name: session.name, role: session.role };
+}
+
+/** End the request's session. Returns its key, or null when there was none. */
+async function logout(req) {
+  const key = sessionKey(req);
+  if (key) await sessions.run('remove', [key]);
+  return key;
+}
+
+function hasRole(operator, role) {
+  return Boolean(operator) && ROLES[operator.role] >= ROLES[role];
+}
+
+/** Express middleware: 401 when signed out, 403 when the role is too low. */
+function requireOperator(role = 'viewer') {
+  return async (req, res, next) => {
+    const operator = await operatorFromRequest(req);
+    if (!operator) return res.status(401).json({ ok: false, error: 'sign in required' });
+    if (!hasRole(operator, role)) return res.status(403).json({ ok: false, error: `${role} role required` });
+    req.operator = operator;
+    next();
+  };
+}
+
+/** Set-Cookie value for a new session; Secure whenever the request came over HTTPS. */
+function sessionCookie(token, req) {
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  return `${COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; ` +
+    `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}${secure ? '; Secure' : ''}`;
+}
+
+function clearedCookie() {
+  return `${COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+}
+
+/** Forget expired sessions and throttle entries. Called from the server's sweep. */
+async function purgeSessions() {
+  const now = Date.now();
+  for (const [ip, f] of failures) if (now - f.since > LOGIN_WINDOW_MS) failures.delete(ip);
+  await sessions.run('purge', [now]);
+}
+
+module.exports = {
+  hashPassword,
+  operatorsConfigured,
+  login,
+  logout,
+  operatorFromRequest,
+  operatorForSession,
+  sessionKey,
+  hasRole,
+  requireOperator,
+  sessionCookie,
+  clearedCookie,
+  purgeSessions,
+};
+
+// `node operators.js hash <password>` — print a hash for OPERATORS.
+if (require.main === module) {
+  const [cmd, password] = process.argv.slice(2);
+  if (cmd !== 'hash' || !password) {
+    console.error('usage: node operators.js hash <password>');
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
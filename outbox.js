@@ -0,0 +1,488 @@
+// outbox.js
+// Every outbound WhatsApp message goes through here.
+//
+// Replies, /api/send, reminders, match invites and alert broadcasts used to
+// call sock.sendMessage directly: no pacing (a broadcast to every user is
+// exactly the burst that gets a number banned), and anything sent while the
+// socket was down was simply lost. Messages are now queued durably, sent in
+// order per recipient under one rate limit per WhatsApp number, retried with
+// exponential backoff, and moved to a dead-letter table once they keep failing.
+//
+// Each job names the session (tenants.js) whose number sends it; left out,
+// it is the session the work is for, or the one the student last wrote to.
+//
+// Storage follows STATE_STORE (store.js): tables outbound_messages and
+// outbound_dead_letters. The queue itself is worked from memory and restored
+// from the store at start, so a restart resumes where it stopped.
+//
+// A job queued with a `dedupeKey` gets an id derived from it, and is dropped
+// if one with that id is already stored: reminder.js names each occurrence
+// so, and re-queueing one after a crash cannot send it twice.
+//
+// Finished rows (sent, or dead and copied to the dead letters) are deleted
+// after OUTBOUND_RETENTION_DAYS by the server's sweep (purgeFinished). Never
+// less than a day: a stored id is what makes a dedupe key refuse a second
+// send, and a reminder occurrence can be re-claimed for minutes after it was
+// queued (reminder.js CLAIM_LEASE_MS).
+//
+// Only the leader instance (leader.js) works the queue. A follower's enqueue
+// only stores the job; the leader picks up what others stored every
+// ADOPT_MS, and everything still pending when it is elected.
+
+const crypto = require('crypto');
+const { supabase } = require('./config');
+const { openStore } = require('./store');
+const tenants = require('./tenants');
+
+const RATE_PER_MINUTE = Number(process.env.OUTBOUND_PER_MINUTE) || 30;
+const MIN_GAP_MS = Math.ceil(60000 / RATE_PER_MINUTE);
+const MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+const TICK_MS = 500;
+const ADOPT_MS = 10000;
+const SETTLED_KEEP_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MS = Math.max(Number(process.env.OUTBOUND_RETENTION_DAYS) || 7, 1) * DAY_MS;
+
+/* ============================
+   Persistence
+   Jobs are { id, session, jid, content, kind, meta, status, attempts,
+   nextAttemptAt, createdAt, sentAt, waMessageId, lastError } with times in ms.
+============================= */
+function sqliteBackend() {
+  const { ensureSchema, ensureColumn } = require('./localdb');
+  const db = () => ensureSchema('outbound_messages', `
+    CREATE TABLE IF NOT EXISTS outbound_messages (
+      id              TEXT PRIMARY KEY,
+      session         TEXT    NOT NULL DEFAULT 'default',
+      jid             TEXT    NOT NULL,
+      content         TEXT    NOT NULL,
+      kind            TEXT,
+      meta            TEXT,
+      status          TEXT    NOT NULL,
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL,
+      created_at      INTEGER NOT NULL,
+      sent_at         INTEGER,
+      wa_message_id   TEXT,
+      last_error      TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages (status, created_at);
+    CREATE TABLE IF NOT EXISTS outbound_dead_letters (
+      id         TEXT PRIMARY KEY,
+      session    TEXT    NOT NULL DEFAULT 'default',
+      jid        TEXT    NOT NULL,
+      content    TEXT    NOT NULL,
+      kind       TEXT,
+      meta       TEXT,
+      attempts   INTEGER NOT NULL,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      failed_at  INTEGER NOT NULL
+    );
+  `, (d) => {
+    // Files created before sessions existed.
+    ensureColumn(d, 'outbound_messages', 'session', "TEXT NOT NULL DEFAULT 'default'");
+    ensureColumn(d, 'outbound_dead_letters', 'session', "TEXT NOT NULL DEFAULT 'default'");
+  });
+  const toJob = (r) => ({
+    id: r.id, session: r.session, jid: r.jid, content: JSON.parse(r.content), kind: r.kind,
+    meta: r.meta ? JSON.parse(r.meta) : null, status: r.status, attempts: r.attempts,
+    nextAttemptAt: r.next_attempt_at, createdAt: r.created_at,
+  });
+  return {
+    async insert(job) {
+      return db().prepare(`
+        INSERT OR IGNORE INTO outbound_messages
+          (id, session, jid, content, kind, meta, status, attempts, next_attempt_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(job.id, job.session, job.jid, JSON.stringify(job.content), job.kind, JSON.stringify(job.meta ?? null),
+        job.status, job.attempts, job.nextAttemptAt, job.createdAt).changes > 0;
+    },
+    async update(job) {
+      db().prepare(`
+        UPDATE outbound_messages SET status = ?, attempts = ?, next_attempt_at = ?, sent_at = ?,
+          wa_message_id = ?, last_error = ? WHERE id = ?
+      `).run(job.status, job.attempts, job.nextAttemptAt, job.sentAt ?? null,
+        job.waMessageId ?? null, job.lastError ?? null, job.id);
+    },
+    async pending() {
+      return db().prepare(
+        "SELECT * FROM outbound_messages WHERE status IN ('queued', 'sending') ORDER BY created_at",
+      ).all().map(toJob);
+    },
+    async deadLetter(job) {
+      const tx = db().transaction(() => {
+        db().prepare(`
+          INSERT OR REPLACE INTO outbound_dead_letters
+            (id, session, jid, content, kind, meta, attempts, last_error, created_at, failed_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(job.id, job.session, job.jid, JSON.stringify(job.content), job.kind, JSON.stringify(job.meta ?? null),
+          job.attempts, job.lastError ?? null, job.createdAt, Date.now());
+        db().prepare("UPDATE outbound_messages SET status = 'dead', last_error = ? WHERE id = ?")
+          .run(job.lastError ?? null, job.id);
+      });
+      tx();
+    },
+    async purge(before) {
+      return db().prepare("DELETE FROM outbound_messages WHERE status IN ('sent', 'dead') AND created_at < ?")
+        .run(before).changes;
+    },
+  };
+}
+
+function supabaseBackend() {
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const check = ({ error }) => { if (error) throw error; };
+  return {
+    async insert(job) {
+      const { data, error } = await supabase.from('outbound_messages').upsert([{
+        id: job.id, session: job.session, jid: job.jid, content: job.content, kind: job.kind, meta: job.meta ?? null,
+        status: job.status, attempts: job.attempts,
+        next_attempt_at: iso(job.nextAttemptAt), created_at: iso(job.createdAt),
+      }], { onConflict: 'id', ignoreDuplicates: true }).select('id');
+      if (error) throw error;
+      return data.length > 0;
+    },
+    async update(job) {
+      check(await supabase.from('outbound_messages').update({
+        status: job.status, attempts: job.attempts, next_attempt_at: iso(job.nextAttemptAt),
+        sent_at: iso(job.sentAt), wa_message_id: job.waMessageId ?? null, last_error: job.lastError ?? null,
+      }).eq('id', job.id));
+    },
+    async pending() {
+      const { data, error } = await supabase
+        .from('outbound_messages')
+        .select('*')
+        .in('status', ['queued', 'sending'])
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return (data || []).map((r) => ({
+        id: r.id, session: r.session, jid: r.jid, content: r.content, kind: r.kind, meta: r.meta, status: r.status,
+        attempts: r.attempts, nextAttemptAt: Date.parse(r.next_attempt_at), createdAt: Date.parse(r.created_at),
+      }));
+    },
+    async deadLetter(job) {
+      check(await supabase.from('outbound_dead_letters').upsert([{
+        id: job.id, session: job.session, jid: job.jid, content: job.content, kind: job.kind, meta: job.meta ?? null,
+        attempts: job.attempts, last_error: job.lastError ?? null,
+        created_at: iso(job.createdAt), failed_at: new Date().toISOString(),
+      }]));
+      check(await supabase.from('outbound_messages')
+        .update({ status: 'dead', last_error: job.lastError ?? null }).eq('id', job.id));
+    },
+    async purge(before) {
+      const { data, error } = await supabase.from('outbound_messages').delete()
+        .in('status', ['sent', 'dead']).lt('created_at', iso(before)).select('id');
+      if (error) throw error;
+      return data?.length || 0;
+    },
+  };
+}
+
+function memoryBackend() {
+  return {
+    async insert() { return true; }, async update() {}, async pending() { return []; }, async deadLetter() {},
+    async purge() { return 0; },
+  };
+}
+
+const { store, run } = openStore('Outbox',
+  { memory: memoryBackend, sqlite: sqliteBackend, supabase: supabaseBackend },
+  { whileDown: 'sending from memory' });
+
+/** A store write that fails must not stop the message going out. Returns what the store did, if it could. */
+function persist(op, job) {
+  return run(op, [job], undefined);
+}
+
+/** A stable job id for a dedupe key, shaped like a UUID for the store's id column. */
+function idForKey(key) {
+  const h = crypto.createHash('sha256').update(String(key)).digest('hex');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${((parseInt(h[16], 16) & 3) | 8).toString(16)}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+function isQueued(id) {
+  for (const jobs of queues.values()) if (jobs.some((job) => job.id === id)) return true;
+  return false;
+}
+
+/* ============================
+   Queue
+============================= */
+let sendFn = null;
+let isConnectedFn = () => false;
+const sentHooks = [];
+const deadHooks = [];
+
+const queues = new Map();  // session + jid -> jobs, oldest first; only the head is eligible
+const waiters = new Map(); // job id -> { resolve, reject }
+const lastSentAt = new Map(); // session -> ms
+// Jobs finished here recently, so a store read racing their final update does
+// not pick them up again as pending.
+const settled = new Map(); // job id -> ms
+let pumping = false;
+let ticker = null;
+let adopter = null;
+
+/**
+ * Wire the queue to the socket.
+ * @param {Object} opts
+ * @param {Function} opts.send         async (session, jid, content) => Baileys send result
+ * @param {Function} opts.isConnected  (session) => boolean
+ */
+function initOutbox({ send, isConnected }) {
+  sendFn = send;
+  isConnectedFn = isConnected;
+}
+
+/** Register `(job, waMessageId) => void`, called after each successful send. */
+function onSent(hook) {
+  sentHooks.push(hook);
+}
+
+/** Register `(job) => void`, called when a job is given up on and dead-lettered. */
+function onDeadLetter(hook) {
+  deadHooks.push(hook);
+}
+
+const queueKey = (job) => `${job.session}\u0000${job.jid}`;
+
+function addToQueue(job) {
+  const key = queueKey(job);
+  if (!queues.has(key)) queues.set(key, []);
+  queues.get(key).push(job);
+}
+
+/**
+ * Queue a message. Resolves once it is stored, with its id — not once it is
+ * delivered. Use `waitForSend(id)` to wait for the actual send.
+ *
+ * @param {string} jid
+ * @param {string|Object} content  text, or a Baileys message content object
+ * @param {Object} [opts]
+ * @param {string} [opts.kind]     e.g. 'reply', 'reminder', 'alert' — replies jump the queue
+ * @param {Object} [opts.meta]     stored alongside, handed back to onSent hooks
+ * @param {string} [opts.session]  the number to send from (see the header)
+ * @param {string} [opts.dedupeKey] queue this at most once (see the header)
+ */
+async function enqueue(jid, content, { kind = null, meta = null, session = null, dedupeKey = null } = {}) {
+  const now = Date.now();
+  const id = dedupeKey ? idForKey(dedupeKey) : crypto.randomUUID();
+  if (dedupeKey && (settled.has(id) || isQueued(id))) return id;
+  const job = {
+    id,
+    session: session || await tenants.sessionFor(jid),
+    jid,
+    content: typeof content === 'string' ? { text: content } : content,
+    kind,
+    meta,
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+  };
+  if ((await persist('insert', job)) === false) {
+    console.log(`📭 Already queued, not again: ${dedupeKey}`);
+    return job.id;
+  }
+  if (!ticker) return job.id; // a follower: the leader sends it
+  addToQueue(job);
+  setImmediate(pump);
+  return job.id;
+}
+
+/** Resolves with the WhatsApp message id once sent; rejects if dead-lettered or on timeout. */
+function waitForSend(id, timeoutMs = 15000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      waiters.delete(id);
+      reject(new Error('timed out waiting for send'));
+    }, timeoutMs);
+    waiters.set(id, {
+      resolve: (v) => { clearTimeout(timer); resolve(v); },
+      reject: (e) => { clearTimeout(timer); reject(e); },
+    });
+  });
+}
+
+/**
+ * The next job allowed to go: the head of some recipient's queue whose retry
+ * time has come, on a number that is connected and not inside its rate gap.
+ * Replies to a student who is waiting go before bulk sends.
+ */
+function nextReadyJob(now) {
+  let best = null;
+  for (const jobs of queues.values()) {
+    const head = jobs[0];
+    if (!head || head.nextAttemptAt > now) continue;
+    if (now - (lastSentAt.get(head.session) || 0) < MIN_GAP_MS || !isConnectedFn(head.session)) continue;
+    if (!best) { best = head; continue; }
+    const headReply = head.kind === 'reply';
+    const bestReply = best.kind === 'reply';
+    if (headReply !== bestReply ? headReply : head.createdAt < best.createdAt) best = head;
+  }
+  return best;
+}
+
+function dequeue(job) {
+  const key = queueKey(job);
+  const jobs = queues.get(key);
+  if (!jobs) return;
+  const i = jobs.indexOf(job);
+  if (i >= 0) jobs.splice(i, 1);
+  if (!jobs.length) queues.delete(key);
+}
+
+async function attempt(job) {
+  job.status = 'sending';
+  job.attempts++;
+  await persist('update', job);
+  try {
+    const sent = await sendFn(job.session, job.jid, job.content);
+    job.status = 'sent';
+    job.sentAt = Date.now();
+    job.waMessageId = sent?.key?.id ?? null;
+    job.lastError = null;
+    dequeue(job);
+    settled.set(job.id, Date.now());
+    await persist('update', job);
+    waiters.get(job.id)?.resolve(job.waMessageId);
+    waiters.delete(job.id);
+    for (const hook of sentHooks) {
+      try { await hook(job, job.waMessageId); } catch (err) { console.error('outbox onSent hook failed:', err.message); }
+    }
+  } catch (err) {
+    job.lastError = err.message || String(err);
+    if (job.attempts >= MAX_ATTEMPTS) {
+      console.error(`☠️  Giving up on ${job.id} to ${job.jid} after ${job.attempts} attempts:`, job.lastError);
+      job.status = 'dead';
+      dequeue(job);
+      settled.set(job.id, Date.now());
+      await persist('deadLetter', job);
+      waiters.get(job.id)?.reject(new Error(job.lastError));
+      waiters.delete(job.id);
+      for (const hook of deadHooks) {
+        try { await hook(job); } catch (e) { console.error('outbox onDeadLetter hook failed:', e.message); }
+      }
+      return;
+    }
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+    job.status = 'queued';
+    job.nextAttemptAt = Date.now() + delay;
+    console.warn(`⚠️ Send to ${job.jid} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, job.lastError);
+    await persist('update', job);
+  }
+}
+
+/**
+ * Send whatever is due, one message per MIN_GAP_MS per number across all its
+ * recipients. While a number is disconnected nothing of its is attempted —
+ * waiting for the socket costs no attempts, so a long outage cannot
+ * dead-letter the whole queue.
+ */
+async function pump() {
+  if (pumping || !sendFn) return;
+  pumping = true;
+  try {
+    for (;;) {
+      const now = Date.now();
+      const job = nextReadyJob(now);
+      if (!job) break;
+      lastSentAt.set(job.session, now);
+      await attempt(job);
+    }
+  } catch (err) {
+    console.error('outbox pump error:', err);
+  } finally {
+    pumping = false;
+  }
+}
+
+/**
+ * Add the store's unsent jobs that are not in the queue yet: all of them at
+ * start, then whatever other instances stored since.
+ * @returns {Promise<number>} how many were added
+ */
+async function adoptPending() {
+  const now = Date.now();
+  for (const [id, at] of settled) if (now - at > SETTLED_KEEP_MS) settled.delete(id);
+  const known = new Set(settled.keys());
+  for (const jobs of queues.values()) for (const job of jobs) known.add(job.id);
+
+  let added = 0;
+  for (const job of await store.pending()) {
+    if (known.has(job.id)) continue;
+    // 'sending' means an instance died mid-send; WhatsApp may or may not have
+    // it. Sending again risks a duplicate, dropping it risks a loss — a
+    // duplicate alert is the lesser harm.
+    job.status = 'queued';
+    job.session = job.session || tenants.defaultSession();
+    addToQueue(job);
+    added++;
+  }
+  if (added) setImmediate(pump);
+  return added;
+}
+
+/** Reload unsent jobs from the store and start working the queue. */
+async function startOutbox() {
+  if (ticker) return;
+  try {
+    const restored = await adoptPending();
+    if (restored) console.log(`📬 Restored ${restored} queued outbound message(s)`);
+  } catch (err) {
+    console.error('❌ Could not restore outbound queue:', err.message || err);
+  }
+  ticker = setInterval(pump, TICK_MS);
+  ticker.unref?.();
+  adopter = setInterval(() => {
+    adoptPending()
+      .then((n) => { if (n) console.log(`📬 Picked up ${n} outbound message(s) queued by another instance`); })
+      .catch((err) => console.warn('outbound queue refresh failed:', err.message || err));
+  }, ADOPT_MS);
+  adopter.unref?.();
+}
+
+/**
+ * Stop working the queue. What is left stays in the store for whichever
+ * instance starts the outbox next.
+ */
+function stopOutbox() {
+  if (ticker) clearInterval(ticker);
+  if (adopter) clearInterval(adopter);
+  ticker = null;
+  adopter = null;
+  queues.clear();
+  settled.clear();
+}
+
+function outboxStats() {
+  let queued = 0;
+  const bySession = {};
+  for (const jobs of queues.values()) {
+    queued += jobs.length;
+    if (jobs[0]) bySession[jobs[0].session] = (bySession[jobs[0].session] || 0) + jobs.length;
+  }
+  return { queued, recipients: queues.size, bySession, ratePerMinute: RATE_PER_MINUTE };
+}
+
+/** Delete finished jobs older than the retention window. Called from the server's sweep. */
+async function purgeFinished() {
+  const removed = await store.purge(Date.now() - RETENTION_MS);
+  if (removed) console.log(`🧹 Removed ${removed} finished outbound message(s)`);
+  return removed;
+}
+
+module.exports = {
+  initOutbox,
+  startOutbox,
+  stopOutbox,
+  enqueue,
+  waitForSend,
+  onSent,
+  onDeadLetter,
+  outboxStats,
+  purgeFinished,
+};
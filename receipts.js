@@ -0,0 +1,253 @@
+// receipts.js
+// Delivery status of messages sent on uniportal's behalf.
+//
+// /api/send returned an id, but nothing ever said whether the message arrived,
+// so a counselor could not tell "sent" from "seen". Each tracked message now
+// moves queued → sent → delivered → read (or failed), from the outbox and from
+// Baileys' `messages.update` / `message-receipt.update` events. The status is
+// stored, readable at GET /api/messages/:id, and every change is pushed to
+// uniportal's status callback when one is configured.
+//
+// Storage follows STATE_STORE (store.js), in table message_receipts.
+
+const { supabase } = require('./config');
+const uniportal = require('./uniportal');
+const { openStore } = require('./store');
+
+/** Status only ever moves forward; a late "delivered" never undoes a "read". */
+const RANK = { queued: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+/** Baileys' proto.WebMessageInfo.Status values. */
+const WA_STATUS = { 0: 'failed', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'read' };
+
+/** Outbox job ids (outbox.js) — anything else cannot be one of ours. */
+const ID_PAT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/* ============================
+   Backends
+   Records are { id, waMessageId, jid, status, error, sentAt, deliveredAt,
+   readAt, failedAt, updatedAt } with times in ms.
+============================= */
+function memoryBackend(limit = Infinity) {
+  const byId = new Map();
+  const byWa = new Map();
+  return {
+    async get(id) { return byId.get(id) || null; },
+    async getByWaId(waId) { const id = byWa.get(waId); return id ? byId.get(id) || null : null; },
+    async put(rec) {
+      byId.delete(rec.id); // re-insert so the Map stays in last-touched order
+      byId.set(rec.id, rec);
+      if (rec.waMessageId) byWa.set(rec.waMessageId, rec.id);
+      while (byId.size > limit) {
+        const [oldId, old] = byId.entries().next().value;
+        byId.delete(oldId);
+        if (old.waMessageId) byWa.delete(old.waMessageId);
+      }
+    },
+  };
+}
+
+function sqliteBackend() {
+  const { ensureSchema } = require('./localdb');
+  const db = () => ensureSchema('message_receipts', `
+    CREATE TABLE IF NOT EXISTS message_receipts (
+      id            TEXT PRIMARY KEY,
+      wa_message_id TEXT,
+      jid           TEXT NOT NULL,
+      status        TEXT NOT NULL,
+      error         TEXT,
+      sent_at       INTEGER,
+      delivered_at  INTEGER,
+      read_at       INTEGER,
+      failed_at     INTEGER,
+      updated_at    INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_message_receipts_wa ON message_receipts (wa_message_id);
+  `);
+  const toRec = (r) => r && ({
+    id: r.id, waMessageId: r.wa_message_id, jid: r.jid, status: r.status, error: r.error,
+    sentAt: r.sent_at, deliveredAt: r.delivered_at, readAt: r.read_at, failedAt: r.failed_at,
+    updatedAt: r.updated_at,
+  });
+  return {
+    async get(id) { return toRec(db().prepare('SELECT * FROM message_receipts WHERE id = ?').get(id)); },
+    async getByWaId(waId) {
+      return toRec(db().prepare('SELECT * FROM message_receipts WHERE wa_message_id = ?').get(waId));
+    },
+    async put(rec) {
+      db().prepare(`
+        INSERT OR REPLACE INTO message_receipts
+          (id, wa_message_id, jid, status, error, sent_at, delivered_at, read_at, failed_at, updated_at)
+        VALUES (@id, @waMessageId, @jid, @status, @error, @sentAt, @deliveredAt, @readAt, @failedAt, @updatedAt)
+      `).run({
+        error: null, waMessageId: null, sentAt: null, deliveredAt: null, readAt: null, failedAt: null,
+        ...rec,
+      });
+    },
+  };
+}
+
+function supabaseBackend() {
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const ms = (v) => (v ? Date.parse(v) : null);
+  const toRec = (r) => r && ({
+    id: r.id, waMessageId: r.wa_message_id, jid: r.jid, status: r.status, error: r.error,
+    sentAt: ms(r.sent_at), deliveredAt: ms(r.delivered_at), readAt: ms(r.read_at),
+    failedAt: ms(r.failed_at), updatedAt: ms(r.updated_at),
+  });
+  const one = async (column, value) => {
+    const { data, error } = await supabase.from('message_receipts').select('*').eq(column, value).limit(1);
+    if (error) throw error;
+    return toRec(data?.[0]);
+  };
+  return {
+    get: (id) => one('id', id),
+    getByWaId: (waId) => one('wa_message_id', waId),
+    async put(rec) {
+      const { error } = await supabase.from('message_receipts').upsert({
+        id: rec.id, wa_message_id: rec.waMessageId ?? null, jid: rec.jid, status: rec.status,
+        error: rec.error ?? null, sent_at: iso(rec.sentAt), delivered_at: iso(rec.deliveredAt),
+        read_at: iso(rec.readAt), failed_at: iso(rec.failedAt), updated_at: iso(rec.updatedAt),
+      });
+      if (error) throw error;
+    },
+  };
+}
+
+// The mirror only has to cover the receipts that arrive in the first minutes
+// after a send; older lookups go to the store.
+const MIRROR_LIMIT = 5000;
+const { store, mirror, run } = openStore('Receipt',
+  { memory: memoryBackend, sqlite: sqliteBackend, supabase: supabaseBackend },
+  { mirror: () => memoryBackend(MIRROR_LIMIT), whileDown: 'tracking in memory only' });
+
+const withStore = (op, ...args) => run(op, args);
+
+async function load(op, key) {
+  const cached = await mirror[op](key);
+  if (cached || store === mirror) return cached;
+  return withStore(op, key);
+}
+
+async function save(rec) {
+  await mirror.put(rec);
+  if (store !== mirror) await withStore('put', rec);
+}
+
+/* ============================
+   Transitions
+============================= */
+const STAMP = { sent: 'sentAt', delivered: 'deliveredAt', read: 'readAt', failed: 'failedAt' };
+
+function publicView(rec) {
+  if (!rec) return null;
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    id: rec.id,
+    jid: rec.jid,
+    status: rec.status,
+    messageId: rec.waMessageId || null,
+    error: rec.error || null,
+    sentAt: iso(rec.sentAt),
+    deliveredAt: iso(rec.deliveredAt),
+    readAt: iso(rec.readAt),
+    failedAt: iso(rec.failedAt),
+    updatedAt: iso(rec.updatedAt),
+  };
+}
+
+/** Move `rec` on to `status`; resolves to the record as it now stands. */
+async function advance(rec, status, { at = Date.now(), error = null, waMessageId } = {}) {
+  if (!rec || RANK[status] === undefined) return rec;
+  // 'failed' only applies to something that never made it out.
+  if (status === 'failed' ? RANK[rec.status] >= RANK.sent : RANK[status] <= RANK[rec.status]) return rec;
+  const next = { ...rec, status, updatedAt: at };
+  if (waMessageId) next.waMessageId = waMessageId;
+  if (error) next.error = error;
+  if (STAMP[status]) next[STAMP[status]] = next[STAMP[status]] || at;
+  await save(next);
+  uniportal.notifyMessageStatus(publicView(next)).catch((err) =>
+    console.error('status callback failed:', err.message));
+  return next;
+}
+
+/* ============================
+   Early receipts
+   WhatsApp can acknowledge a message before the outbox has recorded its id
+   (markSent), and a receipt with no record to match was dropped. Unmatched
+   ones are held for a minute and applied when markSent arrives.
+============================= */
+const EARLY_KEEP_MS = 60 * 1000;
+const EARLY_MAX = 1000;
+const early = new Map(); // waMessageId -> [{ status, at, heldAt }]
+
+function holdEarly(waId, status, at) {
+  const now = Date.now();
+  for (const [id, list] of early) { if (now - list[0].heldAt < EARLY_KEEP_MS) break; early.delete(id); }
+  if (!early.has(waId) && early.size >= EARLY_MAX) early.delete(early.keys().next().value);
+  early.set(waId, [...(early.get(waId) || []), { status, at, heldAt: now }]);
+}
+
+async function applyEarly(rec) {
+  const held = rec?.waMessageId && early.get(rec.waMessageId);
+  if (!held) return;
+  early.delete(rec.waMessageId);
+  for (const { status, at } of held) rec = await advance(rec, status, { at });
+}
+
+/** A status for a WhatsApp message id: applied to its record, or held until there is one. */
+async function receive(waId, status, at = Date.now()) {
+  const rec = await load('getByWaId', waId);
+  if (rec) await advance(rec, status, { at });
+  else holdEarly(waId, status, at);
+}
+
+/** Start tracking an outbox message. */
+async function trackQueued(id, jid) {
+  await save({ id, jid, status: 'queued', updatedAt: Date.now() });
+}
+
+/** Outbox sent it; remember WhatsApp's id so receipts can be matched. */
+async function markSent(id, waMessageId) {
+  await applyEarly(await advance(await load('get', id), 'sent', { waMessageId }));
+}
+
+async function markFailed(id, error) {
+  await advance(await load('get', id), 'failed', { error });
+}
+
+/** Baileys `messages.update` — status changes on messages we sent. */
+async function onMessagesUpdate(updates) {
+  for (const { key, update } of updates || []) {
+    if (!key?.fromMe || !key.id || update?.status === undefined) continue;
+    const status = WA_STATUS[update.status];
+    if (status) await receive(key.id, status);
+  }
+}
+
+/** Baileys `message-receipt.update` — per-recipient receipts (groups). */
+async function onReceiptUpdate(receipts) {
+  for (const { key, receipt } of receipts || []) {
+    if (!key?.id || !receipt) continue;
+    if (receipt.readTimestamp || receipt.playedTimestamp) {
+      await receive(key.id, 'read', Number(receipt.readTimestamp || receipt.playedTimestamp) * 1000);
+    } else if (receipt.receiptTimestamp) {
+      await receive(key.id, 'delivered', Number(receipt.receiptTimestamp) * 1000);
+    }
+  }
+}
+
+/** Null for an id that is not one (checked first: the store would reject it as an error, not a miss). */
+async function getMessageStatus(id) {
+  if (typeof id !== 'string' || !ID_PAT.test(id)) return null;
+  return publicView(await load('get', id));
+}
+
+module.exports = {
+  trackQueued,
+  markSent,
+  markFailed,
+  onMessagesUpdate,
+  onReceiptUpdate,
+  getMessageStatus,
+};
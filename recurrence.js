@@ -0,0 +1,207 @@
+// recurrence.js
+// When a repeating reminder is due next.
+//
+// A rule is either a 5-field cron expression ("0 9 * * 1" — Mondays at 9:00)
+// or an RFC 5545 RRULE ("FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0", with or
+// without the "RRULE:" prefix). Cron is worked by cron-parser; RRULEs by the
+// small walker below, which covers what people ask a chat bot for:
+//
+//   FREQ        DAILY, WEEKLY, MONTHLY or YEARLY
+//   INTERVAL    every n-th day/week/month/year (default 1)
+//   BYDAY       MO,TU,… — no ordinals ("1MO")
+//   BYMONTHDAY  1…31, or -1 for the last day of the month
+//   BYMONTH     1…12
+//   BYHOUR, BYMINUTE
+//   COUNT, UNTIL
+//
+// An RRULE is anchored on the occurrence just sent: its weekday, day and time
+// fill in whatever the rule leaves out, and INTERVAL counts from it. Every
+// occurrence is aligned, so counting from the latest one gives the same
+// series as counting from the first.
+//
+// Both kinds are read on the student's clock (timezone.js): "0 9 * * 1" in
+// Lagos is 9:00 in Lagos, whatever zone the server runs in.
+
+const { CronExpressionParser } = require('cron-parser');
+const { DEFAULT_TZ, wallClock, fromWallClock } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 366 * 10; // far enough to find the next 29 February
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'invalid_recurrence';
+  return err;
+}
+
+/* ============================
+   Parsing
+============================= */
+function intList(value, name, min, max) {
+  return value.split(',').map((v) => {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min || n > max || (n === 0 && min < 0)) {
+      throw invalid(`${name} must be between ${min} and ${max}`);
+    }
+    return n;
+  });
+}
+
+function parseRrule(expr) {
+  const rule = { kind: 'rrule', interval: 1 };
+  for (const part of expr.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const v = value.trim().toUpperCase();
+    switch (key) {
+      case 'FREQ':
+        if (!FREQS.includes(v)) throw invalid(`FREQ must be one of ${FREQS.join(', ')}`);
+        rule.freq = v;
+        break;
+      case 'INTERVAL':
+        [rule.interval] = intList(v, 'INTERVAL', 1, 1000);
+        break;
+      case 'BYDAY':
+        rule.byDay = v.split(',').map((d) => {
+          const i = WEEKDAYS.indexOf(d);
+          if (i < 0) throw invalid(`BYDAY "${d}" is not supported — use MO, TU, WE, TH, FR, SA or SU`);
+          return i;
+        });
+        break;
+      case 'BYMONTHDAY': rule.byMonthDay = intList(v, 'BYMONTHDAY', -31, 31); break;
+      case 'BYMONTH': rule.byMonth = intList(v, 'BYMONTH', 1, 12); break;
+      case 'BYHOUR': rule.byHour = intList(v, 'BYHOUR', 0, 23); break;
+      case 'BYMINUTE': rule.byMinute = intList(v, 'BYMINUTE', 0, 59); break;
+      case 'COUNT': [rule.count] = intList(v, 'COUNT', 1, 10000); break;
+      case 'UNTIL': {
+        const m = v.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (!m) throw invalid('UNTIL must look like 20261231 or 20261231T235959Z');
+        rule.until = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] ?? 23), +(m[5] ?? 59), +(m[6] ?? 59));
+        break;
+      }
+      case 'WKST':
+        if (v !== 'MO') throw invalid('only WKST=MO is supported');
+        break;
+      default:
+        throw invalid(`${key} is not supported in a reminder rule`);
+    }
+  }
+  if (!rule.freq) throw invalid('an RRULE needs FREQ');
+  return rule;
+}
+
+/**
+ * Check a rule and return it parsed. Throws with `.code = 'invalid_recurrence'`
+ * and a message fit to show the student.
+ * @param {string} expr  cron expression or RRULE
+ */
+function parseRecurrence(expr) {
+  const text = String(expr || '').trim();
+  if (!text) throw invalid('the repeat rule is empty');
+  if (/FREQ=/i.test(text)) return { ...parseRrule(text), source: text };
+  if (text.split(/\s+/).length !== 5) {
+    throw invalid('use a 5-field cron expression (minute hour day month weekday) or an RRULE');
+  }
+  try {
+    CronExpressionParser.parse(text);
+  } catch (err) {
+    throw invalid(`that cron expression is not valid: ${err.message}`);
+  }
+  return { kind: 'cron', source: text };
+}
+
+/* ============================
+   Civil dates
+   Days are counted on UTC midnights so arithmetic never trips over a clock
+   change; times of day are placed on the student's clock.
+============================= */
+const civil = (y, m, d) => Date.UTC(y, m, d);
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+
+function atWallClock(dayMs, h, mi, tz) {
+  const day = new Date(dayMs);
+  return fromWallClock({ y: day.getUTCFullYear(), m: day.getUTCMonth(), d: day.getUTCDate(), h, mi }, tz);
+}
+
+function dayMatches(rule, dayMs, anchor) {
+  const day = new Date(dayMs);
+  const y = day.getUTCFullYear();
+  const m = day.getUTCMonth();
+  const d = day.getUTCDate();
+  const wd = day.getUTCDay();
+  const anchorDay = civil(anchor.y, anchor.m, anchor.d);
+  const monthDayOk = (days) => days.some((n) => (n > 0 ? n === d : daysInMonth(y, m) + n + 1 === d));
+
+  if (rule.byMonth && !rule.byMonth.includes(m + 1)) return false;
+  switch (rule.freq) {
+    case 'DAILY':
+      if (Math.round((dayMs - anchorDay) / DAY_MS) % rule.interval) return false;
+      if (rule.byDay && !rule.byDay.includes(wd)) return false;
+      return !rule.byMonthDay || monthDayOk(rule.byMonthDay);
+    case 'WEEKLY': {
+      const monday = (ms) => ms - ((new Date(ms).getUTCDay() + 6) % 7) * DAY_MS;
+      const weeks = Math.round((monday(dayMs) - monday(anchorDay)) / (7 * DAY_MS));
+      return weeks % rule.interval === 0 && (rule.byDay || [anchor.wd]).includes(wd);
+    }
+    case 'MONTHLY': {
+      const months = (y - anchor.y) * 12 + (m - anchor.m);
+      if (months % rule.interval) return false;
+      if (rule.byMonthDay) return monthDayOk(rule.byMonthDay);
+      return rule.byDay ? rule.byDay.includes(wd) : d === anchor.d;
+    }
+    case 'YEARLY': {
+      if ((y - anchor.y) % rule.interval) return false;
+      if (!rule.byMonth && m !== anchor.m) return false;
+      if (rule.byMonthDay) return monthDayOk(rule.byMonthDay);
+      return rule.byDay ? rule.byDay.includes(wd) : d === anchor.d;
+    }
+    default:
+      return false;
+  }
+}
+
+function nextRrule(rule, after, anchorDate, tz) {
+  const anchor = wallClock(anchorDate, tz);
+  const times = [];
+  for (const h of rule.byHour || [anchor.h]) for (const mi of rule.byMinute || [anchor.mi]) times.push([h, mi]);
+  times.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  const from = wallClock(after > anchorDate ? after : anchorDate, tz);
+  let dayMs = civil(from.y, from.m, from.d);
+  for (let i = 0; i < MAX_DAYS; i++, dayMs += DAY_MS) {
+    if (!dayMatches(rule, dayMs, anchor)) continue;
+    for (const [h, mi] of times) {
+      const at = atWallClock(dayMs, h, mi, tz);
+      if (at <= after || at < anchorDate) continue;
+      return rule.until && at.getTime() > rule.until ? null : at;
+    }
+  }
+  return null;
+}
+
+/* ============================
+   Next occurrence
+============================= */
+/**
+ * The first occurrence strictly after `after`, or null when the rule has run
+ * out (COUNT, UNTIL).
+ * @param {string|Object} rule      an expression, or what parseRecurrence returned
+ * @param {Object} opts
+ * @param {Date} opts.after
+ * @param {Date} [opts.anchor]      the occurrence just sent (RRULE only; default `after`)
+ * @param {number} [opts.sent]      how many occurrences have gone out (for COUNT)
+ * @param {string} [opts.tz]        the student's zone (timezone.js)
+ * @returns {Date|null}
+ */
+function nextOccurrence(rule, { after, anchor = after, sent = 0, tz = DEFAULT_TZ }) {
+  const parsed = typeof rule === 'string' ? parseRecurrence(rule) : rule;
+  if (parsed.kind === 'cron') {
+    return CronExpressionParser.parse(parsed.source, { currentDate: after, tz }).next().toDate();
+  }
+  if (parsed.count && sent >= parsed.count) return null;
+  return nextRrule(parsed, after, anchor, tz);
+}
+
+module.exports = { parseRecurrence, nextOccurrence };
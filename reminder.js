@@ -1,28 +1,85 @@
 // reminders.js
+// Reminders: one-shot or repeating, kept in Supabase (table reminders) and
+// sent on time by a scheduler on the leader instance, each occurrence once
+// (see Delivery below).
+//
+// A repeating reminder carries a cron expression or RRULE in `recurrence`
+// (recurrence.js). After each send the scheduler moves `remind_at` on to the
+// next occurrence instead of marking the row sent; it is only marked sent once
+// the rule runs out.
+//
+// Students manage theirs from the chat (handleReminderCommand):
+//   reminders                         list them, numbered
+//   cancel reminder 2                 (or quote the reminder and say "cancel reminder")
+//   edit reminder 2 at friday 5pm     move it
+//   edit reminder 2 to <new text>     reword it
+//   edit reminder 2 repeat <rule|off> change or stop the repeat
+//   snooze 1h                         quoting a reminder, or the last one sent
+//
+// "remind me tomorrow 5pm to submit my CAS form" is read here too, without the
+// model (handleReminderRequest): chrono finds the time, the rest is the task.
+// A time that could mean two things ("at 5", "on Friday") is asked about, and
+// one already past is refused with the nearest sensible alternative. Anything
+// it cannot read confidently — a repeat ("every Monday"), no task — goes on to
+// the model as before.
+//
+// Times are read and shown on the student's clock (timezone.js), and repeat
+// rules follow it. Each reminder goes out from the WhatsApp number it was set
+// on (`session`, tenants.js).
+
 const { supabase } = require('./config');
+const dialog = require('./dialog');
+const { parseRecurrence, nextOccurrence } = require('./recurrence');
+const events = require('./events');
+const tenants = require('./tenants');
+const { INSTANCE_ID } = require('./leader');
+const { timezoneFor, parseWhen, parseTimes, formatWhen, wallClock, fromWallClock } = require('./timezone');
+
+const SNOOZE_DEFAULT_MS = 15 * 60 * 1000;
+const SNOOZE_MAX_MS = 30 * 24 * 60 * 60 * 1000;
+const LIST_MAX = 20;
 
 /**
  * Add a reminder to Supabase
+ * @param {string} userId
+ * @param {string} message
+ * @param {Date|string|null} remindAt  first time it fires; with a recurrence and no
+ *                                     time, the rule's first occurrence from now
+ * @param {Object} [opts]
+ * @param {string} [opts.recurrence]   cron expression or RRULE, checked by the caller
  */
-async function addReminder(userId, message, remindAt) {
+async function addReminder(userId, message, remindAt, { recurrence = null } = {}) {
   try {
-    console.log("📥 addReminder called:", { userId, message, remindAt });
+    console.log("📥 addReminder called:", { userId, message, remindAt, recurrence });
+
+    const firstAt = remindAt
+      ? new Date(remindAt)
+      : nextOccurrence(recurrence, { after: new Date(), tz: await timezoneFor(userId) });
+    if (!firstAt || Number.isNaN(firstAt.getTime())) {
+      console.error('❌ Error adding reminder: no time to send it at');
+      return null;
+    }
 
     const { data, error } = await supabase
       .from('reminders')
       .insert([{
         user_id: userId,
         message,
-        remind_at: new Date(remindAt).toISOString(),
-        sent: false
-      }]);
+        remind_at: firstAt.toISOString(),
+        recurrence,
+        status: 'pending',
+        sent: false,
+        session: await tenants.sessionFor(userId),
+      }])
+      .select();
 
     if (error) {
       console.error('❌ Error adding reminder:', error);
       return null;
     }
 
-    console.log('✅ Reminder saved:', data);
+    console.log('✅ Reminder saved:', data?.[0]?.id);
+    wake(firstAt);
     return data?.[0] || null;
   } catch (err) {
     console.error("❌ addReminder unexpected error:", err);
@@ -30,10 +87,35 @@ async function addReminder(userId, message, remindAt) {
   }
 }
 
+/* ============================
+   Delivery
+   Due reminders are claimed before they are sent: one statement in Postgres
+   (claim_due_reminders, see the migration) moves them from `pending` to
+   `sending` under this instance's name for CLAIM_LEASE_MS. Only the claim
+   holder may settle one — back to `pending` for its next occurrence or a
+   retry, `sent`, or `failed` once MAX_ATTEMPTS is used up — and every try is
+   recorded in reminder_attempts.
+
+   A crash between the send and the settle leaves the claim to run out; the
+   next claim sends again under the same outbox key (reminder id +
+   occurrence), which the outbox drops as a duplicate of the message it
+   already holds. So each occurrence goes out once.
+
+   Instead of polling, a timer is set for the next reminder due. Reminders
+   stored by another instance are noticed within IDLE_CHECK_MS.
+============================= */
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+const CLAIM_BATCH = 20;
+const MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const IDLE_CHECK_MS = 60 * 1000;
+const MIN_WAIT_MS = 1000;
+
 /**
- * Reminder polling runs every 30s, so an unreachable store used to print the
- * same error twice a minute and bury every other log line. Report the first
- * failure, then only every 20th (~10 minutes), then the recovery.
+ * An unreachable store used to print the same error twice a minute and bury
+ * every other log line. Report the first failure, then only every 20th, then
+ * the recovery.
  */
 let consecutiveFetchFailures = 0;
 function noteFetchFailure(detail) {
@@ -46,17 +128,12 @@ function noteFetchFailure(detail) {
   }
 }
 
-/**
- * Fetch reminders that are due and not sent yet
- */
-async function getDueReminders() {
+/** Claim up to CLAIM_BATCH due reminders for this instance. */
+async function claimDueReminders() {
   try {
-    const now = new Date().toISOString();
-    const { data, error } = await supabase
-      .from('reminders')
-      .select('*')
-      .lte('remind_at', now)
-      .eq('sent', false);
+    const { data, error } = await supabase.rpc('claim_due_reminders', {
+      p_owner: INSTANCE_ID, p_lease_ms: CLAIM_LEASE_MS, p_limit: CLAIM_BATCH,
+    });
 
     if (error) {
       noteFetchFailure(error.message || error);
@@ -67,7 +144,7 @@ async function getDueReminders() {
       console.log(`✅ Reminder store reachable again after ${consecutiveFetchFailures} failure(s)`);
       consecutiveFetchFailures = 0;
     }
-    if (data?.length) console.log(`⏰ Found ${data.length} due reminders`);
+    if (data?.length) console.log(`⏰ Claimed ${data.length} due reminders`);
     return data || [];
   } catch (err) {
     noteFetchFailure(err.message || err);
@@ -75,27 +152,48 @@ async function getDueReminders() {
   }
 }
 
+/** When the next reminder can be claimed: its due time, or its retry time if later. */
+async function nextDueAt() {
+  const { data, error } = await supabase
+    .from('reminders')
+    .select('remind_at, claimed_until')
+    .in('status', ['pending', 'sending'])
+    .order('remind_at', { ascending: true })
+    .limit(CLAIM_BATCH);
+  if (error) throw error;
+  let next = Infinity;
+  for (const r of data || []) {
+    next = Math.min(next, Math.max(Date.parse(r.remind_at), r.claimed_until ? Date.parse(r.claimed_until) : 0));
+  }
+  return next;
+}
+
 /**
- * Mark a reminder as sent
+ * Apply `patch` to a reminder row, retrying a failed write: a due reminder
+ * left unchanged is sent again on the next pass. With `claimedBy`, only while
+ * that instance still holds the claim.
  */
-async function markReminderSent(id) {
-  // `withRetry` was never defined or imported here, so this threw a
-  // ReferenceError on every call: the reminder was never marked sent, and the
-  // scheduler re-delivered it every 30 seconds, forever. Retry inline instead.
+async function updateReminderRow(id, patch, what, { claimedBy = null } = {}) {
   for (let attempt = 1; attempt <= 3; attempt++) {
     try {
-      const { error } = await supabase
+      let query = supabase
         .from('reminders')
-        .update({ sent: true })
+        .update(patch)
         .eq('id', id);
+      if (claimedBy) query = query.eq('status', 'sending').eq('claimed_by', claimedBy);
+      const { data, error } = await query.select('id');
 
       if (!error) {
-        console.log('\u2714\ufe0f Marked reminder sent:', id);
+        if (claimedBy && !data?.length) {
+          console.warn(`⚠️ Lost the claim on reminder ${id} before it was settled`);
+          return false;
+        }
+        console.log(`✔️ ${what}:`, id);
         return true;
       }
-      console.error(`\u274c Error marking reminder sent (attempt ${attempt}):`, error.message || error);
+      console.error(`❌ Error updating reminder (attempt ${attempt}):`, error.message || error);
     } catch (err) {
-      console.error(`\u274c markReminderSent threw (attempt ${attempt}):`, err.message || err);
+      console.error(`❌ Reminder update threw (attempt ${attempt}):`, err.message || err);
     }
     if (attempt < 3) await new Promise((r) => setTimeout(r, 500 * attempt));
   }
@@ -103,27 +201,653 @@ async function markReminderSent(id) {
 }
 
 /**
- * Start background reminder scheduler
+ * Mark a reminder as sent
+ */
+async function markReminderSent(id) {
+  // `withRetry` was never defined or imported here, so this threw a
+  // ReferenceError on every call: the reminder was never marked sent, and the
+  // scheduler re-delivered it every 30 seconds, forever. Retry inline instead.
+  return updateReminderRow(id, { status: 'sent', sent: true, claimed_by: null, claimed_until: null }, 'Marked reminder sent');
+}
+
+const RELEASED = { claimed_by: null, claimed_until: null };
+
+/**
+ * After a send: move a repeating reminder on to its next occurrence, or mark
+ * it sent when it has none. Occurrences missed while the bot was down are
+ * skipped rather than sent in a burst.
+ */
+async function completeOccurrence(r) {
+  const occurrences = (r.occurrences || 0) + 1;
+  const sentAt = new Date();
+  let next = null;
+  if (r.recurrence) {
+    try {
+      const due = new Date(r.remind_at);
+      next = nextOccurrence(r.recurrence, {
+        after: due > sentAt ? due : sentAt, anchor: due, sent: occurrences, tz: await timezoneFor(r.user_id),
+      });
+    } catch (err) {
+      console.error('❌ Reminder has an unusable repeat rule, ending it:', r.id, err.message);
+    }
+  }
+  const done = { ...RELEASED, occurrences, attempts: 0, last_error: null, last_sent_at: sentAt.toISOString() };
+  if (!next) {
+    return updateReminderRow(r.id, { ...done, status: 'sent', sent: true }, 'Marked reminder sent', { claimedBy: INSTANCE_ID });
+  }
+  return updateReminderRow(r.id, { ...done, status: 'pending', remind_at: next.toISOString() },
+    `Rescheduled reminder for ${next.toISOString()}`, { claimedBy: INSTANCE_ID });
+}
+
+/** A row in reminder_attempts; losing one costs history, not the reminder. */
+async function recordAttempt(r, outcome, error, startedAt) {
+  try {
+    const { error: insertError } = await supabase.from('reminder_attempts').insert([{
+      reminder_id: String(r.id),
+      occurrence: (r.occurrences || 0) + 1,
+      attempt: r.attempts,
+      owner: INSTANCE_ID,
+      outcome,
+      error,
+      started_at: startedAt.toISOString(),
+      finished_at: new Date().toISOString(),
+    }]);
+    if (insertError) throw insertError;
+  } catch (err) {
+    console.warn(`reminder attempt for ${r.id} not recorded:`, err.message || err);
+  }
+}
+
+let sendReminder = null;
+
+async function giveUp(r, error, startedAt) {
+  console.error(`☠️  Giving up on reminder ${r.id} after ${Math.min(r.attempts, MAX_ATTEMPTS)} attempts:`, error);
+  await recordAttempt(r, 'gave_up', error, startedAt);
+  await updateReminderRow(r.id, { ...RELEASED, status: 'failed', last_error: error }, 'Gave up on reminder', { claimedBy: INSTANCE_ID });
+}
+
+async function deliver(r) {
+  const startedAt = new Date();
+  // Claims that keep running out (a crash mid-send, every time) count too.
+  if (r.attempts > MAX_ATTEMPTS) return giveUp(r, r.last_error || 'no attempt finished', startedAt);
+
+  try {
+    await sendReminder(r.user_id, `⏰ Reminder: ${r.message}\n\n_Reply *snooze 1h* to hear about it again later._`, r, {
+      key: `reminder:${r.id}:${(r.occurrences || 0) + 1}`,
+    });
+  } catch (err) {
+    // Released for a retry rather than left to the lease, and the batch goes
+    // on: one undeliverable reminder must not hold up the rest.
+    const error = err.message || String(err);
+    if (r.attempts >= MAX_ATTEMPTS) return giveUp(r, error, startedAt);
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (r.attempts - 1), RETRY_MAX_MS);
+    console.error(`❌ Reminder send failed (attempt ${r.attempts}), retrying in ${Math.round(delay / 1000)}s:`, r.id, error);
+    await recordAttempt(r, 'failed', error, startedAt);
+    await updateReminderRow(r.id, {
+      status: 'pending', claimed_by: null, claimed_until: new Date(Date.now() + delay).toISOString(), last_error: error,
+    }, 'Released reminder for a retry', { claimedBy: INSTANCE_ID });
+    return;
+  }
+  await recordAttempt(r, 'sent', null, startedAt);
+  await completeOccurrence(r);
+}
+
+/* ============================
+   Scheduler
+   One pass at a time: a timer firing while a pass is still sending asks for
+   another pass after it instead of starting a second one alongside.
+============================= */
+let wakeTimer = null;
+let wakeAt = Infinity;
+let running = false;
+let rerun = false;
+
+/** Make sure a pass runs by `at` (a Date or ms); an earlier timer already set stands. */
+function wake(at) {
+  if (!sendReminder) return;
+  const now = Date.now();
+  const fireAt = Math.min(Math.max(new Date(at).getTime() || now, now + MIN_WAIT_MS), now + IDLE_CHECK_MS);
+  if (wakeTimer && wakeAt <= fireAt) return;
+  clearTimeout(wakeTimer);
+  wakeAt = fireAt;
+  wakeTimer = setTimeout(runDue, fireAt - now);
+  wakeTimer.unref?.();
+}
+
+async function runDue() {
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+  wakeAt = Infinity;
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      let batch;
+      do {
+        batch = await claimDueReminders();
+        for (const r of batch) await deliver(r);
+      } while (batch.length === CLAIM_BATCH && sendReminder);
+    } while (rerun && sendReminder);
+  } catch (err) {
+    console.error("Reminder check error:", err);
+  } finally {
+    running = false;
+  }
+
+  let next = Infinity;
+  try {
+    next = await nextDueAt();
+  } catch (err) {
+    noteFetchFailure(err.message || err);
+  }
+  wake(next);
+}
+
+/**
+ * Start background reminder scheduler. Only the leader instance runs it
+ * (leader.js): one scheduler per replica meant one copy of each reminder per
+ * replica.
+ * @param {Function} sendFn  async (userId, text, reminderRow, { key }) => void, where `key`
+ *                           names this occurrence — hand it to the outbox to drop a resend
  */
 function startReminderScheduler(sendFn) {
-  setInterval(async () => {
+  if (sendReminder) return;
+  sendReminder = sendFn;
+  setImmediate(runDue);
+}
+
+function stopReminderScheduler() {
+  sendReminder = null;
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+  wakeAt = Infinity;
+}
+
+/* ============================
+   Management
+============================= */
+/** A student's reminders still to come, soonest first. */
+async function listReminders(userId) {
+  const { data, error } = await supabase
+    .from('reminders')
+    .select('*')
+    .eq('user_id', userId)
+    .in('status', ['pending', 'sending'])
+    .order('remind_at', { ascending: true })
+    .limit(LIST_MAX);
+  if (error) throw error;
+  return data || [];
+}
+
+/** Delete one of a student's reminders still to come. @returns {Promise<boolean>} false if not theirs, or done */
+async function cancelReminder(userId, id) {
+  // One set by a sync (see syncSourceReminders) is kept as cancelled instead,
+  // so the next sync does not set it again.
+  const kept = await supabase
+    .from('reminders')
+    .update({ status: 'cancelled' })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .not('source_key', 'is', null)
+    .select('id');
+  if (kept.error) throw kept.error;
+  if (kept.data?.length) return true;
+
+  const { data, error } = await supabase
+    .from('reminders')
+    .delete()
+    .eq('id', id)
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .select('id');
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+/**
+ * Change one of a student's reminders.
+ * @param {Object} changes  any of { message, remindAt, recurrence } (recurrence null stops it repeating)
+ * @returns {Promise<Object|null>} the updated row, or null if it was not theirs
+ */
+async function updateReminder(userId, id, changes) {
+  const patch = {};
+  if (changes.message !== undefined) patch.message = changes.message;
+  if (changes.remindAt !== undefined) patch.remind_at = new Date(changes.remindAt).toISOString();
+  if (changes.recurrence !== undefined) patch.recurrence = changes.recurrence;
+  const { data, error } = await supabase
+    .from('reminders')
+    .update(patch)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .select();
+  if (error) throw error;
+  if (patch.remind_at && data?.[0]) wake(patch.remind_at);
+  return data?.[0] || null;
+}
+
+/**
+ * Make a student's reminders from `source` (e.g. 'deadline', deadlines.js)
+ * match `desired`. Each carries a `key` unique for the student: one not there
+ * yet is added, one still to come that is no longer wanted is removed, and one
+ * already sent or cancelled is left alone — so running this twice, or on two
+ * instances at once, adds nothing the second time.
+ * @param {string} userId
+ * @param {string} source
+ * @param {Array<{ key: string, remindAt: Date, message: string }>} desired
+ * @returns {Promise<{ added: number, updated: number, removed: number }>}
+ */
+async function syncSourceReminders(userId, source, desired) {
+  const { data, error } = await supabase
+    .from('reminders')
+    .select('id, source_key, status, message')
+    .eq('user_id', userId)
+    .eq('source', source);
+  if (error) throw error;
+  const existing = new Map((data || []).map((r) => [r.source_key, r]));
+  const wanted = new Set(desired.map((d) => d.key));
+  const result = { added: 0, updated: 0, removed: 0 };
+
+  const stale = (data || []).filter((r) => r.status === 'pending' && !wanted.has(r.source_key)).map((r) => r.id);
+  if (stale.length) {
+    const { data: gone, error: deleteError } = await supabase
+      .from('reminders')
+      .delete()
+      .in('id', stale)
+      .eq('status', 'pending')
+      .select('id');
+    if (deleteError) throw deleteError;
+    result.removed = gone?.length || 0;
+  }
+
+  const fresh = desired.filter((d) => !existing.has(d.key));
+  if (fresh.length) {
+    const session = await tenants.sessionFor(userId);
+    const { data: added, error: insertError } = await supabase
+      .from('reminders')
+      .upsert(fresh.map((d) => ({
+        user_id: userId,
+        message: d.message,
+        remind_at: new Date(d.remindAt).toISOString(),
+        status: 'pending',
+        sent: false,
+        source,
+        source_key: d.key,
+        session,
+      })), { onConflict: 'user_id,source_key', ignoreDuplicates: true })
+      .select('id, remind_at');
+    if (insertError) throw insertError;
+    result.added = added?.length || 0;
+    for (const r of added || []) wake(r.remind_at);
+  }
+
+  for (const d of desired) {
+    const r = existing.get(d.key);
+    if (r?.status !== 'pending' || r.message === d.message) continue;
+    const { error: updateError } = await supabase
+      .from('reminders')
+      .update({ message: d.message })
+      .eq('id', r.id)
+      .eq('status', 'pending');
+    if (updateError) throw updateError;
+    result.updated++;
+  }
+  return result;
+}
+
+/* ============================
+   Sent reminder messages
+   The WhatsApp id of each reminder sent, so "snooze" quoting one finds it.
+   Kept as dialog states (like counselor messages), plus the latest under
+   the key "last" for a snooze that quotes nothing.
+============================= */
+const MESSAGE_KIND = dialog.STATES.REMINDER_MESSAGE.kind;
+
+async function rememberReminderMessage(jid, messageId, reminder) {
+  const data = { reminderId: reminder.id, message: reminder.message, sentAt: Date.now() };
+  if (messageId) await dialog.setState(jid, MESSAGE_KIND, data, { key: messageId });
+  await dialog.setState(jid, MESSAGE_KIND, data, { key: 'last' });
+}
+
+/* ============================
+   Chat commands
+============================= */
+const LIST_PAT = /^(?:(?:list|show)\s+)?(?:my\s+)?reminders\??$/i;
+const CANCEL_PAT = /^(?:cancel|delete|remove)\s+(?:this\s+|the\s+)?reminder(?:\s+#?(\d+))?[.!]*$/i;
+const EDIT_PAT = /^(?:edit|change)\s+reminder\s+#?(\d+)\s+(at|to|repeat)\s+(.+)$/i;
+const SNOOZE_PAT = /^snooze(?:\s+(?:for\s+)?(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?))?[.!]*$/i;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MANAGE_HELP =
+  'Send *cancel reminder 2*, *edit reminder 2 at friday 5pm*, *edit reminder 2 to <new text>* ' +
+  'or *edit reminder 2 repeat off*.';
+
+function describe(r, i, tz) {
+  return `${i + 1}. ${r.message} — ${formatWhen(r.remind_at, tz)}${r.recurrence ? ` 🔁 ${r.recurrence}` : ''}`;
+}
+
+async function reminderByNumber(userId, n) {
+  const list = await listReminders(userId);
+  return list[n - 1] || null;
+}
+
+async function quotedReminder(jid, quotedId) {
+  return quotedId ? dialog.getState(jid, MESSAGE_KIND, quotedId) : null;
+}
+
+async function snooze(jid, text, quotedId) {
+  const m = text.match(SNOOZE_PAT);
+  const ms = m[1] ? Number(m[1]) * UNIT_MS[m[2][0].toLowerCase()] : SNOOZE_DEFAULT_MS;
+  if (!ms || ms > SNOOZE_MAX_MS) return '⚠️ I can snooze a reminder for up to 30 days.';
+
+  const sent = (await quotedReminder(jid, quotedId)) || (!quotedId && await dialog.getState(jid, MESSAGE_KIND, 'last'));
+  if (!sent) {
+    return quotedId
+      ? 'ℹ️ That message isn\'t a reminder. Reply *snooze 1h* to the reminder itself.'
+      : 'ℹ️ There is no recent reminder to snooze.';
+  }
+  const at = new Date(Date.now() + ms);
+  if (!(await addReminder(jid, sent.message, at))) return "⚠️ I couldn't snooze that just now. Please try again.";
+  return `😴 Snoozed — I'll remind you about "${sent.message}" at ${formatWhen(at, await timezoneFor(jid))}.`;
+}
+
+async function edit(jid, n, field, value) {
+  const r = await reminderByNumber(jid, n);
+  if (!r) return `ℹ️ You have no reminder ${n}. Send *reminders* to see the list.`;
+
+  const tz = await timezoneFor(jid);
+  const changes = {};
+  if (field === 'at') {
+    const at = parseWhen(value, tz);
+    if (!at || at <= new Date()) return `⚠️ I couldn't read "${value}" as a time in the future.`;
+    changes.remindAt = at;
+  } else if (field === 'to') {
+    changes.message = value.trim().slice(0, 500);
+  } else if (/^(?:off|never|none|stop)$/i.test(value.trim())) {
+    changes.recurrence = null;
+  } else {
+    let rule;
     try {
-      const due = await getDueReminders();
-      for (const r of due) {
-        try {
-          await sendFn(r.user_id, `\u23f0 Reminder: ${r.message}`);
-        } catch (err) {
-          // Leave it unsent so it retries once WhatsApp is back, and keep
-          // going: one undeliverable reminder must not block the batch.
-          console.error('\u274c Reminder send failed, will retry:', r.id, err.message || err);
-          continue;
-        }
-        await markReminderSent(r.id);
-      }
+      rule = parseRecurrence(value);
     } catch (err) {
-      console.error("Reminder check error:", err);
+      return `⚠️ ${err.message}.`;
     }
-  }, 30_000); // every 30s
+    changes.recurrence = rule.source;
+    // A cron rule says when it fires by itself; an RRULE builds on the time already set.
+    if (rule.kind === 'cron') changes.remindAt = nextOccurrence(rule, { after: new Date(), tz });
+  }
+
+  const updated = await updateReminder(jid, r.id, changes);
+  if (!updated) return 'ℹ️ That reminder has just been sent or removed. Send *reminders* to see the list.';
+  return `✏️ Updated:\n${describe(updated, n - 1, tz)}`;
+}
+
+/**
+ * Handle a reminder command in a private chat. Returns the reply, or null
+ * when the text is not one, so the caller carries on as normal.
+ * @param {string} jid
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string|null} [opts.quotedId]  id of the message being replied to
+ */
+async function handleReminderCommand(jid, text, { quotedId = null } = {}) {
+  const t = (text || '').trim();
+  if (!t) return null;
+  try {
+    if (LIST_PAT.test(t)) {
+      const list = await listReminders(jid);
+      if (!list.length) return '📭 You have no reminders set. Ask me to remind you of something any time.';
+      const tz = await timezoneFor(jid);
+      return `⏰ Your reminders (${tz} time):\n${list.map((r, i) => describe(r, i, tz)).join('\n')}\n\n${MANAGE_HELP}`;
+    }
+
+    if (SNOOZE_PAT.test(t)) return await snooze(jid, t, quotedId);
+
+    const cancel = t.match(CANCEL_PAT);
+    if (cancel) {
+      if (!cancel[1] && !quotedId) return 'ℹ️ Which one? Send *reminders* to see them numbered, then e.g. *cancel reminder 2*.';
+      let id = null;
+      let label = null;
+      if (cancel[1]) {
+        const r = await reminderByNumber(jid, Number(cancel[1]));
+        id = r?.id;
+        label = r?.message;
+      } else {
+        const sent = await quotedReminder(jid, quotedId);
+        id = sent?.reminderId;
+        label = sent?.message;
+      }
+      if (!id || !(await cancelReminder(jid, id))) return 'ℹ️ I couldn\'t find that reminder — it may already be done. Send *reminders* to see the list.';
+      return `🗑️ Cancelled "${label}".`;
+    }
+
+    const editMatch = t.match(EDIT_PAT);
+    if (editMatch) return await edit(jid, Number(editMatch[1]), editMatch[2].toLowerCase(), editMatch[3]);
+  } catch (err) {
+    console.error('reminder command failed:', err.message || err);
+    return "⚠️ I couldn't reach your reminders just now. Please try again shortly.";
+  }
+  return null;
+}
+
+/* ============================
+   "Remind me …" without the model
+   A request that needs a question answered first is kept as a draft
+   (dialog REMINDER_DRAFT) with the step it is waiting on:
+     time      no time of day yet ("on Friday") — `day` is set if one was given
+     meridiem  "at 5": `options` holds the am and pm instants
+     past      the time has gone — `suggestion` is offered instead
+     task      a time but nothing to remind about
+============================= */
+const DRAFT_KIND = dialog.STATES.REMINDER_DRAFT.kind;
+const REMIND_PAT = /^(?:(?:hey|hi|please|pls|can you|could you)[\s,]+)*(?:remind me|set (?:me )?an? reminder)\b[\s,:-]*(.*?)[\s.!?]*$/i;
+// Repeats need a rule, which is the model's job (addReminder's `recurrence`).
+const REPEAT_PAT = /\b(?:every|each|daily|weekly|monthly|yearly|weekdays|weekends)\b/i;
+const TASK_LEAD = /^(?:(?:to|about|that|of|for|on|at|by|in|and)\b[\s,:-]*)+/i;
+const TASK_TAIL = /(?:[\s,:-]+(?:to|about|that|of|for|on|at|by|in|and))+$/i;
+const YES_PAT = /^(?:yes|y|yeah|yep|ok|okay|sure|please do)[.!]*$/i;
+const NO_PAT = /^(?:no|nope|cancel|stop|never ?mind|forget it)[.!]*$/i;
+const AM_PAT = /^(?:1|am|a\.m\.?|morning|in the morning)[.!]*$/i;
+const PM_PAT = /^(?:2|pm|p\.m\.?|afternoon|evening|night|in the (?:afternoon|evening))[.!]*$/i;
+// Commands the bot answers elsewhere (here, timezone.js, deadlines.js,
+// server.js linking): never the thing to be reminded about.
+const COMMAND_PAT = new RegExp([
+  /^(?:(?:list|show|cancel|delete|remove|edit|change)\s+)?(?:(?:my|this|the)\s+)?reminders?\b/,
+  /^snooze\b/, /^deadline\s+reminders?\b/, /^(?:set\s+)?(?:my\s+)?time\s*zone\b/,
+  /^(?:un|re)?link\b/, /^(?:who\s*am\s*i|whoami|which\s+account)\b/, /^help\b/,
+].map((r) => r.source).join('|'), 'i');
+const RECENT_MS = 7 * 24 * 60 * 60 * 1000;
+const TASK_MAX = 500;
+
+/**
+ * The first time in `text`. A date stated outright is parsed without
+ * forwardDate, so one just gone ("15 October" on the 19th, "today at 6" at
+ * noon) is read as said, and settleTime can refuse it and offer the next one;
+ * forwardDate would quietly move it to next year. With no year given, chrono
+ * still picks the nearest one: "5 March" in October is next March, "1 May"
+ * is this May. A weekday or a bare time means the next one to come.
+ */
+function findTime(text, tz, opts = {}) {
+  const [found] = parseTimes(text, tz, opts);
+  if (!found?.start.isCertain('day') || !found.start.isCertain('month')) return found;
+  return parseTimes(text, tz, { ...opts, forwardDate: false })[0];
+}
+
+/** What's left of the request once the time is cut out: the task. */
+function taskFrom(body, found) {
+  const rest = found ? body.slice(0, found.index) + ' ' + body.slice(found.index + found.text.length) : body;
+  return rest.replace(/\s+/g, ' ').trim().replace(TASK_LEAD, '').replace(TASK_TAIL, '').trim().slice(0, TASK_MAX);
+}
+
+/** "at 5" can be 5am or 5pm; "17:30", "09:00", "5pm" and "noon" cannot. */
+function meridiemUnclear(found) {
+  const h = found.start.get('hour');
+  if (found.start.isCertain('meridiem') || h === 0 || h > 12) return false;
+  return !/\b0\d[:.h]\d\d\b|noon|midday|midnight/i.test(found.text);
+}
+
+/** The instant a clock in `tz` next shows h:mi on `day` — or, when the day was only guessed, on a later one. */
+function nextAt(day, h, mi, tz, { dayCertain, now }) {
+  let at = fromWallClock({ ...day, h, mi }, tz);
+  if (!dayCertain && at <= now) at = fromWallClock({ ...day, d: day.d + 1, h, mi }, tz);
+  return at;
+}
+
+/** The nearest sensible time to offer for one that has gone. */
+function suggestFor(at, tz, now) {
+  const w = wallClock(at, tz);
+  const today = wallClock(now, tz);
+  if (now - at < RECENT_MS) return nextAt(today, w.h, w.mi, tz, { dayCertain: false, now });
+  let next = fromWallClock({ ...w, y: today.y }, tz);
+  if (next <= now) next = fromWallClock({ ...w, y: today.y + 1 }, tz);
+  return next;
+}
+
+function formatDay({ y, m, d }) {
+  return new Date(Date.UTC(y, m, d)).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+async function saveDraft(jid, draft) {
+  await dialog.setState(jid, DRAFT_KIND, draft);
+}
+
+/**
+ * Take a task and whatever time was found for it as far as it goes: set the
+ * reminder, or keep a draft and ask the one thing missing.
+ */
+async function settleTime(jid, task, found, tz, { day = null, now = new Date() } = {}) {
+  const about = task ? ` about "${task}"` : '';
+  if (!found) {
+    await saveDraft(jid, { step: 'time', task, day });
+    return day
+      ? `🕒 What time on ${formatDay(day)} should I remind you${about}?`
+      : `🕒 When should I remind you${about}? e.g. *tomorrow 5pm* or *in 2 hours*.`;
+  }
+
+  const dayCertain = Boolean(day) || found.start.isCertain('day');
+  const foundDay = { y: found.start.get('year'), m: found.start.get('month') - 1, d: found.start.get('day') };
+  if (!found.start.isCertain('hour')) {
+    await saveDraft(jid, { step: 'time', task, day: foundDay });
+    return `🕒 What time on ${formatDay(foundDay)} should I remind you${about}?`;
+  }
+
+  const h = found.start.get('hour');
+  const mi = found.start.get('minute') || 0;
+  if (meridiemUnclear(found)) {
+    // Chrono only marks a stated date as certain, but a weekday or "tomorrow"
+    // names the day just the same; only a bare time is on the next day to come.
+    const named = dayCertain || !found.start.isOnlyTime();
+    const start = named ? foundDay : wallClock(now, tz);
+    const options = [h % 12, (h % 12) + 12].map((hh) => nextAt(start, hh, mi, tz, { dayCertain: named, now }).toISOString());
+    await saveDraft(jid, { step: 'meridiem', task, options });
+    return `🕒 Is that *${formatWhen(options[0], tz)}* or *${formatWhen(options[1], tz)}*? Reply *am* or *pm*.`;
+  }
+
+  return setOrOffer(jid, task, found.start.date(), tz, now);
+}
+
+/** Set the reminder for `at`, or offer the next sensible time when it has passed. */
+async function setOrOffer(jid, task, at, tz, now = new Date()) {
+  if (at <= now) {
+    const about = task ? ` about "${task}"` : '';
+    const suggestion = suggestFor(at, tz, now);
+    await saveDraft(jid, { step: 'past', task, suggestion: suggestion.toISOString() });
+    return `⚠️ ${formatWhen(at, tz)} has already passed. Shall I remind you${about} on *${formatWhen(suggestion, tz)}* instead? ` +
+      'Reply *yes*, or send another time.';
+  }
+  return setFromDraft(jid, task, at, tz);
+}
+
+async function setFromDraft(jid, task, at, tz) {
+  if (!task) {
+    await saveDraft(jid, { step: 'task', at: at.toISOString() });
+    return `📝 What should I remind you about on ${formatWhen(at, tz)}?`;
+  }
+  await dialog.clearState(jid, DRAFT_KIND);
+  const saved = await addReminder(jid, task, at);
+  if (!saved) return "⚠️ I couldn't save that reminder just now. Please try again shortly.";
+  events.emit('tool.action', jid, { tool: 'addReminder', remindAt: at.toISOString(), recurring: false });
+  return `✅ Reminder set for "${task}" on ${formatWhen(at, tz)}. Send *reminders* to see or change yours.`;
+}
+
+/** The student's answer to a draft's question; null when it isn't one. */
+async function answerDraft(jid, draft, text, tz) {
+  if (NO_PAT.test(text)) {
+    await dialog.clearState(jid, DRAFT_KIND);
+    return '👍 OK, no reminder set.';
+  }
+  if (draft.step === 'task') {
+    if (COMMAND_PAT.test(text)) {
+      // A command, not the task: drop the question and let it be answered.
+      await dialog.clearState(jid, DRAFT_KIND);
+      return null;
+    }
+    return setFromDraft(jid, text.slice(0, TASK_MAX), new Date(draft.at), tz);
+  }
+  // "today at 6" offers this morning's 6:00 too, which may have gone by now.
+  if (draft.step === 'meridiem' && (AM_PAT.test(text) || PM_PAT.test(text))) {
+    return setOrOffer(jid, draft.task, new Date(draft.options[AM_PAT.test(text) ? 0 : 1]), tz);
+  }
+  if (draft.step === 'past' && YES_PAT.test(text)) return setFromDraft(jid, draft.task, new Date(draft.suggestion), tz);
+
+  // Otherwise it should be a time; on the day already agreed, if there is one.
+  const now = new Date();
+  const day = draft.step === 'time' ? draft.day : null;
+  const ref = day ? fromWallClock({ ...day, h: 0, mi: 0 }, tz) : now;
+  const found = findTime(text, tz, { ref });
+  if (!found) {
+    // Not an answer: drop the question and let the message be read as usual.
+    await dialog.clearState(jid, DRAFT_KIND);
+    return null;
+  }
+  return settleTime(jid, draft.task, found, tz, { day, now });
+}
+
+/**
+ * Set a reminder from a plain "remind me …" message, or carry on with one
+ * that is waiting for an answer. Returns the reply, or null when the message
+ * is neither, so the caller can hand it to the model.
+ * @param {string} jid
+ * @param {string} text
+ */
+async function handleReminderRequest(jid, text) {
+  const t = (text || '').trim();
+  if (!t) return null;
+  try {
+    // A draft only claims the message when its question is the one asked last,
+    // per dialog.js precedence — a staged post's "yes" is not ours.
+    const latest = await dialog.latestConfirmation(jid);
+    const m = t.match(REMIND_PAT);
+    if (latest?.kind === DRAFT_KIND && !m) return await answerDraft(jid, latest.data || {}, t, await timezoneFor(jid));
+
+    if (!m || REPEAT_PAT.test(m[1])) return null;
+    const tz = await timezoneFor(jid);
+    const found = findTime(m[1], tz);
+    const task = taskFrom(m[1], found);
+    // Neither a time nor a task: nothing to go on but the model.
+    if (!found && !task) return null;
+    return await settleTime(jid, task, found, tz);
+  } catch (err) {
+    console.error('reminder request failed:', err.message || err);
+    return "⚠️ I couldn't set that reminder just now. Please try again shortly.";
+  }
 }
 
-module.exports = { addReminder, getDueReminders, markReminderSent, startReminderScheduler };
+module.exports = {
+  addReminder,
+  claimDueReminders,
+  markReminderSent,
+  startReminderScheduler,
+  stopReminderScheduler,
+  listReminders,
+  cancelReminder,
+  updateReminder,
+  syncSourceReminders,
+  rememberReminderMessage,
+  handleReminderCommand,
+  handleReminderRequest,
+};
@@ -0,0 +1,102 @@
+// seen.js
+// Inbound message ids the bot has already taken on.
+//
+// WhatsApp redelivers messages after a reconnect, and Baileys replays the
+// offline queue in `messages.upsert` batches, so the same message can arrive
+// more than once — and each arrival used to get its own answer. A message is
+// claimed here before it is handled; a second claim of the same id is refused,
+// across restarts too.
+//
+// Kept where STATE_STORE says (store.js): table seen_messages in Supabase or
+// in the bot's SQLite file, with memory as the fallback.
+
+const { supabase } = require('./config');
+const { openStore } = require('./store');
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function memoryBackend() {
+  const ids = new Map(); // `${jid}\u0000${id}` -> seenAt
+  return {
+    async claim(jid, id, now) {
+      const k = `${jid}\u0000${id}`;
+      if (ids.has(k)) return false;
+      ids.set(k, now);
+      return true;
+    },
+    async purge(before) {
+      for (const [k, at] of ids) if (at < before) ids.delete(k);
+    },
+  };
+}
+
+function sqliteBackend() {
+  const { ensureSchema } = require('./localdb');
+  const db = () => ensureSchema('seen_messages', `
+    CREATE TABLE IF NOT EXISTS seen_messages (
+      jid        TEXT    NOT NULL,
+      message_id TEXT    NOT NULL,
+      seen_at    INTEGER NOT NULL,
+      PRIMARY KEY (jid, message_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_seen_messages_seen_at ON seen_messages (seen_at);
+  `);
+  return {
+    async claim(jid, id, now) {
+      return db().prepare(
+        'INSERT OR IGNORE INTO seen_messages (jid, message_id, seen_at) VALUES (?, ?, ?)',
+      ).run(jid, id, now).changes === 1;
+    },
+    async purge(before) {
+      db().prepare('DELETE FROM seen_messages WHERE seen_at < ?').run(before);
+    },
+  };
+}
+
+function supabaseBackend() {
+  return {
+    async claim(jid, id, now) {
+      const { error } = await supabase
+        .from('seen_messages')
+        .insert([{ jid, message_id: id, seen_at: new Date(now).toISOString() }]);
+      if (!error) return true;
+      if (error.code === '23505') return false; // primary key taken: already seen
+      throw error;
+    },
+    async purge(before) {
+      const { error } = await supabase
+        .from('seen_messages')
+        .delete()
+        .lt('seen_at', new Date(before).toISOString());
+      if (error) throw error;
+    },
+  };
+}
+
+const { store, mirror, run } = openStore('Seen-message',
+  { memory: memoryBackend, sqlite: sqliteBackend, supabase: supabaseBackend },
+  { mirror: true, whileDown: 'de-duplicating in memory only' });
+
+/**
+ * Claim a message for handling. Resolves true the first time an id is seen and
+ * false for every redelivery. If the durable store is unreachable the memory
+ * mirror still catches in-process duplicates — answering is better than
+ * dropping a message because the dedupe table is down.
+ */
+async function claimMessage(jid, id) {
+  if (!jid || !id) return true;
+  const now = Date.now();
+  const firstInProcess = await mirror.claim(jid, id, now);
+  if (store === mirror) return firstInProcess;
+  if (!firstInProcess) return false;
+  return run('claim', [jid, id, now], true);
+}
+
+/** Forget ids older than the retention window. Called from the server's sweep. */
+async function purgeSeen() {
+  const before = Date.now() - RETENTION_MS;
+  await mirror.purge(before);
+  if (store !== mirror) await store.purge(before);
+}
+
+module.exports = { claimMessage, purgeSeen };
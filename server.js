@@ -1,21 +1,37 @@
 // server.js
 require('./polyfills'); // must precede the Baileys require — see polyfills.js
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const {
-  default: makeWASocket,
-  DisconnectReason,
-  useMultiFileAuthState,
-  jidNormalizedUser,
-  fetchLatestBaileysVersion,
-  Browsers,
-} = require('@whiskeysockets/baileys');
+const multer = require('multer');
 const { getAIResponse } = require('./ai');
 const { initMatch, handleAcceptCode } = require('./match');
 const { WebSocketServer } = require('ws');
-const { startReminderScheduler } = require('./reminder');
+const {
+  startReminderScheduler,
+  stopReminderScheduler,
+  rememberReminderMessage,
+  handleReminderCommand,
+  handleReminderRequest,
+} = require('./reminder');
 const uniportal = require('./uniportal');
+const dialog = require('./dialog');
+const seen = require('./seen');
+const outbox = require('./outbox');
+const tenants = require('./tenants');
+const { createSession, normalizeJid } = require('./sessions');
+const operators = require('./operators');
+const signing = require('./signing');
+const { buildContent, listTemplates } = require('./content');
+const events = require('./events');
+const receipts = require('./receipts');
+const handover = require('./handover');
+const identity = require('./identity');
+const leader = require('./leader');
+const { handleTimezoneCommand } = require('./timezone');
+const deadlines = require('./deadlines');
 const {
   initNotifications,
   stopRealtimeSubscription,
@@ -26,178 +42,453 @@ const {
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const AUTH_DIR = process.env.AUTH_DIR || 'auth_info_baileys';
-const SERVICE_TOKEN = process.env.UNIPORTAL_SERVICE_TOKEN || '';
-const KEEP_ALIVE_MS = 30000;
+// Where the other instances reach this one (leader.js); a follower forwards /api/send here.
+const INSTANCE_URL = (process.env.INSTANCE_URL || `http://${os.hostname()}:${PORT}`).replace(/\/$/, '');
 const TRIGGER_KEYWORD = 'heybot';
 const CONVERSATION_TIMEOUT = 30 * 60 * 1000; // 30 min
 
 /* ============================
-   Connection state
+   Sessions
+   One per tenant (tenants.js); each owns its WhatsApp connection
+   (sessions.js). Created here, started while this instance is the leader
+   (leader.js).
 ============================= */
-let sock = null;
-let saveCreds = null;
-let isStarting = false;
-let shouldStop = false;
-let botJid = null;
-let isRegistered = false;         // true once this device is paired
+const sessions = new Map(); // id -> session
 let activeConversations = new Map();
-let reconnectAttempt = 0;
-const MAX_RECONNECT_DELAY = 60000;
-let lastQr = null;
-let lastQrAt = 0;
-let connectionStatus = 'disconnected';
-let reconnectTimer = null;
-let qrWatchdogTimer = null;
 let presenceTimer = null;
 let sweepTimer = null;
 
-/**
- * WhatsApp rotates the pairing QR roughly every 20s and Baileys closes the
- * socket once its refs are spent. Anything older than this is unscannable, so
- * we stop advertising it rather than showing the user a dead code.
- */
-const QR_MAX_AGE_MS = 60_000;
-
-function currentQr() {
-  if (!lastQr) return null;
-  return Date.now() - lastQrAt < QR_MAX_AGE_MS ? lastQr : null;
-}
-
 /* ============================
    HTTP
 ============================= */
-app.use(express.json());
+// Keep the exact bytes: request signatures cover the body as sent.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+// Azure App Service terminates TLS one hop in front of us; trusting that hop
+// gives req.ip the real client (for sign-in throttling) and req.secure. A
+// mistyped value would make Express trust nothing — or, as NaN, behave
+// unpredictably — so it is refused at startup instead.
+const TRUST_PROXY_HOPS = Number((process.env.TRUST_PROXY_HOPS || '').trim() || 1);
+if (!Number.isInteger(TRUST_PROXY_HOPS) || TRUST_PROXY_HOPS < 0) {
+  throw new Error('TRUST_PROXY_HOPS must be a whole number of proxies (0 for none)');
+}
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
+// The dashboard page itself is harmless, but a signed-out visitor belongs on
+// the sign-in page rather than on a dashboard whose every call will 401.
+app.get(['/', '/index.html'], async (req, res, next) => {
+  if (await operators.operatorFromRequest(req)) return next();
+  res.redirect('/login.html');
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.get('/health', (req, res) => res.json({ ok: true }));
 
-app.get('/api/status', (req, res) => res.json({
-  ok: true,
-  connectionStatus,
-  hasQr: !!currentQr(),
-  registered: isRegistered,
-  wsClients: wss?.clients?.size ?? 0,
-  botJid: botJid ? '***' : null,
-  uniportalBridge: uniportal.isConfigured(),
-  uniportalBridgeMissing: uniportal.missingConfig(),
-  sendEndpointReady: Boolean(SERVICE_TOKEN),
-  uptime: process.uptime(),
-}));
+/* ============================
+   Operator sessions (see operators.js)
+============================= */
+app.post('/api/session', async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    const session = await operators.login(username, password, req.ip);
+    res.set('Set-Cookie', operators.sessionCookie(session.token, req));
+    res.json({ ok: true, name: session.name, role: session.role, token: session.token, expiresAt: session.expiresAt });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/session', operators.requireOperator('viewer'), (req, res) => {
+  res.json({ ok: true, ...req.operator });
+});
+
+app.delete('/api/session', async (req, res) => {
+  closeOperatorSockets(await operators.logout(req), 'signed out');
+  res.set('Set-Cookie', operators.clearedCookie());
+  res.json({ ok: true });
+});
+
+app.get('/api/status', operators.requireOperator('viewer'), (req, res) => {
+  const def = sessions.get(tenants.defaultSession());
+  res.json({
+    ok: true,
+    // The default session's fields stay at the top level for existing callers.
+    ...def.status(),
+    sessions: [...sessions.values()].map((s) => s.status()),
+    wsClients: wss?.clients?.size ?? 0,
+    uniportalBridge: uniportal.isConfigured(),
+    uniportalBridgeMissing: uniportal.missingConfig(),
+    sendEndpointReady: signing.inboundConfigured(),
+    leader: leader.leaderInfo(),
+    outbox: outbox.outboxStats(),
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * Resolve `:session` to `req.botSession` (404 if unknown). The unscoped
+ * routes — /api/qr, /api/pair and the rest — act on the default session.
+ */
+function withSession(req, res, next) {
+  const id = req.params.session || tenants.defaultSession();
+  req.botSession = sessions.get(id);
+  if (!req.botSession) return res.status(404).json({ ok: false, error: `unknown session "${id}"` });
+  next();
+}
+const scoped = (route) => [route, `/api/sessions/:session${route.slice('/api'.length)}`];
+
+/**
+ * The sockets live on the leader only. Operator sessions are in the shared
+ * store, so a follower passes the control routes on with the operator's
+ * cookie or bearer token, and the leader checks it again.
+ */
+function leaderOnly(req, res, next) {
+  if (leader.isLeader()) return next();
+  forwardToLeader(req, res);
+}
+
+app.get('/api/sessions', operators.requireOperator('viewer'), (req, res) => {
+  res.json({ ok: true, sessions: [...sessions.values()].map((s) => s.status()) });
+});
+
+app.get('/api/sessions/:session/status', operators.requireOperator('viewer'), withSession, (req, res) => {
+  res.json({ ok: true, ...req.botSession.status() });
+});
 
 /**
  * Polling fallback for the QR. The dashboard prefers the WebSocket, but a
  * proxy that buffers or drops upgrades would otherwise leave the operator with
  * no way to see a code at all.
  */
-app.get('/api/qr', (req, res) => {
-  const qr = currentQr();
-  res.json({ ok: true, qr, connectionStatus, registered: isRegistered });
+app.get(scoped('/api/qr'), operators.requireOperator('admin'), withSession, leaderOnly, (req, res) => {
+  const session = req.botSession;
+  const { connectionStatus, registered } = session.status();
+  res.json({
+    ok: true, session: session.id, qr: session.currentQr(), pairingCode: session.currentPairingCode(),
+    pairingCodeAgeMs: session.pairingCodeAgeMs(), connectionStatus, registered,
+  });
+});
+
+/**
+ * Pair by phone number instead of scanning: WhatsApp shows "Link with phone
+ * number instead" under Linked devices, and the 8-character code issued here
+ * goes in there. Useful when the operator's phone is the only screen around.
+ * Until the device pairs, every fresh socket issues a fresh code in place of
+ * its QR; /api/restart goes back to the QR.
+ */
+app.post(scoped('/api/pair'), operators.requireOperator('admin'), withSession, leaderOnly, async (req, res) => {
+  try {
+    const result = await req.botSession.requestPairing(req.body?.phone);
+    console.log(`🔢 [${req.botSession.id}] Pairing code requested via API by ${req.operator.name}`);
+    if (result.code) return res.json({ ok: true, code: result.code });
+    res.status(202).json({ ok: true, status: 'pending' });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
 });
 
 /** Force a fresh pairing attempt without restarting the process. */
-app.post('/api/restart', async (req, res) => {
-  console.log('🔁 Restart requested via API');
-  clearReconnect();
-  await teardownSocket();
-  lastQr = null;
-  connectionStatus = 'disconnected';
-  broadcast({ type: 'status', status: 'restarting' });
-  scheduleReconnect(250);
+app.post(scoped('/api/restart'), operators.requireOperator('admin'), withSession, leaderOnly, async (req, res) => {
+  console.log(`🔁 [${req.botSession.id}] Restart requested via API by ${req.operator.name}`);
+  await req.botSession.restart();
   res.json({ ok: true });
 });
 
 /** Drop the stored session so the next connect issues a brand-new QR. */
-app.post('/api/logout', async (req, res) => {
-  console.log('🚪 Logout requested via API — clearing stored session');
-  clearReconnect();
-  try { if (sock) await sock.logout().catch(() => {}); } catch {}
-  await teardownSocket();
-  clearAuthState();
-  lastQr = null;
-  isRegistered = false;
-  connectionStatus = 'disconnected';
-  broadcast({ type: 'status', status: 'disconnected' });
-  scheduleReconnect(250);
+app.post(scoped('/api/logout'), operators.requireOperator('admin'), withSession, leaderOnly, async (req, res) => {
+  console.log(`🚪 [${req.botSession.id}] Logout requested via API by ${req.operator.name} — clearing stored session`);
+  await req.botSession.logout();
   res.json({ ok: true });
 });
 
 /**
  * Outbound send, called by uniportal-server to mirror a student's notification
- * onto WhatsApp. Service-token protected: without it, anyone who can reach this
- * port could message every linked student.
+ * onto WhatsApp. The request must be signed (signing.js): otherwise anyone who
+ * can reach this port could message every linked student.
+ *
+ * JSON body: `{ jid, type, ...fields }` or `{ jid, template, variables }` — see
+ * content.js for the types; a bare `{ jid, text }` still works. `session`
+ * names the number to send from (tenants.js), as does the
+ * /api/sessions/:session/send form; without either it is the default one. To upload an
+ * image or document instead of linking it, send multipart/form-data with the
+ * JSON as a `payload` field and the file as `file`.
+ *
+ * The message is queued (see outbox.js). With `async: true` the response comes
+ * back at once as 202 with the queue `id`; otherwise we wait briefly for the
+ * send so the caller gets WhatsApp's `messageId` as before, and fall back to a
+ * 202 if it is still queued — e.g. while WhatsApp is reconnecting.
  */
-app.post('/api/send', async (req, res) => {
-  const provided = req.get('x-service-token') || '';
-  if (!SERVICE_TOKEN || provided !== SERVICE_TOKEN) {
-    return res.status(401).json({ ok: false, error: 'unauthorized' });
+const SEND_WAIT_MS = 15000;
+
+// Uploads wait on disk until the outbox has sent them, then are deleted.
+// Keep MEDIA_DIR on persistent storage so queued media survives a restart.
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(process.cwd(), 'media-uploads');
+const MAX_UPLOAD_BYTES = 16 * 1024 * 1024; // WhatsApp's own limit for images and most documents
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => fs.mkdir(MEDIA_DIR, { recursive: true }, (err) => cb(err, MEDIA_DIR)),
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+function removeUpload(file) {
+  if (file) fs.unlink(file, () => {});
+}
+
+/**
+ * Parse a multipart /api/send. The signature covers the body as sent, so the
+ * raw bytes are hashed as multer streams them rather than buffered whole. An
+ * upload the request never gets to queue — bad signature, invalid payload — is
+ * deleted once the response is out. signing.precheckSignature runs first, so
+ * only a request with fresh, well-formed signature headers gets this far.
+ */
+function sendMultipart(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+  const hash = crypto.createHash('sha256');
+  req.on('data', (chunk) => hash.update(chunk));
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      removeUpload(req.file?.path);
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    req.rawBodySha256 = hash.digest('hex');
+    res.on('finish', () => { if (!req.uploadQueued) removeUpload(req.file?.path); });
+    try {
+      req.body = { ...JSON.parse(req.body?.payload || '{}') };
+    } catch {
+      return res.status(400).json({ ok: false, error: 'payload must be JSON' });
+    }
+    next();
+  });
+}
+
+/**
+ * /api/send reaching a follower goes on to the leader as it came: the
+ * signature covers the exact bytes and path, and the leader checks it. A
+ * multipart body has not been read yet at this point, so it streams through.
+ */
+function toLeader(req, res, next) {
+  if (leader.isLeader()) return next();
+  forwardToLeader(req, res);
+}
+
+/** Pass a request on to the leader and relay its answer (toLeader, leaderOnly). */
+const FORWARDED_HEADERS = [
+  'content-type', 'x-signature', 'x-signature-timestamp', 'x-signature-nonce', 'x-service-token',
+  'cookie', 'authorization',
+];
+async function forwardToLeader(req, res) {
+  const url = leader.leaderUrl();
+  // Forwarded once at most: two instances that each think the other leads
+  // must not bounce a request between them.
+  if (!url || req.get('x-forwarded-by-follower')) {
+    return res.status(503).set('retry-after', '5').json({ ok: false, error: 'no leader available — try again shortly' });
+  }
+  const headers = { 'x-forwarded-by-follower': leader.INSTANCE_ID };
+  for (const name of FORWARDED_HEADERS) if (req.get(name)) headers[name] = req.get(name);
+  try {
+    const upstream = await fetch(`${url}${req.originalUrl}`, {
+      method: req.method,
+      headers,
+      body: ['GET', 'HEAD'].includes(req.method) ? undefined
+        : req.is('multipart/form-data') ? req : (req.rawBody ?? ''),
+      duplex: 'half',
+      signal: AbortSignal.timeout(SEND_WAIT_MS + 10000),
+    });
+    res.status(upstream.status)
+      .type(upstream.headers.get('content-type') || 'application/json')
+      .send(Buffer.from(await upstream.arrayBuffer()));
+  } catch (err) {
+    console.error(`❌ Forwarding ${req.method} ${req.path} to the leader at ${url} failed:`, err.message);
+    res.status(502).json({ ok: false, error: 'could not reach the leader instance' });
   }
-  const { jid, text } = req.body || {};
-  if (!jid || !text) {
-    return res.status(400).json({ ok: false, error: 'jid and text are required' });
+}
+
+app.post(scoped('/api/send'), toLeader, signing.precheckSignature(), sendMultipart, signing.requireUniportalSignature(), async (req, res) => {
+  const { jid } = req.body || {};
+  if (!jid) {
+    return res.status(400).json({ ok: false, error: 'jid is required' });
   }
-  if (connectionStatus !== 'connected' || !sock) {
-    return res.status(503).json({ ok: false, error: 'whatsapp not connected' });
+  const sessionId = req.params.session || req.body.session || tenants.defaultSession();
+  if (!sessions.has(sessionId)) {
+    return res.status(404).json({ ok: false, error: `unknown session "${sessionId}"` });
   }
+  let content;
+  try {
+    content = buildContent(req.body, req.file);
+  } catch (err) {
+    return res.status(err.status || 400).json({ ok: false, error: err.message });
+  }
+  const isCounselorMessage = req.body?.kind === 'counselor_message';
   try {
     const target = normalizeJid(jid);
-    const sent = await sock.sendMessage(target, { text: String(text) });
-    const messageId = sent?.key?.id ?? null;
-
-    // Remember counselor messages so that when the student uses WhatsApp's
-    // reply function on one, we route their answer back to the counselor
-    // instead of handing it to the assistant.
-    if (req.body?.kind === 'counselor_message' && messageId) {
-      rememberCounselorMessage(target, messageId);
+    const id = await outbox.enqueue(target, content, {
+      kind: isCounselorMessage ? 'counselor_message' : 'api',
+      session: sessionId,
+      meta: { track: true, upload: req.file?.path, thread: isCounselorMessage ? counselorThread(req.body) : null },
+    });
+    req.uploadQueued = true;
+    await receipts.trackQueued(id, target);
+    if (req.body?.async === true) return res.status(202).json({ ok: true, id, status: 'queued' });
+
+    try {
+      const messageId = await outbox.waitForSend(id, SEND_WAIT_MS);
+      res.json({ ok: true, id, messageId });
+    } catch {
+      res.status(202).json({ ok: true, id, status: 'queued' });
     }
-    res.json({ ok: true, messageId });
   } catch (err) {
     console.error('❌ /api/send failed:', err.message);
     res.status(502).json({ ok: false, error: err.message });
   }
 });
 
+/**
+ * Delivery status of a message queued through /api/send, by the `id` that
+ * call returned: queued, sent, delivered, read or failed, with timestamps.
+ */
+app.get('/api/messages/:id', signing.requireUniportalSignature(), async (req, res) => {
+  const status = await receipts.getMessageStatus(req.params.id);
+  if (!status) return res.status(404).json({ ok: false, error: 'unknown message id' });
+  res.json({ ok: true, ...status });
+});
+
+/** Template names uniportal can pass as `template` to /api/send. */
+app.get('/api/templates', signing.requireUniportalSignature(), (req, res) => {
+  try {
+    res.json({ ok: true, templates: listTemplates() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: `templates.json is unreadable: ${err.message}` });
+  }
+});
+
+outbox.onSent(async (job, messageId) => {
+  if (job.meta?.track) await receipts.markSent(job.id, messageId);
+  removeUpload(job.meta?.upload);
+});
+outbox.onDeadLetter(async (job) => {
+  if (job.meta?.track) await receipts.markFailed(job.id, job.lastError);
+  removeUpload(job.meta?.upload);
+});
+
+// Remember counselor messages so that when the student uses WhatsApp's reply
+// function on one, we route their answer back to the counselor instead of
+// handing it to the assistant. Done on send, since the id only exists then.
+outbox.onSent(async (job, messageId) => {
+  if (job.kind === 'counselor_message' && messageId) {
+    await rememberCounselorMessage(job.jid, messageId, job.meta?.thread);
+    await handover.noteCounselorActivity(job.jid);
+  }
+});
+
+// Likewise reminders, so "snooze 1h" quoting one knows which it was.
+outbox.onSent(async (job, messageId) => {
+  if (job.kind === 'reminder' && job.meta?.reminder) {
+    await rememberReminderMessage(job.jid, messageId, job.meta.reminder);
+  }
+});
+
+/* ============================
+   Handovers
+   Open on the dashboard (operators) and to uniportal (signed), so either
+   side can see who is waiting for a person and close a handover when done.
+============================= */
+/** Signed requests are uniportal's; anything else needs an operator session. */
+function operatorOrUniportal(role) {
+  const signed = signing.requireUniportalSignature();
+  const operator = operators.requireOperator(role);
+  return (req, res, next) =>
+    (req.get('x-signature') || req.get('x-service-token') ? signed : operator)(req, res, next);
+}
+
+app.get('/api/handovers', operatorOrUniportal('viewer'), async (req, res) => {
+  try {
+    res.json({ ok: true, handovers: await handover.listHandovers() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post('/api/handovers/:jid/close', operatorOrUniportal('admin'), async (req, res) => {
+  try {
+    const closed = await handover.closeHandover(normalizeJid(req.params.jid), { by: 'counselor' });
+    if (!closed) return res.status(404).json({ ok: false, error: 'no open handover for that jid' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+async function broadcastHandovers() {
+  try {
+    broadcast({ type: 'handovers', handovers: await handover.listHandovers() });
+  } catch (err) {
+    console.warn('handover broadcast failed:', err.message);
+  }
+}
+
 
 /* ============================
    Counselor message threading
    WhatsApp gives a quoted reply the id of the message being answered, so a
    student replying to a counselor's message can be recognised exactly —
    no guessing from timing, and no hijacking of unrelated questions.
+
+   uniportal may name the thread and counselor with `threadId` / `counselorId`
+   on /api/send; they are kept with the message id so the student's answer
+   lands in that thread rather than as a new message to the university.
 ============================= */
-const counselorMessages = new Map(); // jid -> Map(messageId -> sentAt)
-const COUNSELOR_REPLY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+/** `{ threadId, counselorId }` from a counselor_message payload, or null. */
+function counselorThread(body) {
+  const pick = (v) =>
+    (typeof v === 'string' || typeof v === 'number') && String(v).trim() && String(v).length <= 200
+      ? String(v).trim()
+      : null;
+  const threadId = pick(body?.threadId);
+  const counselorId = pick(body?.counselorId);
+  return threadId || counselorId ? { threadId, counselorId } : null;
+}
 
-function rememberCounselorMessage(jid, messageId) {
-  if (!counselorMessages.has(jid)) counselorMessages.set(jid, new Map());
-  counselorMessages.get(jid).set(messageId, Date.now());
+// One dialog state per (jid, message id), in the durable STATE_STORE so a
+// restart or another instance still recognises the reply; its 7-day expiry
+// is the reply window.
+async function rememberCounselorMessage(jid, messageId, thread = null) {
+  await dialog.setState(jid, dialog.STATES.COUNSELOR_MESSAGE.kind, {
+    sentAt: Date.now(),
+    threadId: thread?.threadId ?? null,
+    counselorId: thread?.counselorId ?? null,
+  }, { key: messageId });
 }
 
-function isReplyToCounselor(jid, quotedId) {
-  if (!quotedId) return false;
-  const forJid = counselorMessages.get(jid);
-  if (!forJid) return false;
-  const at = forJid.get(quotedId);
-  if (!at) return false;
-  if (Date.now() - at > COUNSELOR_REPLY_WINDOW_MS) {
-    forJid.delete(quotedId);
-    return false;
-  }
-  return true;
+/** The counselor message a quoted reply answers — `{ sentAt, threadId, counselorId }` — or null. */
+async function counselorMessageQuoted(jid, quotedId) {
+  if (!quotedId) return null;
+  return dialog.getState(jid, dialog.STATES.COUNSELOR_MESSAGE.kind, quotedId);
 }
 
-/** The id of the message this one quotes, if any. */
-function quotedMessageId(msg) {
-  const ctx =
+function quotedContextInfo(msg) {
+  return (
     msg?.message?.extendedTextMessage?.contextInfo ||
     msg?.message?.imageMessage?.contextInfo ||
-    msg?.message?.videoMessage?.contextInfo;
-  return ctx?.stanzaId ?? null;
+    msg?.message?.videoMessage?.contextInfo ||
+    null
+  );
+}
+
+/** The id of the message this one quotes, if any. */
+function quotedMessageId(msg) {
+  return quotedContextInfo(msg)?.stanzaId ?? null;
+}
+
+/** The text of the message this one quotes, if any. */
+function quotedMessageText(msg) {
+  const quoted = quotedContextInfo(msg)?.quotedMessage;
+  return quoted ? extractTextFromMessage(quoted).trim() || null : null;
 }
 
 /* ============================
    Notification REST API
 ============================= */
-app.get('/api/notifications', async (req, res) => {
+app.get('/api/notifications', operators.requireOperator('viewer'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const alerts = await getRecentAlerts(limit);
@@ -207,7 +498,7 @@ app.get('/api/notifications', async (req, res) => {
   }
 });
 
-app.post('/api/notifications/:id/read', async (req, res) => {
+app.post('/api/notifications/:id/read', operators.requireOperator('admin'), async (req, res) => {
   try {
     res.json({ ok: await markAlertRead(req.params.id) });
   } catch (err) {
@@ -215,7 +506,7 @@ app.post('/api/notifications/:id/read', async (req, res) => {
   }
 });
 
-app.post('/api/notifications/:id/dismiss', async (req, res) => {
+app.post('/api/notifications/:id/dismiss', operators.requireOperator('admin'), async (req, res) => {
   try {
     res.json({ ok: await dismissAlert(req.params.id) });
   } catch (err) {
@@ -243,89 +534,92 @@ function reportBridgeConfig() {
   } else {
     console.log('🔗 uniportal bridge configured');
   }
-  if (!SERVICE_TOKEN) {
+  if (!operators.operatorsConfigured()) {
     console.warn(
-      '⚠️  UNIPORTAL_SERVICE_TOKEN is not set — POST /api/send will reject every ' +
+      '⚠️  OPERATORS is not set — the dashboard and control endpoints refuse every ' +
+      'request. Add an admin with `npm run operator:hash -- <password>`.',
+    );
+  }
+  if (!signing.inboundConfigured()) {
+    console.warn(
+      '⚠️  UNIPORTAL_INBOUND_SECRETS is not set — POST /api/send will reject every ' +
       'request, so uniportal alerts cannot be delivered to WhatsApp.',
     );
   }
 }
 
-const wss = new WebSocketServer({ server });
-function broadcast(data) {
-  const str = JSON.stringify(data);
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) client.send(str);
-  });
-}
-wss.on('connection', (client) => {
-  const qr = currentQr();
-  if (connectionStatus === 'connected') {
-    client.send(JSON.stringify({ type: 'status', status: 'connected' }));
-  } else if (qr) {
-    client.send(JSON.stringify({ type: 'qr', qr }));
-  } else {
-    client.send(JSON.stringify({ type: 'status', status: connectionStatus }));
-  }
+/**
+ * The upgrade is refused (401) without an operator session — the socket
+ * carries the live QR. The session cookie rides along on a same-origin
+ * upgrade; scripts can send a bearer token instead.
+ */
+const wss = new WebSocketServer({
+  server,
+  verifyClient: (info, done) => {
+    operators.operatorFromRequest(info.req).then((operator) => {
+      if (!operator) return done(false, 401, 'Unauthorized');
+      info.req.operator = operator;
+      info.req.operatorSession = operators.sessionKey(info.req);
+      done(true);
+    });
+  },
 });
 
-/* ============================
-   Utils
-============================= */
-function normalizeJid(jid) {
-  if (!jid) return null;
-  try {
-    return jidNormalizedUser(jid); // always returns xxx@s.whatsapp.net
-  } catch {
-    return jid;
-  }
-}
-
-/** Baileys' socket wrapper exposes isOpen/isClosed — it has no `readyState`. */
-function socketIsOpen() {
-  return Boolean(sock?.ws?.isOpen);
-}
-
 /**
- * Detach and close the live socket.
- *
- * Every reconnect MUST come through here. The previous implementation guarded
- * teardown behind `sock.ws.readyState === 1`, a property Baileys' WebSocketClient
- * does not have, so the check was always false and the old socket was never
- * closed: each reconnect leaked a socket that kept its event handlers, which is
- * why messages got answered two or three times and the connection kept dropping.
+ * A dashboard socket outlives the check made at the upgrade, so it is closed
+ * when its operator signs out here, and re-checked on every sweep for
+ * sessions ended elsewhere: signed out on another instance, expired, or the
+ * account removed or its role changed. The page then finds itself signed out.
  */
-async function teardownSocket() {
-  if (!sock) return;
-  const dying = sock;
-  sock = null;
-  try { dying.ev.removeAllListeners(); } catch {}
-  try { dying.end(new Error('socket replaced')); } catch {}
+function closeOperatorSockets(key, reason) {
+  if (!key) return;
+  wss.clients.forEach((client) => {
+    if (client.operatorSession === key) client.close(4401, reason);
+  });
 }
 
-function clearAuthState() {
-  try {
-    fs.rmSync(AUTH_DIR, { recursive: true, force: true });
-    console.log('🗑️  Cleared stored auth state');
-  } catch (err) {
-    console.warn('Could not clear auth state:', err.message);
+async function recheckOperatorSockets() {
+  const keys = new Set([...wss.clients].map((client) => client.operatorSession));
+  for (const key of keys) {
+    if (!(await operators.operatorForSession(key))) closeOperatorSockets(key, 'session ended');
   }
 }
 
-function clearReconnect() {
-  if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
-  if (qrWatchdogTimer) { clearTimeout(qrWatchdogTimer); qrWatchdogTimer = null; }
-}
+// Whoever holds the QR or pairing code can take the number: admins only.
+const ADMIN_ONLY_EVENTS = new Set(['qr', 'pairing']);
 
-function scheduleReconnect(delay) {
-  if (reconnectTimer || shouldStop) return;
-  console.log(`⏭️  Next connect attempt in ${Math.round(delay / 1000)}s`);
-  reconnectTimer = setTimeout(() => {
-    reconnectTimer = null;
-    isStarting = false;
-    if (!shouldStop) startBot();
-  }, delay);
+function broadcast(data) {
+  const str = JSON.stringify(data);
+  const adminOnly = ADMIN_ONLY_EVENTS.has(data?.type);
+  wss.clients.forEach((client) => {
+    if (client.readyState !== 1) return;
+    if (adminOnly && !operators.hasRole(client.operator, 'admin')) return;
+    client.send(str);
+  });
 }
+// Every session's updates go to every dashboard, tagged with its id; the
+// page shows the one selected.
+wss.on('connection', (client, req) => {
+  client.operator = req.operator;
+  client.operatorSession = req.operatorSession;
+  const isAdmin = operators.hasRole(client.operator, 'admin');
+  const sendTo = (data) => client.send(JSON.stringify(data));
+  sendTo({ type: 'sessions', sessions: [...sessions.values()].map((s) => s.status()) });
+  for (const session of sessions.values()) {
+    const { connectionStatus } = session.status();
+    const qr = isAdmin ? session.currentQr() : null;
+    const code = isAdmin ? session.currentPairingCode() : null;
+    if (connectionStatus === 'connected') {
+      sendTo({ type: 'status', status: 'connected', session: session.id });
+    } else if (code) {
+      sendTo({ type: 'pairing', code, ageMs: session.pairingCodeAgeMs(), session: session.id });
+    } else if (qr) {
+      sendTo({ type: 'qr', qr, session: session.id });
+    } else {
+      sendTo({ type: 'status', status: connectionStatus, session: session.id });
+    }
+  }
+});
 
 /* ============================
    Message utils
@@ -347,23 +641,27 @@ function extractTextFromMessage(message) {
   return '';
 }
 
-function isBotMentioned(message, botJid) {
-  if (!message || !botJid) return false;
-  if (message.extendedTextMessage?.contextInfo?.mentionedJid?.includes(botJid)) return true;
-  if (message.message?.extendedTextMessage?.contextInfo?.mentionedJid?.includes(botJid)) return true;
-  if (message.contextInfo?.mentionedJid?.includes(botJid)) return true;
+/** `botIds`: the bot's phone-number jid and, in LID-addressed groups, its LID. */
+function isBotMentioned(message, botIds) {
+  const ids = botIds.filter(Boolean);
+  if (!message || !ids.length) return false;
+  const mentioned = (list) => Boolean(list?.some((jid) => ids.includes(normalizeJid(jid))));
+  if (mentioned(message.extendedTextMessage?.contextInfo?.mentionedJid)) return true;
+  if (mentioned(message.message?.extendedTextMessage?.contextInfo?.mentionedJid)) return true;
+  if (mentioned(message.contextInfo?.mentionedJid)) return true;
   return false;
 }
 
-function isBotRepliedTo(message, botJid) {
-  if (!message || !botJid) return false;
+function isBotRepliedTo(message, botIds) {
+  const ids = botIds.filter(Boolean);
+  if (!message || !ids.length) return false;
   const quotedMsg = message.extendedTextMessage?.contextInfo?.quotedMessage
     || message.message?.extendedTextMessage?.contextInfo?.quotedMessage;
   const stanzaId = message.extendedTextMessage?.contextInfo?.stanzaId
     || message.message?.extendedTextMessage?.contextInfo?.stanzaId;
   const participant = message.extendedTextMessage?.contextInfo?.participant
     || message.message?.extendedTextMessage?.contextInfo?.participant;
-  if (participant === botJid || (quotedMsg && stanzaId)) return true;
+  if (ids.includes(normalizeJid(participant)) || (quotedMsg && stanzaId)) return true;
   return false;
 }
 
@@ -413,20 +711,97 @@ function isSixDigitCode(text) {
 }
 
 /** Numbers we have mailed a code to, so a bare 6-digit reply is unambiguous. */
-const awaitingCode = new Map();
-const AWAITING_CODE_TTL = 15 * 60 * 1000;
+async function markAwaitingCode(jid, email) {
+  await dialog.setState(jid, dialog.STATES.LINK_CODE.kind, { email });
+}
+async function isAwaitingCode(jid) {
+  return Boolean(await dialog.getState(jid, dialog.STATES.LINK_CODE.kind));
+}
 
-function markAwaitingCode(jid) {
-  awaitingCode.set(jid, Date.now());
+/* ============================
+   Account self-service
+   "unlink", "who am I linked as" and "relink to another@email". Anything that
+   changes the link is confirmed first: a stray "unlink" in a chat should not
+   silently cut a student off from their university's alerts.
+============================= */
+const WHOAMI_PAT = /^(who\s*am\s*i|whoami|which\s+account)\b/i;
+const UNLINK_PAT = /^unlink\b/i;
+const RELINK_PAT = /^relink\b/i;
+
+function looksLikeAccountCommand(text) {
+  const t = (text || '').trim();
+  return WHOAMI_PAT.test(t) || UNLINK_PAT.test(t) || RELINK_PAT.test(t);
 }
-function isAwaitingCode(jid) {
-  const at = awaitingCode.get(jid);
-  if (!at) return false;
-  if (Date.now() - at > AWAITING_CODE_TTL) {
-    awaitingCode.delete(jid);
-    return false;
+
+function extractRelinkEmail(text) {
+  const m = (text || '').trim().match(/^relink\b(?:[:\s]+(?:to\s+)?)(\S+@\S+\.\S+)$/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function describeAccount(who) {
+  const bits = [who?.name ? `*${who.name}*` : null, who?.email || null].filter(Boolean);
+  return bits.length ? bits.join(' — ') : 'a student account';
+}
+
+async function stageAccountChange(jid, change) {
+  await dialog.setState(jid, dialog.STATES.CONFIRM_ACCOUNT.kind, change);
+}
+
+async function handleAccountCommand(jid, text) {
+  const t = (text || '').trim();
+
+  if (WHOAMI_PAT.test(t)) {
+    const who = await uniportal.identify(jid);
+    if (!who?.linked) return 'ℹ️ This number is not connected to a student account.\n\n' + LINK_HELP;
+    return `🔗 This number is connected to ${describeAccount(who)}.\n\nSend *relink new@email* to switch accounts, or *unlink* to disconnect.`;
+  }
+
+  if (UNLINK_PAT.test(t)) {
+    const who = await uniportal.identify(jid);
+    if (!who?.linked) return 'ℹ️ This number is not connected to a student account, so there is nothing to unlink.';
+    await stageAccountChange(jid, { op: 'unlink' });
+    return `⚠️ This will disconnect this number from ${describeAccount(who)}. University alerts will stop arriving here.\n\nReply *YES* to unlink, or *CANCEL* to keep it.`;
   }
-  return true;
+
+  const email = extractRelinkEmail(t);
+  if (!email) return '🔁 To move this number to another account, send:\n\n*relink your.name@university.ac.uk*';
+  const who = await uniportal.identify(jid);
+  const from = who?.linked ? ` from ${describeAccount(who)}` : '';
+  await stageAccountChange(jid, { op: 'relink', email });
+  return `⚠️ I'll move this number${from} to *${email}*. You stay connected as you are until you confirm the code I email there.\n\nReply *YES* to continue, or *CANCEL* to stop.`;
+}
+
+/**
+ * Settle a staged unlink/relink. Only claims the message when the account
+ * change is the confirmation the student saw last — a newer staged post,
+ * action or reminder suggestion gets their "yes" instead (dialog.js
+ * latestConfirmation).
+ */
+async function settleAccountChange(jid, text) {
+  const latest = await dialog.latestConfirmation(jid);
+  if (latest?.kind !== dialog.STATES.CONFIRM_ACCOUNT.kind) return null;
+  const change = latest.data || {};
+  const answer = (text || '').trim().toLowerCase();
+
+  if (answer === 'cancel' || answer === 'no') {
+    await dialog.clearState(jid, dialog.STATES.CONFIRM_ACCOUNT.kind);
+    return change.op === 'unlink' ? '👍 Kept — this number is still connected.' : '👍 Cancelled — nothing changed.';
+  }
+  if (answer !== 'yes' && answer !== 'confirm') return null;
+  await dialog.clearState(jid, dialog.STATES.CONFIRM_ACCOUNT.kind);
+
+  if (change.op === 'unlink') {
+    await uniportal.unlink(jid);
+    contextCache.delete(jid);
+    events.emit('link.removed', jid);
+    deadlines.unsubscribe(jid, 'unlinked').catch((err) => console.warn('deadline unsubscribe failed:', err.message));
+    return '✅ Disconnected. You will no longer get university alerts here.\n\nSend *link your@email* any time to reconnect.';
+  }
+
+  await uniportal.startLink(jid, change.email, { replace: true });
+  await markAwaitingCode(jid, change.email);
+  contextCache.delete(jid);
+  return `📧 If *${change.email}* belongs to a student account, a 6-digit code is on its way.\n\nReply with the code to finish switching.`;
 }
 
 /**
@@ -436,7 +811,7 @@ function isAwaitingCode(jid) {
 async function handleLinking(jid, text) {
   const missing = uniportal.missingConfig();
   if (missing.length) {
-    if (!looksLikeLinkCommand(text)) return null;
+    if (!looksLikeLinkCommand(text) && !looksLikeAccountCommand(text)) return null;
     // The student gets a neutral message; the operator gets the actual cause.
     console.error(
       `❌ Link attempt refused: uniportal bridge not configured (missing ${missing.join(' and ')})`,
@@ -444,12 +819,21 @@ async function handleLinking(jid, text) {
     return '⚠️ Account connection is not available right now. Please try again later.';
   }
 
+  try {
+    const settled = await settleAccountChange(jid, text);
+    if (settled) return settled;
+    if (looksLikeAccountCommand(text)) return await handleAccountCommand(jid, text);
+  } catch (err) {
+    console.error('account command failed:', err.message);
+    return '⚠️ Something went wrong with your account request. Please try again in a moment.';
+  }
+
   if (looksLikeLinkCommand(text)) {
     const email = extractLinkEmail(text);
     if (!email) return LINK_HELP;
     try {
       await uniportal.startLink(jid, email);
-      markAwaitingCode(jid);
+      await markAwaitingCode(jid, email);
       // Deliberately uniform: we never confirm whether an address belongs to a
       // real student, so this can't be used to enumerate them.
       return `📧 If *${email}* belongs to a student account, a 6-digit code is on its way.\n\nReply with the code to finish connecting.`;
@@ -459,14 +843,16 @@ async function handleLinking(jid, text) {
     }
   }
 
-  if (isSixDigitCode(text) && isAwaitingCode(jid)) {
+  if (isSixDigitCode(text) && (await isAwaitingCode(jid))) {
     try {
       const result = await uniportal.verifyLink(jid, text.trim());
       if (result?.ok) {
-        awaitingCode.delete(jid);
+        await dialog.clearState(jid, dialog.STATES.LINK_CODE.kind);
         contextCache.delete(jid); // pick the new account up on the next message
+        events.emit('link.completed', jid);
         const name = result.name ? `, ${result.name}` : '';
-        return `✅ Connected${name}! Your university updates and alerts will now reach you here as well as in the app.\n\nSend *unlink* any time to stop.`;
+        return `✅ Connected${name}! Your university updates and alerts will now reach you here as well as in the app.\n\n` +
+          'Send *deadline reminders on* to be reminded before assessments and tasks are due, or *unlink* any time to stop.';
       }
       const reason = {
         expired: '⌛ That code has expired. Send *link your@email* to get a new one.',
@@ -504,7 +890,7 @@ async function accountContextFor(jid) {
   try {
     const res = await uniportal.context(jid);
     const summary = res?.linked ? res.context?.summary ?? null : null;
-    contextCache.set(jid, { at: Date.now(), summary });
+    contextCache.set(jid, { at: Date.now(), summary, linked: Boolean(res?.linked) });
     return summary;
   } catch (err) {
     // An assistant that still answers generally beats one that goes silent.
@@ -514,189 +900,59 @@ async function accountContextFor(jid) {
 }
 
 /* ============================
-   Bot start
+   Session wiring
+   sessions.js owns each connection; what its socket's events mean for the
+   conversation is decided here.
 ============================= */
-async function startBot() {
-  if (isStarting || reconnectTimer) return;
-  isStarting = true;
-
-  try {
-    const { state, saveCreds: _saveCreds } = await useMultiFileAuthState(AUTH_DIR);
-    saveCreds = _saveCreds;
-    isRegistered = Boolean(state.creds?.registered);
-
-    await teardownSocket();
-
-    // Always fetch the live WhatsApp Web version — a stale one is rejected with
-    // a 405 handshake error and no QR is ever produced.
-    let version;
-    try {
-      const v = await fetchLatestBaileysVersion();
-      version = v.version;
-      console.log(`📦 Using WhatsApp Web version ${version.join('.')} (latest: ${v.isLatest})`);
-    } catch (e) {
-      console.warn('Could not fetch latest WA version, using Baileys default:', e.message);
-    }
-
-    sock = makeWASocket({
-      auth: state,
-      version,
-      keepAliveIntervalMs: KEEP_ALIVE_MS,
-      // A standard browser tuple — custom names trigger 405 handshake rejections.
-      browser: Browsers.ubuntu('Chrome'),
-      syncFullHistory: false,
-      markOnlineOnConnect: false,
-    });
-
-    armQrWatchdog();
-
-    /* === init match system with send + createGroup === */
-    initMatch({
-      send: async (jid, content) => {
-        if (typeof content === 'string') {
-          await sock.sendMessage(jid, { text: content });
-        } else {
-          await sock.sendMessage(jid, content); // allow buttons, lists, etc
-        }
-      },
-      createGroup: async (subject, jids) => await sock.groupCreate(subject, jids),
-    });
-
-    sock.ev.on('connection.update', (update) => {
-      const { connection, lastDisconnect, qr } = update;
-
-      if (qr) {
-        clearWatchdog();
-        lastQr = qr;
-        lastQrAt = Date.now();
-        connectionStatus = 'qr';
-        broadcast({ type: 'qr', qr });
-        console.log(`📷 QR ready — sent to ${wss.clients.size} dashboard client(s). Waiting for scan...`);
-      }
+/** The session the current work is for — see tenants.runInSession. */
+function currentSessionObj() {
+  return sessions.get(tenants.currentSession() || tenants.defaultSession());
+}
 
-      if (connection === 'open') {
-        clearWatchdog();
-        console.log('✅ WhatsApp connected');
-        reconnectAttempt = 0;
-        lastQr = null;
-        isRegistered = true;
-        connectionStatus = 'connected';
-        botJid = normalizeJid(sock.user?.id);
-        console.log('🤖 Bot JID:', botJid);
-        broadcast({ type: 'status', status: 'connected' });
-
-        // The WhatsApp sender is wired up for outbound alerts. The old
-        // Supabase realtime fan-out is intentionally NOT started: it pushed
-        // every alert to every registered number regardless of which student
-        // (or which university) it concerned. Alerts now arrive per-recipient
-        // from uniportal-server via POST /api/send.
-        initNotifications({
-          send: async (jid, text) => { await sock.sendMessage(jid, { text }); },
-          broadcast,
-        });
-      } else if (connection === 'close') {
-        handleDisconnect(lastDisconnect);
-      } else if (connection === 'connecting') {
-        console.log('🔄 WhatsApp connecting...');
-        connectionStatus = 'connecting';
-        broadcast({ type: 'status', status: 'connecting' });
-      }
-    });
+/* === init match system with send + createGroup === */
+initMatch({
+  // Strings and content objects (buttons, lists, etc) both queue as-is.
+  send: async (jid, content) => { await outbox.enqueue(jid, content, { kind: 'match' }); },
+  createGroup: async (subject, jids) => await currentSessionObj().groupCreate(subject, jids),
+});
 
-    sock.ev.on('creds.update', saveCreds);
-    sock.ev.on('messages.upsert', onMessages);
+function attachSocket(sock, session) {
+  sock.ev.on('messages.upsert', (upsert) => onMessages(session, upsert));
 
-    startBackgroundTimers();
-    console.log('Bot started.');
-  } catch (err) {
-    console.error('startBot error:', err);
-    scheduleReconnect(2000);
-  } finally {
-    isStarting = false;
-  }
+  // Everything that can pair a LID with a phone number (see identity.js).
+  const learnFailed = (err) => console.warn('identity learning failed:', err.message);
+  sock.ev.on('contacts.upsert', (contacts) => identity.learnFromContacts(contacts).catch(learnFailed));
+  sock.ev.on('contacts.update', (contacts) => identity.learnFromContacts(contacts).catch(learnFailed));
+  sock.ev.on('messaging-history.set', ({ contacts }) => identity.learnFromContacts(contacts, 'history').catch(learnFailed));
+  sock.ev.on('groups.upsert', (groups) => {
+    Promise.all(groups.map((g) => identity.learnFromGroup(g))).catch(learnFailed);
+  });
+  sock.ev.on('chats.phoneNumberShare', ({ lid, jid }) => identity.learn(lid, jid, 'phone_share').catch(learnFailed));
+  sock.ev.on('messages.update', (updates) => {
+    receipts.onMessagesUpdate(updates).catch((err) => console.error('receipt update failed:', err.message));
+  });
+  sock.ev.on('message-receipt.update', (updates) => {
+    receipts.onReceiptUpdate(updates).catch((err) => console.error('receipt update failed:', err.message));
+  });
 }
 
-/* ============================
-   Disconnect handling
-============================= */
-function handleDisconnect(lastDisconnect) {
-  const reason = lastDisconnect?.error?.output?.statusCode;
-  const isLoggedOut = reason === DisconnectReason.loggedOut;
-  console.log('🔌 Connection closed. reason:', reason, 'loggedOut:', isLoggedOut);
-
-  connectionStatus = 'disconnected';
-  clearWatchdog();
-  broadcast({ type: 'status', status: 'disconnected', reason });
-
-  // 515: WhatsApp requires a reconnect immediately after a successful pairing.
-  if (reason === DisconnectReason.restartRequired || reason === 515) {
-    console.log('🔁 Restart required after pairing — reconnecting immediately...');
-    lastQr = null;
-    reconnectAttempt = 0;
-    scheduleReconnect(500);
-    return;
-  }
-
-  // Logged out from the phone: the stored session is dead. Wipe it and come
-  // straight back with a fresh QR instead of sitting idle until someone
-  // restarts the process by hand.
-  if (isLoggedOut) {
-    console.log('❌ Logged out — clearing session and preparing a new QR.');
-    clearAuthState();
-    isRegistered = false;
-    lastQr = null;
-    reconnectAttempt = 0;
-    scheduleReconnect(1000);
-    return;
-  }
-
-  // Unpaired socket timed out: WhatsApp expired the pairing QR. Reconnect at
-  // once for a new one. The previous code nulled the QR and waited a full
-  // minute here, so the dashboard sat on "waiting for QR" and the code could
-  // never be scanned — the reported "QR won't generate" symptom.
-  if (!isRegistered) {
-    lastQr = null;
-    console.log('⌛ Pairing code expired — requesting a fresh QR...');
-    scheduleReconnect(1000);
-    return;
-  }
-
-  lastQr = null;
-  reconnectAttempt++;
-  const delay = Math.min(2000 * Math.pow(1.5, reconnectAttempt - 1), MAX_RECONNECT_DELAY);
-  console.log(`🔄 Reconnecting (attempt ${reconnectAttempt})...`);
-  scheduleReconnect(delay);
+function onSessionOpen(session, sock) {
+  const [botJid, botLid] = session.botIds();
+  if (botLid) identity.learn(botLid, botJid, 'self').catch(() => {});
+  // Prime LID mappings from every group's participant list.
+  sock.groupFetchAllParticipating()
+    .then(async (groups) => { for (const g of Object.values(groups || {})) await identity.learnFromGroup(g); })
+    .catch((err) => console.warn('group participant fetch failed:', err.message));
 }
 
-/* ============================
-   QR watchdog
-   Only ever fires for an UNPAIRED socket that produced no QR at all. A paired
-   session never emits one, so the old unconditional watchdog deleted working
-   credentials whenever a reconnect ran slow — forcing a re-scan for no reason.
-============================= */
-function clearWatchdog() {
-  if (qrWatchdogTimer) { clearTimeout(qrWatchdogTimer); qrWatchdogTimer = null; }
-}
-
-function armQrWatchdog() {
-  clearWatchdog();
-  qrWatchdogTimer = setTimeout(() => {
-    qrWatchdogTimer = null;
-    if (connectionStatus === 'connected' || currentQr()) return;
-
-    if (isRegistered) {
-      console.warn('⚠️  Paired session has not connected in 60s — retrying (session kept).');
-      teardownSocket().then(() => scheduleReconnect(2000));
-      return;
-    }
-
-    console.warn('⚠️  No QR within 60s on an unpaired socket — clearing partial state and retrying.');
-    teardownSocket().then(() => {
-      clearAuthState();
-      scheduleReconnect(2000);
-    });
-  }, 60000);
+for (const tenant of tenants.listTenants()) {
+  sessions.set(tenant.id, createSession(tenant, {
+    broadcast: (data) => broadcast({ ...data, session: tenant.id }),
+    attach: attachSocket,
+    onOpen: onSessionOpen,
+  }));
 }
+console.log(`🏢 Hosting ${sessions.size} session(s): ${[...sessions.keys()].join(', ')}`);
 
 /* ============================
    Background timers (started once)
@@ -709,8 +965,8 @@ function startBackgroundTimers() {
   // Baileys handles its own websocket keep-alive (keepAliveIntervalMs); the
   // previous `sock.ws.ping()` call threw on every tick because the wrapper has
   // no ping method. Presence is enough to look alive to WhatsApp.
-  presenceTimer = setInterval(async () => {
-    try { if (socketIsOpen() && sock?.user) await sock.sendPresenceUpdate('available'); } catch {}
+  presenceTimer = setInterval(() => {
+    for (const session of sessions.values()) session.keepPresence();
   }, 60000);
 
   sweepTimer = setInterval(() => {
@@ -721,44 +977,176 @@ function startBackgroundTimers() {
         console.log(`🧹 Expired conversation: ${key}`);
       }
     }
-    for (const [jid, at] of awaitingCode.entries()) {
-      if (now - at > AWAITING_CODE_TTL) awaitingCode.delete(jid);
-    }
-    for (const [jid, ids] of counselorMessages.entries()) {
-      for (const [id, at] of ids.entries()) {
-        if (now - at > COUNSELOR_REPLY_WINDOW_MS) ids.delete(id);
-      }
-      if (ids.size === 0) counselorMessages.delete(jid);
-    }
+    operators.purgeSessions().then(recheckOperatorSockets)
+      .catch((err) => console.warn('operator session sweep failed:', err.message));
+    // The rest is shared state: one instance sweeping it is enough.
+    if (!leader.isLeader()) return;
+    // Idle handovers first: the dialog sweep would delete them unannounced.
+    handover.expireIdleHandovers()
+      .catch((err) => console.warn('handover sweep failed:', err.message))
+      .then(() => dialog.purgeExpired())
+      .catch((err) => console.warn('dialog state sweep failed:', err.message));
+    seen.purgeSeen().catch((err) => console.warn('seen-message sweep failed:', err.message));
+    outbox.purgeFinished().catch((err) => console.warn('outbox sweep failed:', err.message));
   }, 5 * 60 * 1000);
 }
 
 /* ============================
    Messages
 ============================= */
-async function onMessages({ messages }) {
+/**
+ * Messages older than this when they arrive were sent while the bot was
+ * offline. Answering each of twenty queued messages one by one floods the
+ * student, so a private backlog gets one combined answer instead; a stale
+ * group backlog is skipped, since that conversation has moved on.
+ */
+const BACKLOG_AFTER_MS = 5 * 60 * 1000;
+// The combined question must fit ai.js validateMessage's 1000 characters.
+const BACKLOG_TEXT_MAX = 900;
+const BACKLOG_ITEM_MAX = 300;
+
+/** Per-chat promise chains: one chat's messages are handled strictly in order. */
+const chatQueues = new Map();
+function enqueueForChat(chatId, task) {
+  const tail = (chatQueues.get(chatId) || Promise.resolve())
+    .then(task)
+    .catch((err) => console.error('chat queue error:', err));
+  chatQueues.set(chatId, tail);
+  tail.then(() => { if (chatQueues.get(chatId) === tail) chatQueues.delete(chatId); });
+}
+
+function messageAgeMs(msg) {
+  const ts = Number(msg.messageTimestamp || 0);
+  return ts ? Date.now() - ts * 1000 : 0;
+}
+
+async function onMessages(session, { messages, type }) {
+  // 'append' carries history sync and our own sends from other devices —
+  // nothing a student is waiting on an answer to.
+  if (type && type !== 'notify') return;
+
+  // Grouped and queued synchronously, so a later upsert can never overtake an
+  // earlier one for the same chat while its ids are still being claimed.
+  const byChat = new Map();
+  for (const msg of messages || []) {
+    if (!msg?.key || msg.key.fromMe || !msg.message) continue;
+    const chatId = normalizeJid(msg.key.remoteJid || '');
+    if (!chatId) continue;
+    if (!byChat.has(chatId)) byChat.set(chatId, []);
+    byChat.get(chatId).push(msg);
+  }
+
+  // Two numbers may share a chat partner; their conversations are separate.
+  for (const [chatId, batch] of byChat) {
+    enqueueForChat(`${session.id}\u0000${chatId}`, () =>
+      tenants.runInSession(session.id, () => handleChatBatch(session, chatId, batch)));
+  }
+}
+
+/** Drop messages already handled — a redelivery, or a replay after restart. */
+async function unseenOnly(chatId, batch) {
+  const out = [];
+  for (const msg of batch) {
+    if (await seen.claimMessage(chatId, msg.key.id)) out.push(msg);
+    else console.log(`♻️  Skipping redelivered message ${msg.key.id} in ${chatId}`);
+  }
+  return out;
+}
+
+async function handleChatBatch(session, chatId, incoming) {
+  const batch = await unseenOnly(chatId, incoming);
+  const stale = batch.filter((m) => messageAgeMs(m) > BACKLOG_AFTER_MS);
+  const fresh = batch.filter((m) => messageAgeMs(m) <= BACKLOG_AFTER_MS);
+
+  if (stale.length) {
+    if (chatId.endsWith('@g.us')) {
+      console.log(`🗃️  Skipping ${stale.length} stale group message(s) in ${chatId}`);
+    } else if (stale.length === 1) {
+      await handleMessage(session, stale[0]);
+    } else {
+      // Commands, link codes and handover messages are each dealt with as
+      // they came; only what is left for the model is answered together.
+      const left = [];
+      for (const msg of stale) {
+        const text = await handleMessage(session, msg, { collect: true });
+        if (text) left.push({ msg, text });
+      }
+      if (left.length === 1) {
+        await handleMessage(session, left[0].msg);
+      } else if (left.length) {
+        console.log(`🗃️  Answering ${left.length} offline message(s) from ${chatId} together`);
+        await handleMessage(session, left[left.length - 1].msg, {
+          textOverride: combineBacklog(left.map((l) => l.text)),
+        });
+      }
+    }
+  }
+
+  for (const msg of fresh) await handleMessage(session, msg);
+}
+
+/**
+ * One question out of several offline messages, within BACKLOG_TEXT_MAX. Each
+ * is cut to BACKLOG_ITEM_MAX, and when they still don't fit the oldest go.
+ */
+function combineBacklog(texts) {
+  const head = 'While I was offline you sent:\n';
+  const tail = '\n\nAnswer all of these in one reply.';
+  const items = texts.map((t) => `- ${t.length > BACKLOG_ITEM_MAX ? `${t.slice(0, BACKLOG_ITEM_MAX - 1)}…` : t}`);
+  let omitted = 0;
+  const build = () => head + (omitted ? `- (${omitted} earlier message${omitted === 1 ? '' : 's'} left out)\n` : '') +
+    items.slice(omitted).join('\n') + tail;
+  while (omitted < items.length - 1 && build().length > BACKLOG_TEXT_MAX) omitted += 1;
+  return build();
+}
+
+/** Stands in for an offline message with no text, so combineBacklog still lists it. */
+const BACKLOG_MEDIA = {
+  imageMessage: 'a photo', videoMessage: 'a video', audioMessage: 'a voice note', documentMessage: 'a document',
+  stickerMessage: 'a sticker', contactMessage: 'a contact', contactsArrayMessage: 'contacts',
+};
+function backlogPlaceholder(message) {
+  const kind = Object.keys(message || {}).find((k) => BACKLOG_MEDIA[k]);
+  return `[sent ${kind ? BACKLOG_MEDIA[kind] : 'a message with no text'}]`;
+}
+
+/**
+ * Handle one incoming message. With `collect`, a private message that would
+ * go to the model is not answered; its text (or backlogPlaceholder) is
+ * returned instead, for handleChatBatch to answer together with others. A
+ * shared location is still handled on its own, as it came. With `textOverride` (that
+ * combined text) the commands and flows are not tried again: each message
+ * has already been through them.
+ */
+async function handleMessage(session, msg, { textOverride = null, collect = false } = {}) {
   try {
-    if (!messages?.[0] || messages[0].key.fromMe) return;
-    const msg = messages[0];
-    const remoteJid = normalizeJid(msg.key.remoteJid || '');
-    if (!remoteJid) return;
-    const isGroup = remoteJid.endsWith('@g.us');
-    const groupId = isGroup ? remoteJid : null;
-    const participantId = normalizeJid(msg.key.participant || remoteJid);
+    const chatJid = normalizeJid(msg.key.remoteJid || '');
+    if (!chatJid) return;
+    const isGroup = chatJid.endsWith('@g.us');
+    const groupId = isGroup ? chatJid : null;
+    // One canonical identity per student before anything is looked up: a
+    // sender arriving as a LID is mapped back to their phone-number jid.
+    await identity.learnFromMessage(msg).catch((err) => console.warn('identity learning failed:', err.message));
+    const remoteJid = isGroup ? chatJid : await identity.resolve(chatJid);
+    const participantId = isGroup
+      ? await identity.resolve(normalizeJid(msg.key.participant || chatJid), { groupId })
+      : remoteJid;
     const senderId = isGroup ? participantId : remoteJid;
     const userId = isGroup ? participantId : remoteJid;
 
-    const conversationKey = isGroup ? `${remoteJid}_${participantId}` : remoteJid;
+    const conversationKey = `${session.id}:${isGroup ? `${remoteJid}_${participantId}` : remoteJid}`;
+    // Alerts and reminders for this student go out from the number they use.
+    if (!isGroup) await tenants.rememberHomeSession(senderId, session.id);
 
     /* === Catch Accept button === */
     if (msg.message?.buttonsResponseMessage?.selectedButtonId?.startsWith('ACCEPT_')) {
       const code = msg.message.buttonsResponseMessage.selectedButtonId.replace('ACCEPT_', '');
       const reply = await handleAcceptCode(userId, code);
-      await sock.sendMessage(userId, { text: reply });
+      await outbox.enqueue(userId, reply, { kind: 'reply' });
       return;
     }
 
-    let text = extractTextFromMessage(msg.message);
+    let text = textOverride || extractTextFromMessage(msg.message);
     if (text) text = text.trim();
 
     let shouldRespond = false;
@@ -774,8 +1162,8 @@ async function onMessages({ messages }) {
         text = text.slice(TRIGGER_KEYWORD.length).trim();
         console.log(`🎯 Trigger in ${groupId} by ${participantId}`);
       } else if (conversationActive) {
-        const isMentioned = isBotMentioned(msg.message, botJid);
-        const isRepliedTo = isBotRepliedTo(msg.message, botJid);
+        const isMentioned = isBotMentioned(msg.message, session.botIds());
+        const isRepliedTo = isBotRepliedTo(msg.message, session.botIds());
         if (isMentioned || isRepliedTo) {
           shouldRespond = true;
           updateConversationActivity(conversationKey);
@@ -787,19 +1175,25 @@ async function onMessages({ messages }) {
         sendPrivately = true;
         text = text.replace(/reply\s+me\s+privately|dm\s+me|private\s+reply/gi, '').trim();
       }
-    } else {
+    } else if (!textOverride) {
+      // While a person has the conversation, everything goes to them and the
+      // assistant says nothing — not even to commands it would recognise.
+      if (await handover.handleHandoverMessage(senderId, text)) return;
+
       // A quoted reply to a counselor's message belongs in that conversation,
       // not in the assistant's. Checked before anything else so a plain "yes"
       // or "thanks" reaches the counselor rather than being interpreted.
-      if (text && isReplyToCounselor(senderId, quotedMessageId(msg))) {
+      const quotedId = quotedMessageId(msg);
+      const counselorMessage = text ? await counselorMessageQuoted(senderId, quotedId) : null;
+      if (counselorMessage) {
+        const { threadId = null, counselorId = null } = counselorMessage;
         try {
-          await uniportal.act(senderId, 'send_message', { text });
-          await sock.sendMessage(senderId, { text: '📤 Sent to your university.' });
+          await uniportal.act(senderId, 'send_message', { text, threadId, counselorId, inReplyTo: quotedId });
+          events.emit('escalation', senderId, { via: 'counselor_reply', text, threadId });
+          await outbox.enqueue(senderId, '📤 Sent to your university.', { kind: 'reply' });
         } catch (err) {
           console.error('counselor reply failed:', err.message);
-          await sock.sendMessage(senderId, {
-            text: "⚠️ I couldn't pass that on. Please try again shortly.",
-          });
+          await outbox.enqueue(senderId, "⚠️ I couldn't pass that on. Please try again shortly.", { kind: 'reply' });
         }
         return;
       }
@@ -808,14 +1202,45 @@ async function onMessages({ messages }) {
       // would be readable by everyone in it.
       const linkReply = await handleLinking(senderId, text);
       if (linkReply) {
-        await sock.sendMessage(senderId, { text: linkReply });
+        await outbox.enqueue(senderId, linkReply, { kind: 'reply' });
+        return;
+      }
+
+      // Commands first, then a plain "remind me …" — read without the model.
+      const reminderReply = (await handleReminderCommand(senderId, text, { quotedId }))
+        || (await handleReminderRequest(senderId, text));
+      if (reminderReply) {
+        await outbox.enqueue(senderId, reminderReply, { kind: 'reply' });
+        return;
+      }
+
+      const timezoneReply = await handleTimezoneCommand(senderId, text);
+      if (timezoneReply) {
+        await outbox.enqueue(senderId, timezoneReply, { kind: 'reply' });
         return;
       }
 
+      const deadlineReply = await deadlines.handleDeadlineCommand(senderId, text);
+      if (deadlineReply) {
+        await outbox.enqueue(senderId, deadlineReply, { kind: 'reply' });
+        return;
+      }
+
+      if (handover.looksLikeHandoverRequest(text)) {
+        await outbox.enqueue(senderId, await requestHandover(senderId), { kind: 'reply' });
+        return;
+      }
+
+      if (collect && (text || !msg.message?.locationMessage)) return text || backlogPlaceholder(msg.message);
+
       if (!isConversationActive(conversationKey)) { startConversation(conversationKey); isNewConversation = true; }
       else updateConversationActivity(conversationKey);
       shouldRespond = true;
       console.log(`💬 Private message from ${senderId}`);
+    } else {
+      if (!isConversationActive(conversationKey)) { startConversation(conversationKey); isNewConversation = true; }
+      else updateConversationActivity(conversationKey);
+      shouldRespond = true;
     }
 
     if (!shouldRespond) return;
@@ -826,33 +1251,111 @@ async function onMessages({ messages }) {
     // Only in private chats: account facts must never be read out in a group,
     // where everyone present would see another student's details.
     const accountContext = isGroup ? null : await accountContextFor(senderId);
-    const aiReply = await getAIResponse(userId, inputForAI, accountContext, isGroup ? null : senderId);
+    if (!isGroup && contextCache.get(senderId)?.linked) {
+      events.emit('message.inbound', senderId, { text: text || null, messageId: msg.key?.id ?? null });
+    }
+    const aiReply = await getAIResponse(userId, inputForAI, accountContext, isGroup ? null : senderId, {
+      tenant: session.tenant,
+      quotedText: quotedMessageText(msg),
+    });
 
     const target = isGroup ? (sendPrivately ? senderId : groupId) : senderId;
-    await sock.sendMessage(target, { text: aiReply });
-    console.log(`📤 Reply to ${target}`);
+    await outbox.enqueue(target, aiReply, { kind: 'reply' });
+    console.log(`📤 Reply queued for ${target}`);
   } catch (err) {
     console.error('messages.upsert error:', err);
   }
 }
 
-startBot();
+/** "Talk to a human": only a linked student has a counselor inbox to reach. */
+async function requestHandover(jid) {
+  await accountContextFor(jid);
+  const cached = contextCache.get(jid);
+  if (!cached) return "⚠️ I couldn't reach your university team just now. Please try again shortly.";
+  if (!cached.linked) {
+    return 'ℹ️ To reach a person at your university, first connect your student account.\n\n' + LINK_HELP;
+  }
+  try {
+    return await handover.openHandover(jid, { source: 'student' });
+  } catch (err) {
+    console.error('handover open failed:', err.message);
+    return "⚠️ I couldn't reach your university team just now. Please try again shortly.";
+  }
+}
+
+/* === Outbound queue === */
+// Each job goes out from its own session's socket. A job for a session no
+// longer configured is let through to fail, so it dead-letters rather than
+// waiting forever for a connection that will never come.
+outbox.initOutbox({
+  send: (sessionId, jid, content) => {
+    const session = sessions.get(sessionId);
+    if (!session) throw new Error(`unknown session "${sessionId}"`);
+    return session.send(jid, content);
+  },
+  isConnected: (sessionId) => sessions.get(sessionId)?.isConnected() ?? true,
+});
+
+identity.initIdentity({ fetchGroup: (groupId) => currentSessionObj().groupMetadata(groupId) });
+
+handover.initHandover({
+  send: (jid, text, session) => outbox.enqueue(jid, text, { kind: 'reply', session }),
+  onChange: broadcastHandovers,
+});
 
-/* === Reminders === */
-startReminderScheduler(async (userId, text) => {
-  if (!socketIsOpen()) throw new Error('WhatsApp not connected');
-  await sock.sendMessage(userId, { text });
+// The WhatsApp sender is wired up for outbound alerts. The old Supabase
+// realtime fan-out is intentionally NOT started: it pushed every alert to
+// every registered number regardless of which student (or which university)
+// it concerned. Alerts now arrive per-recipient from uniportal-server via
+// POST /api/send.
+initNotifications({
+  send: async (jid, text) => { await outbox.enqueue(jid, text, { kind: 'alert' }); },
+  broadcast,
 });
 
+/* === Leadership === */
+// Everything that talks to WhatsApp or fires on a timer runs on the leader
+// only; a follower serves HTTP until it is elected (leader.js).
+leader.initLeader({
+  url: INSTANCE_URL,
+  onElected: async () => {
+    await outbox.startOutbox();
+    // Awaited so a depose queued behind this (leader.js) stops sockets that
+    // exist, rather than racing their start.
+    await Promise.all([...sessions.values()].map((session) => session.start()));
+    // Reminders are queued rather than sent: once the outbox has one, it is
+    // durable and will go out when WhatsApp is connected, so it can be marked
+    // sent. The key stops a re-claimed occurrence being queued twice.
+    startReminderScheduler(async (userId, text, reminder, { key }) => {
+      await outbox.enqueue(userId, text, {
+        kind: 'reminder',
+        meta: { reminder: { id: reminder.id, message: reminder.message } },
+        // One set on a number since removed goes out from the student's home session.
+        session: sessions.has(reminder.session) ? reminder.session : null,
+        dedupeKey: key,
+      });
+    });
+    deadlines.startDeadlineSync();
+  },
+  onDeposed: async () => {
+    deadlines.stopDeadlineSync();
+    stopReminderScheduler();
+    await Promise.all([...sessions.values()].map((s) => s.stop()));
+    outbox.stopOutbox();
+  },
+});
+
+startBackgroundTimers();
+leader.startLeaderElection();
+
 /* === Graceful shutdown === */
 async function shutdown() {
   console.log('\n👋 Shutting down...');
-  shouldStop = true;
-  clearReconnect();
   if (presenceTimer) clearInterval(presenceTimer);
   if (sweepTimer) clearInterval(sweepTimer);
   await stopRealtimeSubscription().catch(() => {});
-  await teardownSocket();
+  // Stops the sockets and the outbox, and frees the lease for a follower.
+  await leader.stopLeaderElection();
   server.close(() => process.exit(0));
   setTimeout(() => process.exit(0), 5000).unref();
 }
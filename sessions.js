@@ -0,0 +1,469 @@
+// sessions.js
+// One WhatsApp connection per tenant (tenants.js), each with its own socket,
+// auth store, QR or pairing-code flow and status.
+//
+// This is the connection half of what server.js used to hold in globals —
+// `sock`, `botJid`, `connectionStatus`, the reconnect and watchdog timers —
+// moved behind createSession() so a process can run several side by side.
+// What happens to the messages a session receives is still server.js's
+// business: it hands each socket to the `attach` callback for its handlers.
+
+const {
+  default: makeWASocket,
+  DisconnectReason,
+  jidNormalizedUser,
+  fetchLatestBaileysVersion,
+  Browsers,
+} = require('@whiskeysockets/baileys');
+const authState = require('./authstate');
+
+const KEEP_ALIVE_MS = 30000;
+const MAX_RECONNECT_DELAY = 60000;
+
+/**
+ * WhatsApp rotates the pairing QR roughly every 20s and Baileys closes the
+ * socket once its refs are spent. Anything older than this is unscannable, so
+ * we stop advertising it rather than showing the user a dead code.
+ */
+const QR_MAX_AGE_MS = 60_000;
+
+/** Codes requested per pairing attempt before falling back to the QR. */
+const PAIRING_MAX_CODES = 5;
+
+function normalizeJid(jid) {
+  if (!jid) return null;
+  try {
+    return jidNormalizedUser(jid); // always returns xxx@s.whatsapp.net
+  } catch {
+    return jid;
+  }
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * @param {Object} tenant               from tenants.js
+ * @param {Object} hooks
+ * @param {Function} hooks.broadcast    (data) => void — dashboard update for this session
+ * @param {Function} hooks.attach       (sock, session) => void — wire message handlers to a new socket
+ * @param {Function} [hooks.onOpen]     (session) => void — the connection came up
+ */
+function createSession(tenant, { broadcast, attach, onOpen = () => {} }) {
+  const id = tenant.id;
+  const tag = `[${id}]`;
+
+  /* ============================
+     Connection state
+  ============================= */
+  let sock = null;
+  let saveCreds = null;
+  let isStarting = false;
+  let shouldStop = false;
+  let botJid = null;
+  let botLid = null;                // the bot's own LID, how LID-addressed groups mention it
+  let isRegistered = false;         // true once this device is paired
+  let reconnectAttempt = 0;
+  let lastQr = null;
+  let lastQrAt = 0;
+  let pairingPhone = null;          // set while the operator is pairing by phone number
+  let pairingCode = null;
+  let pairingCodeAt = 0;
+  let pairingSocket = null;         // the socket the current code was issued on
+  let pairingCodesIssued = 0;
+  let connectionStatus = 'disconnected';
+  let reconnectTimer = null;
+  let qrWatchdogTimer = null;
+
+  const session = {
+    id,
+    tenant,
+    start,
+    stop,
+    status,
+    currentQr,
+    currentPairingCode,
+    pairingCodeAgeMs: () => (currentPairingCode() ? Date.now() - pairingCodeAt : null),
+    requestPairing,
+    restart,
+    logout,
+    isConnected: () => connectionStatus === 'connected' && socketIsOpen(),
+    send: (jid, content) => {
+      if (!sock) throw new Error(`session ${id} has no socket`);
+      return sock.sendMessage(jid, content);
+    },
+    groupMetadata: (groupId) => sock.groupMetadata(groupId),
+    groupCreate: (subject, jids) => sock.groupCreate(subject, jids),
+    keepPresence,
+    botIds: () => [botJid, botLid].filter(Boolean),
+  };
+
+  function currentQr() {
+    if (!lastQr) return null;
+    return Date.now() - lastQrAt < QR_MAX_AGE_MS ? lastQr : null;
+  }
+
+  /**
+   * A pairing code lives exactly as long as the socket that requested it — the
+   * same socket whose QR refs run out — so it shares the QR's maximum age.
+   */
+  function currentPairingCode() {
+    if (!pairingCode) return null;
+    return Date.now() - pairingCodeAt < QR_MAX_AGE_MS ? pairingCode : null;
+  }
+
+  function clearPairing() {
+    pairingPhone = null;
+    pairingCode = null;
+    pairingSocket = null;
+    pairingCodesIssued = 0;
+  }
+
+  function status() {
+    return {
+      id,
+      name: tenant.name,
+      connectionStatus,
+      registered: isRegistered,
+      hasQr: !!currentQr(),
+      hasPairingCode: !!currentPairingCode(),
+      botJid: botJid ? '***' : null,
+    };
+  }
+
+  /** Baileys' socket wrapper exposes isOpen/isClosed — it has no `readyState`. */
+  function socketIsOpen() {
+    return Boolean(sock?.ws?.isOpen);
+  }
+
+  /**
+   * Detach and close the live socket.
+   *
+   * Every reconnect MUST come through here. The previous implementation guarded
+   * teardown behind `sock.ws.readyState === 1`, a property Baileys' WebSocketClient
+   * does not have, so the check was always false and the old socket was never
+   * closed: each reconnect leaked a socket that kept its event handlers, which is
+   * why messages got answered two or three times and the connection kept dropping.
+   */
+  async function teardownSocket() {
+    if (!sock) return;
+    const dying = sock;
+    sock = null;
+    try { dying.ev.removeAllListeners(); } catch {}
+    try { dying.end(new Error('socket replaced')); } catch {}
+  }
+
+  async function clearAuthState() {
+    try {
+      await authState.clearAuthState({ dir: tenant.authDir, session: id });
+      console.log(`🗑️  ${tag} Cleared stored auth state (${authState.AUTH_STORE})`);
+    } catch (err) {
+      console.warn(`${tag} Could not clear auth state:`, err.message);
+    }
+  }
+
+  function clearReconnect() {
+    if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
+    if (qrWatchdogTimer) { clearTimeout(qrWatchdogTimer); qrWatchdogTimer = null; }
+  }
+
+  function scheduleReconnect(delay) {
+    if (reconnectTimer || shouldStop) return;
+    console.log(`⏭️  ${tag} Next connect attempt in ${Math.round(delay / 1000)}s`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      isStarting = false;
+      if (!shouldStop) start();
+    }, delay);
+  }
+
+  /* ============================
+     Operator actions
+  ============================= */
+  /**
+   * Start pairing by phone number. Resolves `{ code }` when this socket could
+   * issue one at once, or `{ pending: true }` for the next socket to do so.
+   * Throws with `.status` 400 (bad number), 409 (already paired) or 502.
+   */
+  async function requestPairing(rawPhone) {
+    const phone = String(rawPhone || '').replace(/[\s()+-]/g, '');
+    if (!/^\d{8,15}$/.test(phone)) {
+      throw httpError(400, 'phone must be the full number in international format, digits only');
+    }
+    if (isRegistered) throw httpError(409, 'already paired — reset the session first');
+    clearPairing();
+    pairingPhone = phone;
+    lastQr = null;
+
+    // A socket that has produced a QR is ready to request a code right now;
+    // otherwise the next one to get that far will.
+    if (sock && connectionStatus === 'qr') {
+      const code = await issuePairingCode();
+      if (!code) throw httpError(502, 'WhatsApp did not issue a pairing code');
+      return { code };
+    }
+    return { pending: true };
+  }
+
+  /** Force a fresh pairing attempt without restarting the process. */
+  async function restart() {
+    clearReconnect();
+    await teardownSocket();
+    lastQr = null;
+    clearPairing();
+    connectionStatus = 'disconnected';
+    broadcast({ type: 'status', status: 'restarting' });
+    scheduleReconnect(250);
+  }
+
+  /** Drop the stored session so the next connect issues a brand-new QR. */
+  async function logout() {
+    clearReconnect();
+    try { if (sock) await sock.logout().catch(() => {}); } catch {}
+    await teardownSocket();
+    await clearAuthState();
+    lastQr = null;
+    clearPairing();
+    isRegistered = false;
+    connectionStatus = 'disconnected';
+    broadcast({ type: 'status', status: 'disconnected' });
+    scheduleReconnect(250);
+  }
+
+  async function keepPresence() {
+    try { if (socketIsOpen() && sock?.user) await sock.sendPresenceUpdate('available'); } catch {}
+  }
+
+  /* ============================
+     Start
+  ============================= */
+  async function start() {
+    if (isStarting || reconnectTimer) return;
+    shouldStop = false;
+    isStarting = true;
+
+    try {
+      // stop() may run during any await below (this instance was deposed):
+      // it finds no socket yet, so it is up to us not to open one after it.
+      const { state, saveCreds: _saveCreds } = await authState.useAuthState({ dir: tenant.authDir, session: id });
+      if (shouldStop) return;
+      saveCreds = _saveCreds;
+      isRegistered = Boolean(state.creds?.registered);
+
+      await teardownSocket();
+      if (shouldStop) return;
+
+      // Always fetch the live WhatsApp Web version — a stale one is rejected with
+      // a 405 handshake error and no QR is ever produced.
+      let version;
+      try {
+        const v = await fetchLatestBaileysVersion();
+        version = v.version;
+        console.log(`📦 ${tag} Using WhatsApp Web version ${version.join('.')} (latest: ${v.isLatest})`);
+      } catch (e) {
+        console.warn(`${tag} Could not fetch latest WA version, using Baileys default:`, e.message);
+      }
+      if (shouldStop) {
+        console.log(`⏹️  ${tag} Stopped while starting — not connecting.`);
+        return;
+      }
+
+      sock = makeWASocket({
+        auth: state,
+        version,
+        keepAliveIntervalMs: KEEP_ALIVE_MS,
+        // A standard browser tuple — custom names trigger 405 handshake rejections.
+        browser: Browsers.ubuntu('Chrome'),
+        syncFullHistory: false,
+        markOnlineOnConnect: false,
+      });
+
+      armQrWatchdog();
+
+      sock.ev.on('connection.update', (update) => {
+        const { connection, lastDisconnect, qr } = update;
+
+        // In pairing-code mode the QR is never shown; its arrival only says the
+        // socket is ready to request a code.
+        if (qr && pairingPhone) {
+          clearWatchdog();
+          connectionStatus = 'qr';
+          issuePairingCode();
+        } else if (qr) {
+          clearWatchdog();
+          lastQr = qr;
+          lastQrAt = Date.now();
+          connectionStatus = 'qr';
+          broadcast({ type: 'qr', qr });
+          console.log(`📷 ${tag} QR ready. Waiting for scan...`);
+        }
+
+        if (connection === 'open') {
+          clearWatchdog();
+          console.log(`✅ ${tag} WhatsApp connected`);
+          reconnectAttempt = 0;
+          lastQr = null;
+          clearPairing();
+          isRegistered = true;
+          connectionStatus = 'connected';
+          botJid = normalizeJid(sock.user?.id);
+          botLid = sock.user?.lid ? normalizeJid(sock.user.lid) : null;
+          console.log(`🤖 ${tag} Bot JID:`, botJid);
+          broadcast({ type: 'status', status: 'connected' });
+          onOpen(session, sock);
+        } else if (connection === 'close') {
+          handleDisconnect(lastDisconnect);
+        } else if (connection === 'connecting') {
+          console.log(`🔄 ${tag} WhatsApp connecting...`);
+          connectionStatus = 'connecting';
+          broadcast({ type: 'status', status: 'connecting' });
+        }
+      });
+
+      sock.ev.on('creds.update', saveCreds);
+      attach(sock, session);
+      console.log(`${tag} Bot started.`);
+    } catch (err) {
+      console.error(`${tag} startBot error:`, err);
+      scheduleReconnect(2000);
+    } finally {
+      isStarting = false;
+    }
+  }
+
+  /** Close the socket for good (shutdown, or this instance stopped leading). */
+  async function stop() {
+    shouldStop = true;
+    clearReconnect();
+    await teardownSocket();
+    lastQr = null;
+    clearPairing();
+    connectionStatus = 'disconnected';
+    broadcast({ type: 'status', status: 'disconnected' });
+  }
+
+  /* ============================
+     Disconnect handling
+  ============================= */
+  function handleDisconnect(lastDisconnect) {
+    const reason = lastDisconnect?.error?.output?.statusCode;
+    const isLoggedOut = reason === DisconnectReason.loggedOut;
+    console.log(`🔌 ${tag} Connection closed. reason:`, reason, 'loggedOut:', isLoggedOut);
+
+    connectionStatus = 'disconnected';
+    pairingCode = null; // issued on the socket that just closed
+    clearWatchdog();
+    broadcast({ type: 'status', status: 'disconnected', reason });
+
+    // 515: WhatsApp requires a reconnect immediately after a successful pairing.
+    if (reason === DisconnectReason.restartRequired || reason === 515) {
+      console.log(`🔁 ${tag} Restart required after pairing — reconnecting immediately...`);
+      lastQr = null;
+      reconnectAttempt = 0;
+      scheduleReconnect(500);
+      return;
+    }
+
+    // Logged out from the phone: the stored session is dead. Wipe it and come
+    // straight back with a fresh QR instead of sitting idle until someone
+    // restarts the process by hand.
+    if (isLoggedOut) {
+      console.log(`❌ ${tag} Logged out — clearing session and preparing a new QR.`);
+      isRegistered = false;
+      lastQr = null;
+      reconnectAttempt = 0;
+      clearAuthState().then(() => scheduleReconnect(1000));
+      return;
+    }
+
+    // Unpaired socket timed out: WhatsApp expired the pairing QR. Reconnect at
+    // once for a new one. The previous code nulled the QR and waited a full
+    // minute here, so the dashboard sat on "waiting for QR" and the code could
+    // never be scanned — the reported "QR won't generate" symptom.
+    if (!isRegistered) {
+      lastQr = null;
+      console.log(`⌛ ${tag} Pairing code expired — requesting a fresh QR...`);
+      scheduleReconnect(1000);
+      return;
+    }
+
+    lastQr = null;
+    reconnectAttempt++;
+    const delay = Math.min(2000 * Math.pow(1.5, reconnectAttempt - 1), MAX_RECONNECT_DELAY);
+    console.log(`🔄 ${tag} Reconnecting (attempt ${reconnectAttempt})...`);
+    scheduleReconnect(delay);
+  }
+
+  /* ============================
+     Pairing code
+  ============================= */
+  /**
+   * Ask WhatsApp for a code on the current socket — once per socket, since the
+   * code belongs to it. After PAIRING_MAX_CODES sockets without a successful
+   * pairing, give up and go back to showing the QR.
+   * @returns {Promise<string|null>} the code, or null
+   */
+  async function issuePairingCode() {
+    if (!sock || !pairingPhone) return null;
+    if (pairingSocket === sock) return currentPairingCode();
+    if (pairingCodesIssued >= PAIRING_MAX_CODES) {
+      console.warn(`⚠️  ${tag} ${PAIRING_MAX_CODES} pairing codes went unused — switching back to the QR.`);
+      clearPairing();
+      broadcast({ type: 'pairing_error', error: 'Pairing code expired too many times — showing the QR instead.' });
+      return null;
+    }
+    const issuedOn = sock;
+    pairingSocket = issuedOn;
+    try {
+      const code = await issuedOn.requestPairingCode(pairingPhone);
+      if (sock !== issuedOn || !pairingPhone) return null; // superseded while waiting
+      pairingCode = code;
+      pairingCodeAt = Date.now();
+      pairingCodesIssued++;
+      broadcast({ type: 'pairing', code, ageMs: 0 });
+      console.log(`🔢 ${tag} Pairing code ready. Waiting for entry...`);
+      return code;
+    } catch (err) {
+      console.error(`❌ ${tag} requestPairingCode failed:`, err.message);
+      broadcast({ type: 'pairing_error', error: 'WhatsApp did not issue a pairing code — try again.' });
+      clearPairing();
+      return null;
+    }
+  }
+
+  /* ============================
+     QR watchdog
+     Only ever fires for an UNPAIRED socket that produced no QR at all. A paired
+     session never emits one, so the old unconditional watchdog deleted working
+     credentials whenever a reconnect ran slow — forcing a re-scan for no reason.
+  ============================= */
+  function clearWatchdog() {
+    if (qrWatchdogTimer) { clearTimeout(qrWatchdogTimer); qrWatchdogTimer = null; }
+  }
+
+  function armQrWatchdog() {
+    clearWatchdog();
+    qrWatchdogTimer = setTimeout(() => {
+      qrWatchdogTimer = null;
+      if (connectionStatus === 'connected' || currentQr() || currentPairingCode()) return;
+
+      if (isRegistered) {
+        console.warn(`⚠️  ${tag} Paired session has not connected in 60s — retrying (session kept).`);
+        teardownSocket().then(() => scheduleReconnect(2000));
+        return;
+      }
+
+      console.warn(`⚠️  ${tag} No QR within 60s on an unpaired socket — clearing partial state and retrying.`);
+      teardownSocket()
+        .then(clearAuthState)
+        .then(() => scheduleReconnect(2000));
+    }, 60000);
+  }
+
+  return session;
+}
+
+module.exports = { createSession, normalizeJid, QR_MAX_AGE_MS };
@@ -0,0 +1,215 @@
+// signing.js
+// HMAC request signing between the bot and uniportal-server, both directions.
+//
+// Both sides used to present the same static UNIPORTAL_SERVICE_TOKEN, compared
+// with `!==`: one leak from either end let an attacker message every linked
+// student *and* act as the bot towards uniportal. Requests are now signed with
+// a per-direction secret over the method, path, a timestamp, a one-time nonce
+// and the body hash, so a captured request cannot be altered or replayed and
+// the secrets themselves never cross the wire.
+//
+//   x-signature-timestamp  ms since epoch; outside ±REPLAY_WINDOW_MS is refused
+//   x-signature-nonce      random, never accepted twice within the window
+//   x-signature            v1=<hex HMAC-SHA256 of the canonical string>
+//
+// Canonical string: METHOD \n path?query \n timestamp \n nonce \n sha256(body)
+//
+// Secrets are comma-separated lists, current first. The first signs; any of
+// them verifies — so a key is rotated by prepending the new one on the
+// receiver, then the sender, then dropping the old one.
+//   UNIPORTAL_INBOUND_SECRETS   uniportal → bot (/api/send, /api/messages)
+//   UNIPORTAL_OUTBOUND_SECRETS  bot → uniportal (uniportal.js)
+//
+// During migration UNIPORTAL_ACCEPT_SERVICE_TOKEN=true still lets the old
+// x-service-token header in; every such request is audit-logged.
+
+const crypto = require('crypto');
+
+const REPLAY_WINDOW_MS = 5 * 60 * 1000;
+const VERSION = 'v1';
+
+function secretList(name) {
+  return (process.env[name] || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+const inboundSecrets = () => secretList('UNIPORTAL_INBOUND_SECRETS');
+const outboundSecrets = () => secretList('UNIPORTAL_OUTBOUND_SECRETS');
+
+const sha256 = (body) => crypto.createHash('sha256').update(body || '').digest('hex');
+
+function canonical(method, path, timestamp, nonce, bodyHash) {
+  return [String(method).toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+function hmac(secret, text) {
+  return crypto.createHmac('sha256', secret).update(text).digest('hex');
+}
+
+/** Constant-time string comparison that does not leak the length either. */
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/* ============================
+   Audit log
+   One JSON line per rejected or legacy-authenticated request, so failures
+   can be searched and alerted on in the App Service log stream.
+============================= */
+function audit(event, details) {
+  console.warn(`🛡️  ${JSON.stringify({ audit: 'request-signature', event, at: new Date().toISOString(), ...details })}`);
+}
+
+/* ============================
+   Outbound
+============================= */
+function outboundConfigured() {
+  return outboundSecrets().length > 0;
+}
+
+/**
+ * Headers that sign a request to uniportal with the current outbound secret.
+ * @param {string} method
+ * @param {string} path  path and query exactly as sent, e.g. "/api/v1/whatsapp/identify"
+ * @param {string} body  the exact body bytes sent ('' for none)
+ */
+function signRequest(method, path, body) {
+  const [secret] = outboundSecrets();
+  if (!secret) throw new Error('UNIPORTAL_OUTBOUND_SECRETS is not set');
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    'x-signature-timestamp': timestamp,
+    'x-signature-nonce': nonce,
+    'x-signature': `${VERSION}=${hmac(secret, canonical(method, path, timestamp, nonce, sha256(body)))}`,
+  };
+}
+
+/* ============================
+   Inbound
+============================= */
+const nonces = new Map(); // nonce -> expiresAt
+
+function rememberNonce(nonce, now) {
+  for (const [n, exp] of nonces) { if (exp > now) break; nonces.delete(n); } // insertion order ≈ expiry order
+  if (nonces.has(nonce)) return false;
+  nonces.set(nonce, now + 2 * REPLAY_WINDOW_MS);
+  return true;
+}
+
+/** Why the signature headers alone rule a request out, or null. Reads no body. */
+function headerProblem(req, now) {
+  const timestamp = req.get('x-signature-timestamp') || '';
+  const nonce = req.get('x-signature-nonce') || '';
+  const signature = req.get('x-signature') || '';
+  if (!timestamp || !nonce || !signature) return 'missing_headers';
+  if (!signature.startsWith(`${VERSION}=`)) return 'bad_version';
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) return 'bad_nonce';
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(now - ts) > REPLAY_WINDOW_MS) return 'stale_timestamp';
+  if ((nonces.get(nonce) || 0) > now) return 'replayed_nonce';
+  return null;
+}
+
+/**
+ * Check a signed request. Needs `req.rawBody` (see express.json's `verify`
+ * option in server.js), or `req.rawBodySha256` for a streamed multipart body —
+ * a re-serialised body would not match the signature.
+ * @returns {{ ok: true, key: number } | { ok: false, reason: string }}
+ */
+function verifyRequest(req) {
+  const secrets = inboundSecrets();
+  if (!secrets.length) return { ok: false, reason: 'not_configured' };
+
+  const now = Date.now();
+  const reason = headerProblem(req, now);
+  if (reason) return { ok: false, reason };
+  const timestamp = req.get('x-signature-timestamp');
+  const nonce = req.get('x-signature-nonce');
+  const signature = req.get('x-signature');
+
+  const bodyHash = req.rawBodySha256 || sha256(req.rawBody);
+  const text = canonical(req.method, req.originalUrl, timestamp, nonce, bodyHash);
+  const given = signature.slice(VERSION.length + 1);
+  // Check every secret, not just until the first match, so timing does not
+  // reveal which key slot a signature was made with.
+  let key = -1;
+  secrets.forEach((secret, i) => { if (safeEqual(hmac(secret, text), given) && key < 0) key = i; });
+  if (key < 0) return { ok: false, reason: 'bad_signature' };
+
+  // Only a correctly signed request may burn a nonce — otherwise anyone could
+  // pre-empt uniportal's nonces with junk.
+  if (!rememberNonce(nonce, now)) return { ok: false, reason: 'replayed_nonce' };
+  return { ok: true, key };
+}
+
+function legacyTokenAllowed() {
+  return process.env.UNIPORTAL_ACCEPT_SERVICE_TOKEN === 'true' &&
+    Boolean((process.env.UNIPORTAL_SERVICE_TOKEN || '').trim());
+}
+
+/** True when uniportal has some way to authenticate to us. */
+function inboundConfigured() {
+  return inboundSecrets().length > 0 || legacyTokenAllowed();
+}
+
+/**
+ * Express middleware for routes uniportal calls. Accepts a valid signature or,
+ * while UNIPORTAL_ACCEPT_SERVICE_TOKEN is on, the old token; refuses the rest
+ * with 401 and an audit line.
+ */
+function requireUniportalSignature() {
+  return (req, res, next) => {
+    const where = { method: req.method, path: req.path, ip: req.ip };
+    if (req.get('x-signature')) {
+      const result = verifyRequest(req);
+      if (result.ok) {
+        if (result.key > 0) audit('previous_secret_used', { ...where, key: result.key });
+        return next();
+      }
+      audit('rejected', { ...where, reason: result.reason });
+      return res.status(401).json({ ok: false, error: 'unauthorized' });
+    }
+
+    const token = req.get('x-service-token');
+    if (token && legacyTokenAllowed() && safeEqual(token, process.env.UNIPORTAL_SERVICE_TOKEN.trim())) {
+      audit('legacy_token_accepted', where);
+      return next();
+    }
+    audit('rejected', { ...where, reason: token ? 'legacy_token_refused' : 'unsigned' });
+    res.status(401).json({ ok: false, error: 'unauthorized' });
+  };
+}
+
+/**
+ * The checks requireUniportalSignature can make before the body is read:
+ * headers present and well-formed, timestamp fresh, nonce unused, or a valid
+ * legacy token. Goes in front of anything that stores the body (an upload),
+ * so an unsigned caller is turned away before it costs disk. The signature
+ * itself is still checked by requireUniportalSignature once the body is in.
+ */
+function precheckSignature() {
+  return (req, res, next) => {
+    let reason;
+    if (req.get('x-signature')) {
+      reason = inboundSecrets().length ? headerProblem(req, Date.now()) : 'not_configured';
+    } else {
+      const token = req.get('x-service-token');
+      if (token && legacyTokenAllowed() && safeEqual(token, process.env.UNIPORTAL_SERVICE_TOKEN.trim())) return next();
+      reason = token ? 'legacy_token_refused' : 'unsigned';
+    }
+    if (!reason) return next();
+    audit('rejected', { method: req.method, path: req.path, ip: req.ip, reason, stage: 'precheck' });
+    res.status(401).json({ ok: false, error: 'unauthorized' });
+  };
+}
+
+module.exports = {
+  REPLAY_WINDOW_MS,
+  signRequest,
+  verifyRequest,
+  requireUniportalSignature,
+  precheckSignature,
+  inboundConfigured,
+  outboundConfigured,
+};
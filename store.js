@@ -0,0 +1,63 @@
+// store.js
+// Where the bot keeps its own state, chosen once with STATE_STORE.
+//
+// dialog.js, seen.js, the outbox, receipts, identities and the leader lease
+// each used to pick their backend from STATE_STORE themselves, and most kept
+// a memory mirror and an "is the store down" flag of their own — the same
+// dozen lines six times, each free to drift from the others. They now open
+// their storage here and supply only their table-specific backends.
+//
+//   STATE_STORE=supabase  (default) tables in the shared Supabase project
+//   STATE_STORE=sqlite    the bot's local database (localdb.js)
+//   STATE_STORE=memory    nothing kept across restarts; one instance only
+//
+// A store that fails is reported once per outage — when it goes down and
+// when it comes back — rather than on every call.
+
+const STORES = ['memory', 'sqlite', 'supabase'];
+const STORE = (process.env.STATE_STORE || 'supabase').trim().toLowerCase();
+if (!STORES.includes(STORE)) throw new Error(`STATE_STORE must be one of ${STORES.join(', ')}`);
+
+/**
+ * Open one module's storage.
+ * @param {string} label  what it holds, for the log lines — e.g. 'Dialog state'
+ * @param {Object} backends  `{ memory, sqlite, supabase }`, each a () => backend
+ * @param {Object} [opts]
+ * @param {boolean|Function} [opts.mirror]  keep a memory backend alongside: true for
+ *                          backends.memory(), or a factory for a different one. With
+ *                          STATE_STORE=memory the mirror is the store.
+ * @param {string} [opts.whileDown]  what happens during an outage, for the log line
+ * @returns {{ STORE: string, store: Object, mirror: Object|null, run: Function }}
+ *   `run(op, args, fallback)` calls `store[op](...args)`; if it throws, the outage
+ *   is logged (once) and `fallback` is returned — or called with the error, when
+ *   it is a function.
+ */
+function openStore(label, backends, { mirror = false, whileDown = '' } = {}) {
+  for (const name of STORES) {
+    if (typeof backends[name] !== 'function') throw new Error(`${label} store: no ${name} backend`);
+  }
+  const memory = mirror && (STORE === 'memory' || mirror === true ? backends.memory() : mirror());
+  const store = STORE === 'memory' ? (memory || backends.memory()) : backends[STORE]();
+
+  let down = false;
+  async function run(op, args = [], fallback = null) {
+    try {
+      const result = await store[op](...args);
+      if (down) {
+        down = false;
+        console.log(`✅ ${label} store (${STORE}) reachable again`);
+      }
+      return result;
+    } catch (err) {
+      if (!down) {
+        down = true;
+        console.error(`❌ ${label} store (${STORE}) failed${whileDown ? ` — ${whileDown}` : ''}:`, err.message || err);
+      }
+      return typeof fallback === 'function' ? fallback(err) : fallback;
+    }
+  }
+
+  return { STORE, store, mirror: memory || null, run };
+}
+
+module.exports = { STORE, openStore };
@@ -0,0 +1,18 @@
+-- Migration: dialog_states
+-- Pending conversation flows (link codes, staged confirmations, onboarding,
+-- paginated results, counselor reply threading), so a restart or deploy no
+-- longer drops them. Written by the bot's dialog.js when STATE_STORE=supabase.
+
+CREATE TABLE IF NOT EXISTS dialog_states (
+  jid         text         NOT NULL,
+  kind        text         NOT NULL,
+  key         text         NOT NULL DEFAULT '',
+  data        jsonb,
+  expires_at  timestamptz  NOT NULL,
+  updated_at  timestamptz  NOT NULL DEFAULT now(),
+  PRIMARY KEY (jid, kind, key)
+);
+
+-- The sweep deletes by expiry every few minutes.
+CREATE INDEX IF NOT EXISTS idx_dialog_states_expires_at
+  ON dialog_states (expires_at);
@@ -0,0 +1,14 @@
+-- Migration: seen_messages
+-- Inbound WhatsApp message ids already handled by the bot, so a redelivered
+-- or replayed message is never answered twice. Written by seen.js when
+-- STATE_STORE=supabase; rows older than 7 days are swept.
+
+CREATE TABLE IF NOT EXISTS seen_messages (
+  jid         text         NOT NULL,
+  message_id  text         NOT NULL,
+  seen_at     timestamptz  NOT NULL DEFAULT now(),
+  PRIMARY KEY (jid, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seen_messages_seen_at
+  ON seen_messages (seen_at);
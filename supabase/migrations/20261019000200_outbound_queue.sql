@@ -0,0 +1,37 @@
+-- Migration: outbound message queue
+-- Every WhatsApp message the bot sends is queued here first (outbox.js, when
+-- STATE_STORE=supabase) so sends survive disconnects and restarts. Messages
+-- that keep failing are copied to outbound_dead_letters for an operator.
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id               uuid         PRIMARY KEY,
+  jid              text         NOT NULL,
+  content          jsonb        NOT NULL,
+  kind             text,
+  meta             jsonb,
+  status           text         NOT NULL DEFAULT 'queued'
+      CHECK (status IN ('queued', 'sending', 'sent', 'dead')),
+  attempts         integer      NOT NULL DEFAULT 0,
+  next_attempt_at  timestamptz  NOT NULL DEFAULT now(),
+  created_at       timestamptz  NOT NULL DEFAULT now(),
+  sent_at          timestamptz,
+  wa_message_id    text,
+  last_error       text
+);
+
+-- The bot reloads unsent rows at start.
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_pending
+  ON outbound_messages (created_at)
+  WHERE status IN ('queued', 'sending');
+
+CREATE TABLE IF NOT EXISTS outbound_dead_letters (
+  id          uuid         PRIMARY KEY,
+  jid         text         NOT NULL,
+  content     jsonb        NOT NULL,
+  kind        text,
+  meta        jsonb,
+  attempts    integer      NOT NULL,
+  last_error  text,
+  created_at  timestamptz  NOT NULL,
+  failed_at   timestamptz  NOT NULL DEFAULT now()
+);
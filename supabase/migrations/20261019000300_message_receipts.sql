@@ -0,0 +1,21 @@
+-- Migration: delivery status of messages sent through /api/send
+-- One row per tracked outbound message (receipts.js, when STATE_STORE=supabase),
+-- keyed by the id /api/send returned. Baileys receipts arrive with WhatsApp's
+-- own message id, hence the second index.
+
+CREATE TABLE IF NOT EXISTS message_receipts (
+  id             uuid         PRIMARY KEY,
+  wa_message_id  text,
+  jid            text         NOT NULL,
+  status         text         NOT NULL
+      CHECK (status IN ('queued', 'sent', 'delivered', 'read', 'failed')),
+  error          text,
+  sent_at        timestamptz,
+  delivered_at   timestamptz,
+  read_at        timestamptz,
+  failed_at      timestamptz,
+  updated_at     timestamptz  NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_receipts_wa_message_id
+  ON message_receipts (wa_message_id);
@@ -0,0 +1,14 @@
+-- Migration: WhatsApp session storage
+-- Baileys credentials and signal keys (authstate.js, when AUTH_STORE=supabase),
+-- so a redeploy that wipes the app's disk does not force a new QR scan.
+-- `value` is AES-256-GCM ciphertext under the bot's AUTH_STATE_KEY; the table
+-- never holds a usable session on its own. `session` namespaces one WhatsApp
+-- number's keys from another's.
+
+CREATE TABLE IF NOT EXISTS wa_auth_state (
+  session     text         NOT NULL,
+  key         text         NOT NULL,
+  value       text         NOT NULL,
+  updated_at  timestamptz  NOT NULL DEFAULT now(),
+  PRIMARY KEY (session, key)
+);
@@ -0,0 +1,15 @@
+-- Migration: WhatsApp LID ↔ phone-number mappings
+-- Learned from Baileys contacts, group participant lists and message keys
+-- (identity.js, when STATE_STORE=supabase), so a sender who arrives as
+-- `…@lid` resolves to the `…@s.whatsapp.net` jid that users, links and
+-- match invites are keyed by.
+
+CREATE TABLE IF NOT EXISTS wa_identities (
+  lid         text         PRIMARY KEY,
+  pn          text         NOT NULL,
+  source      text,
+  updated_at  timestamptz  NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wa_identities_pn
+  ON wa_identities (pn);
@@ -0,0 +1,10 @@
+-- Migration: the WhatsApp number each queued message goes out from
+-- One process can host several sessions (tenants.js); outbox.js sends each
+-- job from the session it names. Existing rows belong to the original,
+-- single session.
+
+ALTER TABLE outbound_messages
+  ADD COLUMN IF NOT EXISTS session text NOT NULL DEFAULT 'default';
+
+ALTER TABLE outbound_dead_letters
+  ADD COLUMN IF NOT EXISTS session text NOT NULL DEFAULT 'default';
@@ -0,0 +1,31 @@
+-- Migration: leader lease
+-- One row per deployment (leader.js, when STATE_STORE=supabase). The instance
+-- holding it runs the WhatsApp sockets, the outbox and the schedulers; the
+-- others wait for it to expire. `url` is where followers forward /api/send.
+
+CREATE TABLE IF NOT EXISTS leader_leases (
+  name        text         PRIMARY KEY,
+  holder      text         NOT NULL,
+  url         text,
+  expires_at  timestamptz  NOT NULL,
+  updated_at  timestamptz  NOT NULL DEFAULT now()
+);
+
+-- Take the lease if it is free, expired or already ours, and return whoever
+-- holds it afterwards. One statement, so two instances racing for an expired
+-- lease cannot both win; timed by the database clock, not the callers'.
+CREATE OR REPLACE FUNCTION acquire_leader_lease(p_name text, p_holder text, p_url text, p_ttl_ms integer)
+RETURNS TABLE (holder text, url text, expires_at timestamptz)
+LANGUAGE sql
+AS $$
+  INSERT INTO leader_leases AS l (name, holder, url, expires_at, updated_at)
+  VALUES (p_name, p_holder, p_url, now() + p_ttl_ms * interval '1 millisecond', now())
+  ON CONFLICT (name) DO UPDATE
+    SET holder = excluded.holder,
+        url = excluded.url,
+        expires_at = excluded.expires_at,
+        updated_at = excluded.updated_at
+    WHERE l.holder = excluded.holder OR l.expires_at <= now();
+
+  SELECT l.holder, l.url, l.expires_at FROM leader_leases l WHERE l.name = p_name;
+$$;
@@ -0,0 +1,14 @@
+-- Migration: recurring reminders
+-- `recurrence` holds a cron expression or RRULE (recurrence.js); after each
+-- send reminder.js moves `remind_at` to the next occurrence instead of setting
+-- `sent`, which only happens once the rule runs out. `occurrences` counts the
+-- sends (for RRULE COUNT) and `last_sent_at` records the latest.
+
+ALTER TABLE reminders
+  ADD COLUMN IF NOT EXISTS recurrence    text,
+  ADD COLUMN IF NOT EXISTS occurrences   integer      NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_sent_at  timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_reminders_user_pending
+  ON reminders (user_id, remind_at)
+  WHERE sent = false;
@@ -0,0 +1,5 @@
+-- Migration: student timezones
+-- The IANA zone (e.g. "Africa/Lagos") reminders are read and shown in
+-- (timezone.js). Empty means inferred from the phone number's country code.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone text;
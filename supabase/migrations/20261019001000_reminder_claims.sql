@@ -0,0 +1,82 @@
+-- Migration: claimed reminder delivery
+-- reminder.js claims due reminders before sending them, so a crash or an
+-- overlapping pass cannot send one twice:
+--
+--   pending  waiting for `remind_at` (and, after a failed try, `claimed_until`)
+--   sending  claimed by `claimed_by` until `claimed_until`; claimable again after
+--   sent     done (`sent` is kept in step for anything still reading it)
+--   failed   given up on after too many attempts; `last_error` says why
+--
+-- `attempts` counts tries at the current occurrence. Every try is recorded in
+-- reminder_attempts. reminders predates these migrations, so its id is kept
+-- there as text rather than as a foreign key.
+
+ALTER TABLE reminders
+  ADD COLUMN IF NOT EXISTS status         text         NOT NULL DEFAULT 'pending',
+  ADD COLUMN IF NOT EXISTS claimed_by     text,
+  ADD COLUMN IF NOT EXISTS claimed_until  timestamptz,
+  ADD COLUMN IF NOT EXISTS attempts       integer      NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_error     text;
+
+UPDATE reminders SET status = 'sent' WHERE sent AND status = 'pending';
+
+ALTER TABLE reminders DROP CONSTRAINT IF EXISTS reminders_status_check;
+ALTER TABLE reminders ADD CONSTRAINT reminders_status_check
+  CHECK (status IN ('pending', 'sending', 'sent', 'failed'));
+
+DROP INDEX IF EXISTS idx_reminders_user_pending;
+CREATE INDEX IF NOT EXISTS idx_reminders_due
+  ON reminders (remind_at)
+  WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_reminders_user_pending
+  ON reminders (user_id, remind_at)
+  WHERE status IN ('pending', 'sending');
+
+CREATE TABLE IF NOT EXISTS reminder_attempts (
+  id           bigserial    PRIMARY KEY,
+  reminder_id  text         NOT NULL,
+  occurrence   integer      NOT NULL,
+  attempt      integer      NOT NULL,
+  owner        text,
+  outcome      text         NOT NULL CHECK (outcome IN ('sent', 'failed', 'gave_up', 'expired')),
+  error        text,
+  started_at   timestamptz  NOT NULL DEFAULT now(),
+  finished_at  timestamptz  NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_attempts_reminder
+  ON reminder_attempts (reminder_id, started_at);
+
+-- Claim up to p_limit due reminders for p_owner, for p_lease_ms. Rows locked
+-- by a concurrent claim are skipped, not waited on, so two callers never get
+-- the same one. A claim that ran out without being settled is recorded as
+-- 'expired' before it is taken over. Timed by the database clock.
+CREATE OR REPLACE FUNCTION claim_due_reminders(p_owner text, p_lease_ms integer, p_limit integer DEFAULT 20)
+RETURNS SETOF reminders
+LANGUAGE sql
+AS $$
+  WITH due AS (
+    SELECT id, status AS was, claimed_by AS was_owner, occurrences, attempts, claimed_until
+    FROM reminders
+    WHERE remind_at <= now()
+      AND ((status = 'pending' AND (claimed_until IS NULL OR claimed_until <= now()))
+        OR (status = 'sending' AND claimed_until <= now()))
+    ORDER BY remind_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  ), expired AS (
+    INSERT INTO reminder_attempts (reminder_id, occurrence, attempt, owner, outcome, error, started_at)
+    SELECT id::text, occurrences + 1, attempts, was_owner, 'expired', 'the claim ran out before the send was settled',
+           claimed_until - p_lease_ms * interval '1 millisecond'
+    FROM due
+    WHERE was = 'sending'
+  )
+  UPDATE reminders r
+     SET status = 'sending',
+         claimed_by = p_owner,
+         claimed_until = now() + p_lease_ms * interval '1 millisecond',
+         attempts = r.attempts + 1
+    FROM due
+   WHERE r.id = due.id
+  RETURNING r.*;
+$$;
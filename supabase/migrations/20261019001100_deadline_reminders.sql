@@ -0,0 +1,32 @@
+-- Migration: deadline reminders
+-- Reminders set by a sync rather than by the student (deadlines.js) carry
+-- their `source` and a `source_key` naming the deadline, its due time and the
+-- offset. The key is unique per student, so a sync run twice adds nothing.
+-- NULL keys (reminders the student set) never conflict. A synced reminder the
+-- student cancels is kept as 'cancelled' so the next sync leaves it be.
+
+ALTER TABLE reminders
+  ADD COLUMN IF NOT EXISTS source      text,
+  ADD COLUMN IF NOT EXISTS source_key  text;
+
+ALTER TABLE reminders DROP CONSTRAINT IF EXISTS reminders_source_key_unique;
+ALTER TABLE reminders ADD CONSTRAINT reminders_source_key_unique UNIQUE (user_id, source_key);
+
+ALTER TABLE reminders DROP CONSTRAINT IF EXISTS reminders_status_check;
+ALTER TABLE reminders ADD CONSTRAINT reminders_status_check
+  CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled'));
+
+-- Students who asked for their deadlines to be synced, and the WhatsApp
+-- number (tenants.js) they asked on, so the lookups carry its university.
+CREATE TABLE IF NOT EXISTS deadline_subscriptions (
+  jid         text         PRIMARY KEY,
+  session     text,
+  enabled     boolean      NOT NULL DEFAULT true,
+  created_at  timestamptz  NOT NULL DEFAULT now(),
+  synced_at   timestamptz,
+  last_error  text
+);
+
+CREATE INDEX IF NOT EXISTS idx_deadline_subscriptions_enabled
+  ON deadline_subscriptions (synced_at)
+  WHERE enabled;
@@ -0,0 +1,17 @@
+-- Migration: the WhatsApp number each student writes to, kept across restarts
+-- Reminders, alerts and handover notices go out from the number a student
+-- knows (tenants.js sessionFor). That used to be remembered in memory only,
+-- so after a restart or on another instance they went out from the default
+-- number until the student wrote again. It is now stored (table
+-- wa_home_sessions, when STATE_STORE=supabase), and each reminder records
+-- the number it was set on.
+
+CREATE TABLE IF NOT EXISTS wa_home_sessions (
+  jid         text         PRIMARY KEY,
+  session     text         NOT NULL,
+  updated_at  timestamptz  NOT NULL DEFAULT now()
+);
+
+-- Null for reminders set before this: they go out from the home session.
+ALTER TABLE reminders
+  ADD COLUMN IF NOT EXISTS session text;
@@ -0,0 +1,7 @@
+-- Migration: the WhatsApp number a pending confirmation was staged on
+-- A "yes" sent to one of the process's numbers (tenants.js) must not
+-- confirm a post, action or link staged on another (dialog.js perSession).
+-- Null for flows that are the same whichever number the student writes to.
+
+ALTER TABLE dialog_states
+  ADD COLUMN IF NOT EXISTS session text;
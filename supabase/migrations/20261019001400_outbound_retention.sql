@@ -0,0 +1,8 @@
+-- Migration: sweeping finished outbound messages
+-- outbox.js purgeFinished deletes sent and dead rows older than
+-- OUTBOUND_RETENTION_DAYS (default 7) every few minutes; this keeps that
+-- from scanning the whole table.
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_finished
+  ON outbound_messages (created_at)
+  WHERE status IN ('sent', 'dead');
@@ -0,0 +1,16 @@
+-- Migration: operator sign-ins shared by every instance
+-- Dashboard sessions (operators.js) used to live in each instance's memory,
+-- so a sign-in only held on the instance that issued it and the control
+-- routes could not be passed on to the leader. They are now stored (table
+-- operator_sessions, when STATE_STORE=supabase). Only a SHA-256 hash of
+-- each token is kept; expired rows are removed by the server's sweep.
+
+CREATE TABLE IF NOT EXISTS operator_sessions (
+  token_hash  text         PRIMARY KEY,
+  name        text         NOT NULL,
+  role        text         NOT NULL,
+  expires_at  timestamptz  NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS operator_sessions_expires_idx
+  ON operator_sessions (expires_at);
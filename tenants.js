@@ -0,0 +1,196 @@
+// tenants.js
+// The WhatsApp numbers this process hosts, and who each one belongs to.
+//
+// One deployment used to mean one number: a university that wanted its own
+// had to run its own copy. A process now hosts several sessions side by side
+// (sessions.js), each with its own tenant config, read from TENANTS_PATH
+// (default tenants.json — see tenants.example.json):
+//
+//   {
+//     "default":  { "name": "WorldLynk" },
+//     "uni-york": { "name": "University of York", "assistantName": "York Student Helper",
+//                   "universityId": "york", "tools": ["lookupWorldlynk", "addReminder"] }
+//   }
+//
+//   name           who the assistant says it works for
+//   assistantName  what it calls itself (default "Student Assistant")
+//   universityId   sent to uniportal with every call made for this session
+//   tools          the assistant tools enabled for it (default: all)
+//   authDir        its AUTH_STORE=file folder (default AUTH_DIR, or AUTH_DIR-<id>)
+//
+// Without the file there is one session, "default", configured from env as
+// before. Session ids appear in URLs and auth keys: lowercase letters,
+// digits, "-" and "_".
+//
+// Work done for one session — handling a message, a send through /api/send —
+// runs inside runInSession(), so code further down (uniportal.js, the outbox,
+// events) can tell which number it is for without every call passing it on.
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { supabase } = require('./config');
+const { openStore } = require('./store');
+
+const TENANTS_PATH = process.env.TENANTS_PATH || path.join(__dirname, 'tenants.json');
+const AUTH_DIR = process.env.AUTH_DIR || 'auth_info_baileys';
+const DEFAULT_SESSION = 'default';
+const ID_PAT = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/* ============================
+   Config
+============================= */
+function normalizeTenant(id, raw = {}) {
+  if (!ID_PAT.test(id)) throw new Error(`tenants: "${id}" is not a valid session id`);
+  if (raw.tools !== undefined && raw.tools !== null &&
+      (!Array.isArray(raw.tools) || raw.tools.some((t) => typeof t !== 'string'))) {
+    throw new Error(`tenants: "${id}".tools must be a list of tool names`);
+  }
+  return {
+    id,
+    name: raw.name || 'WorldLynk',
+    assistantName: raw.assistantName || 'Student Assistant',
+    universityId: raw.universityId || null,
+    tools: raw.tools || null,
+    authDir: raw.authDir || (id === DEFAULT_SESSION ? AUTH_DIR : `${AUTH_DIR}-${id}`),
+  };
+}
+
+function loadTenants() {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(TENANTS_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`tenants: ${TENANTS_PATH} is unreadable: ${err.message}`);
+    return new Map([[DEFAULT_SESSION, normalizeTenant(DEFAULT_SESSION, {
+      name: process.env.TENANT_NAME,
+      universityId: process.env.UNIPORTAL_UNIVERSITY_ID,
+    })]]);
+  }
+  const entries = Object.entries(raw || {});
+  if (!entries.length) throw new Error(`tenants: ${TENANTS_PATH} lists no sessions`);
+  return new Map(entries.map(([id, t]) => [id, normalizeTenant(id, t)]));
+}
+
+// Read once: sessions are started from it, so a change needs a restart anyway.
+const tenants = loadTenants();
+
+function listTenants() {
+  return [...tenants.values()];
+}
+
+function getTenant(id) {
+  return tenants.get(id) || null;
+}
+
+/** The session used when nothing says otherwise: "default", or the first listed. */
+function defaultSession() {
+  return tenants.has(DEFAULT_SESSION) ? DEFAULT_SESSION : tenants.keys().next().value;
+}
+
+/* ============================
+   Current session
+============================= */
+const als = new AsyncLocalStorage();
+
+/** Run `fn` as work for session `id`; currentSession() reads it back. */
+function runInSession(id, fn) {
+  return als.run({ session: id }, fn);
+}
+
+function currentSession() {
+  return als.getStore()?.session ?? null;
+}
+
+function currentTenant() {
+  const id = currentSession();
+  return id ? getTenant(id) : null;
+}
+
+/* ============================
+   Home sessions
+   The number a student last wrote to. Messages nobody addressed to a session
+   — reminders, alerts, a handover closed from the dashboard — go out from
+   there, so the student hears back from the number they know. Kept where
+   STATE_STORE says (store.js, table wa_home_sessions), so every instance
+   knows it and a restart does not forget it.
+============================= */
+function memoryBackend() {
+  const homes = new Map(); // jid -> session id
+  return {
+    async get(jid) { return homes.get(jid) || null; },
+    async put(jid, id) { homes.set(jid, id); },
+  };
+}
+
+function sqliteBackend() {
+  const { ensureSchema } = require('./localdb');
+  const db = () => ensureSchema('wa_home_sessions', `
+    CREATE TABLE IF NOT EXISTS wa_home_sessions (
+      jid        TEXT PRIMARY KEY,
+      session    TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+  return {
+    async get(jid) { return db().prepare('SELECT session FROM wa_home_sessions WHERE jid = ?').get(jid)?.session || null; },
+    async put(jid, id) {
+      db().prepare('INSERT OR REPLACE INTO wa_home_sessions (jid, session, updated_at) VALUES (?, ?, ?)').run(jid, id, Date.now());
+    },
+  };
+}
+
+function supabaseBackend() {
+  return {
+    async get(jid) {
+      const { data, error } = await supabase.from('wa_home_sessions').select('session').eq('jid', jid).maybeSingle();
+      if (error) throw error;
+      return data?.session || null;
+    },
+    async put(jid, id) {
+      const { error } = await supabase.from('wa_home_sessions')
+        .upsert({ jid, session: id, updated_at: new Date().toISOString() });
+      if (error) throw error;
+    },
+  };
+}
+
+const homes = openStore('Home session',
+  { memory: memoryBackend, sqlite: sqliteBackend, supabase: supabaseBackend },
+  { mirror: true, whileDown: 'using this instance\'s memory' });
+
+/** Note the number `jid` wrote to. Stored only when it changed. */
+async function rememberHomeSession(jid, id) {
+  if (!jid || !id || (await homes.mirror.get(jid)) === id) return;
+  await homes.mirror.put(jid, id);
+  if (homes.store !== homes.mirror) await homes.run('put', [jid, id]);
+}
+
+/** The number `jid` last wrote to, or null — also when it has since left the tenants file. */
+async function homeSession(jid) {
+  if (!jid) return null;
+  let id = await homes.mirror.get(jid);
+  if (!id && homes.store !== homes.mirror) {
+    id = await homes.run('get', [jid]);
+    if (id) await homes.mirror.put(jid, id);
+  }
+  return id && tenants.has(id) ? id : null;
+}
+
+/** The session to send to `jid` from, absent an explicit one. */
+async function sessionFor(jid) {
+  return currentSession() || (await homeSession(jid)) || defaultSession();
+}
+
+module.exports = {
+  DEFAULT_SESSION,
+  listTenants,
+  getTenant,
+  defaultSession,
+  runInSession,
+  currentSession,
+  currentTenant,
+  rememberHomeSession,
+  homeSession,
+  sessionFor,
+};
@@ -0,0 +1,259 @@
+// timezone.js
+// Each student's timezone, and times read and written in it.
+//
+// Reminders used to be parsed and shown in the server's zone: a student in
+// Lagos who asked for "9am" got 9am wherever the server ran. A student's zone
+// is now, in order:
+//
+//   1. what they set with "timezone Lagos" (users.timezone, or the onboarding
+//      state until their profile row exists). Not their onboarding country:
+//      that question is where they are "in / targeting", often not where
+//      they are now.
+//   2. inferred from their number's country calling code
+//   3. DEFAULT_TIMEZONE, else the server's own zone
+//
+// Everything that reads a time from a student (parseWhen) or shows them one
+// (formatWhen) goes through here with that zone.
+
+const chrono = require('chrono-node');
+const { supabase } = require('./config');
+const dialog = require('./dialog');
+
+const DEFAULT_TZ = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const CACHE_MS = 10 * 60 * 1000;
+
+/* ============================
+   Zones
+   By calling code, the main zone of countries students come from. A country
+   spanning several zones gets its most populous one; the student can correct
+   it. Country and city names map onto the same table for the timezone command.
+============================= */
+const BY_CALLING_CODE = {
+  1: 'America/New_York', 7: 'Europe/Moscow', 20: 'Africa/Cairo', 27: 'Africa/Johannesburg',
+  30: 'Europe/Athens', 31: 'Europe/Amsterdam', 32: 'Europe/Brussels', 33: 'Europe/Paris',
+  34: 'Europe/Madrid', 39: 'Europe/Rome', 40: 'Europe/Bucharest', 41: 'Europe/Zurich',
+  44: 'Europe/London', 45: 'Europe/Copenhagen', 46: 'Europe/Stockholm', 47: 'Europe/Oslo',
+  48: 'Europe/Warsaw', 49: 'Europe/Berlin', 52: 'America/Mexico_City', 55: 'America/Sao_Paulo',
+  60: 'Asia/Kuala_Lumpur', 61: 'Australia/Sydney', 62: 'Asia/Jakarta', 63: 'Asia/Manila',
+  64: 'Pacific/Auckland', 65: 'Asia/Singapore', 66: 'Asia/Bangkok', 81: 'Asia/Tokyo',
+  82: 'Asia/Seoul', 84: 'Asia/Ho_Chi_Minh', 86: 'Asia/Shanghai', 90: 'Europe/Istanbul',
+  91: 'Asia/Kolkata', 92: 'Asia/Karachi', 94: 'Asia/Colombo', 95: 'Asia/Yangon', 98: 'Asia/Tehran',
+  212: 'Africa/Casablanca', 233: 'Africa/Accra', 234: 'Africa/Lagos', 237: 'Africa/Douala',
+  251: 'Africa/Addis_Ababa', 254: 'Africa/Nairobi', 255: 'Africa/Dar_es_Salaam',
+  256: 'Africa/Kampala', 260: 'Africa/Lusaka', 263: 'Africa/Harare', 351: 'Europe/Lisbon',
+  353: 'Europe/Dublin', 852: 'Asia/Hong_Kong', 880: 'Asia/Dhaka', 886: 'Asia/Taipei',
+  961: 'Asia/Beirut', 962: 'Asia/Amman', 965: 'Asia/Kuwait', 966: 'Asia/Riyadh',
+  968: 'Asia/Muscat', 971: 'Asia/Dubai', 974: 'Asia/Qatar', 977: 'Asia/Kathmandu',
+};
+
+const BY_NAME = {
+  usa: 1, 'united states': 1, america: 1, us: 1, canada: 1, russia: 7, egypt: 20,
+  'south africa': 27, greece: 30, netherlands: 31, belgium: 32, france: 33, spain: 34,
+  italy: 39, romania: 40, switzerland: 41, uk: 44, 'united kingdom': 44, britain: 44,
+  'great britain': 44, england: 44, scotland: 44, wales: 44, denmark: 45, sweden: 46,
+  norway: 47, poland: 48, germany: 49, mexico: 52, brazil: 55, malaysia: 60, australia: 61,
+  indonesia: 62, philippines: 63, 'new zealand': 64, singapore: 65, thailand: 66, japan: 81,
+  korea: 82, 'south korea': 82, vietnam: 84, china: 86, turkey: 90, 'türkiye': 90, india: 91,
+  pakistan: 92, 'sri lanka': 94, myanmar: 95, iran: 98, morocco: 212, ghana: 233,
+  nigeria: 234, cameroon: 237, ethiopia: 251, kenya: 254, tanzania: 255, uganda: 256,
+  zambia: 260, zimbabwe: 263, portugal: 351, ireland: 353, 'hong kong': 852,
+  bangladesh: 880, taiwan: 886, lebanon: 961, jordan: 962, kuwait: 965,
+  'saudi arabia': 966, saudi: 966, oman: 968, uae: 971, 'united arab emirates': 971,
+  qatar: 974, nepal: 977,
+};
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** The zone for a phone-number jid's calling code, or null. */
+function inferTimezone(jid) {
+  const digits = String(jid || '').split('@')[0];
+  if (!/^\d{7,15}$/.test(digits) || !String(jid).endsWith('@s.whatsapp.net')) return null;
+  for (const len of [3, 2, 1]) {
+    const zone = BY_CALLING_CODE[digits.slice(0, len)];
+    if (zone) return zone;
+  }
+  return null;
+}
+
+let zoneList = null;
+/**
+ * Read a zone from what a student typed: an IANA name ("Africa/Lagos"), a
+ * city in one ("lagos", "new york") or a country ("Nigeria", "UK").
+ * @returns {string|null}
+ */
+function resolveTimezone(text) {
+  const t = String(text || '').trim().toLowerCase().replace(/[.!?]+$/, '');
+  if (!t) return null;
+  zoneList ||= Intl.supportedValuesOf('timeZone');
+  const exact = zoneList.find((z) => z.toLowerCase() === t);
+  if (exact) return exact;
+  const city = t.replace(/\s+/g, '_');
+  const byCity = zoneList.find((z) => z.toLowerCase().endsWith(`/${city}`));
+  if (byCity) return byCity;
+  const code = BY_NAME[t] ?? BY_NAME[t.replace(/^the\s+/, '')];
+  return code ? BY_CALLING_CODE[code] : null;
+}
+
+/* ============================
+   Wall clock
+============================= */
+const WEEKDAY = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const partsFormat = new Map();
+
+/** The date and time `date` shows on a clock in `tz`: { y, m (0-based), d, h, mi, wd }. */
+function wallClock(date, tz) {
+  if (!partsFormat.has(tz)) {
+    partsFormat.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
+  }
+  const p = Object.fromEntries(partsFormat.get(tz).formatToParts(date).map((x) => [x.type, x.value]));
+  return { y: +p.year, m: +p.month - 1, d: +p.day, h: +p.hour, mi: +p.minute, wd: WEEKDAY[p.weekday] };
+}
+
+/** Minutes `tz` is ahead of UTC at `date`. */
+function offsetMinutes(tz, date = new Date()) {
+  const w = wallClock(date, tz);
+  const asUtc = Date.UTC(w.y, w.m, w.d, w.h, w.mi);
+  return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+/**
+ * The instant a clock in `tz` shows the given date and time. Corrected once
+ * for the offset at the result, so a time across a clock change lands right.
+ */
+function fromWallClock({ y, m, d, h = 0, mi = 0 }, tz) {
+  const guess = Date.UTC(y, m, d, h, mi);
+  let at = new Date(guess - offsetMinutes(tz, new Date(guess)) * 60000);
+  const corrected = new Date(guess - offsetMinutes(tz, at) * 60000);
+  if (corrected.getTime() !== at.getTime()) at = corrected;
+  return at;
+}
+
+/* ============================
+   Reading and writing times
+============================= */
+/**
+ * Read a time a student (or the model, for them) wrote — "9am", "tomorrow at
+ * 6", "2026-10-20T09:00" — as their local time. An explicit offset ("Z",
+ * "+01:00") is respected.
+ * @returns {Date|null}
+ */
+function parseWhen(text, tz, opts) {
+  return parseTimes(text, tz, opts)[0]?.start.date() ?? null;
+}
+
+/**
+ * Like parseWhen, but every time found, as chrono results: where each sits in
+ * the text and which parts were said rather than guessed (`isCertain`).
+ * @returns {Array<Object>}
+ */
+function parseTimes(text, tz, { ref = new Date(), forwardDate = true } = {}) {
+  const parse = (offset) => chrono.parse(String(text || ''), { instant: ref, timezone: offset }, { forwardDate });
+  const first = parse(offsetMinutes(tz, ref));
+  if (!first.length) return first;
+  // The offset at `ref` may not be the one at the time meant (a date past a
+  // clock change); parse again with that one if so.
+  const atResult = offsetMinutes(tz, first[0].start.date());
+  return atResult === offsetMinutes(tz, ref) ? first : parse(atResult);
+}
+
+/** e.g. "20 Oct 2026, 09:00" on the student's clock. */
+function formatWhen(date, tz) {
+  return new Date(date).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short', timeZone: tz });
+}
+
+/* ============================
+   Per-student storage
+============================= */
+const cache = new Map(); // jid -> { tz, at }
+
+async function storedTimezone(jid) {
+  const { data, error } = await supabase.from('users').select('timezone').eq('user_id', jid).maybeSingle();
+  if (error) throw error;
+  if (data?.timezone) return data.timezone;
+  return (await dialog.getState(jid, dialog.STATES.ONBOARDING.kind))?.timezone || null;
+}
+
+/** The zone to read and show `jid`'s times in. Never fails: see the header for the fallbacks. */
+async function timezoneFor(jid) {
+  const hit = cache.get(jid);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.tz;
+  let tz = null;
+  try {
+    tz = await storedTimezone(jid);
+  } catch (err) {
+    console.warn(`timezone lookup for ${jid} failed:`, err.message || err);
+  }
+  if (!isValidTimezone(tz)) tz = inferTimezone(jid) || DEFAULT_TZ;
+  cache.set(jid, { tz, at: Date.now() });
+  return tz;
+}
+
+/**
+ * Save a student's zone on their profile, or on their onboarding state while
+ * they have no profile row yet (it is copied across when onboarding ends).
+ */
+async function setTimezone(jid, tz) {
+  if (!isValidTimezone(tz)) throw new Error(`unknown timezone "${tz}"`);
+  const { data, error } = await supabase.from('users').update({ timezone: tz }).eq('user_id', jid).select('user_id');
+  if (error) throw error;
+  if (!data?.length) {
+    const kind = dialog.STATES.ONBOARDING.kind;
+    await dialog.setState(jid, kind, { ...(await dialog.getState(jid, kind)), timezone: tz });
+  }
+  cache.set(jid, { tz, at: Date.now() });
+}
+
+/* ============================
+   Chat command
+   "timezone" shows it; "timezone Lagos", "set timezone Africa/Lagos" or
+   "my timezone is London" changes it.
+============================= */
+const TZ_PAT = /^(?:set\s+)?(?:my\s+)?time\s*zone(?:\s+(?:to|is)\b)?(?:\s+([^?]+))?$/i;
+
+/** Returns the reply, or null when the text is not the command. */
+async function handleTimezoneCommand(jid, text) {
+  const m = (text || '').trim().match(TZ_PAT);
+  if (!m) return null;
+  try {
+    if (!m[1]) {
+      const tz = await timezoneFor(jid);
+      return `🕒 Your timezone is *${tz}* — it's ${formatWhen(new Date(), tz)} there now.\n` +
+        'Send *timezone <your city>* to change it, e.g. *timezone Lagos*.';
+    }
+    const tz = resolveTimezone(m[1]);
+    // "timezone difference between…" is a question for the assistant, not a setting.
+    if (!tz && m[1].trim().split(/\s+/).length > 3) return null;
+    if (!tz) return `⚠️ I don't know the timezone "${m[1].trim()}". Try a big city near you, e.g. *timezone Lagos*.`;
+    await setTimezone(jid, tz);
+    return `✅ Timezone set to *${tz}* — it's ${formatWhen(new Date(), tz)} there now. Reminders will use it.`;
+  } catch (err) {
+    console.error('timezone command failed:', err.message || err);
+    return "⚠️ I couldn't update your timezone just now. Please try again shortly.";
+  }
+}
+
+module.exports = {
+  DEFAULT_TZ,
+  isValidTimezone,
+  inferTimezone,
+  resolveTimezone,
+  wallClock,
+  fromWallClock,
+  parseWhen,
+  parseTimes,
+  formatWhen,
+  timezoneFor,
+  setTimezone,
+  handleTimezoneCommand,
+};
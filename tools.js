@@ -0,0 +1,156 @@
+// tools.js
+// Registry of the assistant's tools.
+//
+// Each tool declares its name, JSON schema and handler in one place, along
+// with whether it needs a linked account and whether it must be confirmed by
+// the student first. Adding a capability used to mean editing an inline schema
+// array and a switch statement in ai.js and keeping the two in step by hand.
+
+const registry = new Map();
+
+/**
+ * Register a tool.
+ * @param {Object} def
+ * @param {string} def.name
+ * @param {string} def.description
+ * @param {Object} def.parameters            JSON schema for the arguments
+ * @param {Function} def.handler             async (args, ctx) => string
+ * @param {boolean|Function} [def.requiresLink]   true, or (args) => boolean
+ * @param {Object} [def.confirm]             { when: (args) => boolean, prompt: (args) => string }
+ */
+function defineTool(def) {
+  if (!def?.name || typeof def.handler !== 'function') {
+    throw new Error('defineTool needs a name and a handler');
+  }
+  if (registry.has(def.name)) throw new Error(`tool "${def.name}" is already registered`);
+  registry.set(def.name, {
+    requiresLink: false,
+    confirm: null,
+    parameters: { type: 'object', properties: {} },
+    ...def,
+  });
+}
+
+function getTool(name) {
+  return registry.get(name) || null;
+}
+
+/** Tool definitions in the shape chat.completions expects. */
+function toolSchemas({ only } = {}) {
+  return [...registry.values()]
+    .filter((t) => !only || only.includes(t.name))
+    .map((t) => ({
+      type: 'function',
+      function: { name: t.name, description: t.description, parameters: t.parameters },
+    }));
+}
+
+/* ============================
+   Argument validation
+   Covers the subset of JSON schema our tools use. Unknown properties are
+   tolerated: models add harmless extras, and rejecting them wastes a round.
+============================= */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function validateValue(schema, value, path, errors) {
+  if (!schema) return;
+  if (schema.type) {
+    const actual = typeOf(value);
+    const ok = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+    if (!ok) {
+      errors.push(`${path} must be ${schema.type}, got ${actual}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    errors.push(`${path} must be an ISO 8601 date-time`);
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) validateValue(sub, value[key], `${path}.${key}`, errors);
+    }
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors));
+  }
+}
+
+/** Schema errors as readable strings — empty when the arguments are valid. */
+function validateArgs(schema, args) {
+  const errors = [];
+  validateValue(schema, args, 'arguments', errors);
+  return errors;
+}
+
+/* ============================
+   Running a tool
+============================= */
+function applies(flag, args) {
+  return typeof flag === 'function' ? Boolean(flag(args)) : Boolean(flag);
+}
+
+/**
+ * Validate and run a tool call. Never throws; the outcome says what happened:
+ *   ok                  — `output` is the handler's result
+ *   invalid             — unknown or disabled tool, unparseable or schema-invalid arguments
+ *   link_required       — the tool needs a linked account and ctx.linked is false
+ *   needs_confirmation  — the student must confirm first; `prompt` asks them
+ *   error               — the handler threw
+ *
+ * @param {string} name
+ * @param {string|Object} rawArgs   JSON string from the model, or parsed args
+ * @param {Object} ctx              passed to the handler; `linked`, `confirmed` and `enabled`
+ *                                  (the tool names a tenant allows, or null for all) are read here
+ */
+async function runTool(name, rawArgs, ctx = {}) {
+  const tool = registry.get(name);
+  // A disabled tool is not in the schemas the model saw, but a model can still
+  // name one; it gets the same answer as an unknown tool.
+  if (!tool || (ctx.enabled && !ctx.enabled.includes(name))) {
+    return { status: 'invalid', message: `Error: there is no tool called ${name}.` };
+  }
+
+  let args = rawArgs;
+  if (typeof rawArgs === 'string' || rawArgs == null) {
+    try {
+      args = rawArgs ? JSON.parse(rawArgs) : {};
+    } catch {
+      return { status: 'invalid', message: `Error: the arguments for ${name} were not valid JSON.` };
+    }
+  }
+
+  const errors = validateArgs(tool.parameters, args);
+  if (errors.length) {
+    return {
+      status: 'invalid',
+      message: `Error: invalid arguments for ${name}: ${errors.join('; ')}. Fix them and call it again.`,
+    };
+  }
+
+  if (applies(tool.requiresLink, args) && !ctx.linked) return { status: 'link_required', args };
+  if (tool.confirm && !ctx.confirmed && tool.confirm.when(args)) {
+    return { status: 'needs_confirmation', args, prompt: tool.confirm.prompt(args) };
+  }
+
+  try {
+    return { status: 'ok', args, output: await tool.handler(args, ctx) };
+  } catch (err) {
+    console.error('❌ Tool call error:', name, err.message || err);
+    return { status: 'error', args, message: `Error: ${name} failed (${err.message || 'unknown error'}).` };
+  }
+}
+
+module.exports = { defineTool, getTool, toolSchemas, validateArgs, runTool };
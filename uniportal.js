@@ -1,13 +1,22 @@
 // uniportal.js
 // Thin client for the uniportal-server API.
 //
-// The bot holds no Firebase credential. It authenticates with a shared service
-// token and can only do three things: ask for a link code to be mailed, submit
-// a code that came back over WhatsApp, and ask who a number belongs to. Every
+// The bot holds no Firebase credential. It signs every request (signing.js)
+// and can only act for a number: ask for a link code to be mailed, submit
+// a code that came back over WhatsApp, ask who a number belongs to, unlink it,
+// read or act on the linked student's own account, report back whether the
+// messages it was asked to send were delivered and read, and tell it what
+// happens in the conversation (events.js). Every
 // tenant decision is made server-side against the real student registry — the
-// bot never sees another university's data.
+// bot never sees another university's data. A call made for a session whose
+// tenant names a university (tenants.js) carries its `universityId`, so
+// uniportal can tell which deployment's number the student wrote to.
+
+const signing = require('./signing');
+const tenants = require('./tenants');
 
 const TIMEOUT_MS = 10000;
+const CALLBACK_ATTEMPTS = 3;
 
 // Read lazily rather than at module load, so a platform that injects env vars
 // late (or a restart after fixing them) needs no code change to take effect.
@@ -22,10 +31,28 @@ function serviceToken() {
 function missingConfig() {
   const missing = [];
   if (!baseUrl()) missing.push('UNIPORTAL_API_URL');
-  if (!serviceToken()) missing.push('UNIPORTAL_SERVICE_TOKEN');
+  if (!signing.outboundConfigured() && !serviceToken()) missing.push('UNIPORTAL_OUTBOUND_SECRETS');
   return missing;
 }
 
+/**
+ * Auth headers for one request. Signed when outbound secrets are set; until
+ * uniportal-server verifies signatures, a bot with only the old service token
+ * keeps working on it, with a warning at the first use.
+ */
+let warnedLegacy = false;
+function authHeaders(method, url, body) {
+  if (signing.outboundConfigured()) {
+    const { pathname, search } = new URL(url);
+    return signing.signRequest(method, `${pathname}${search}`, body);
+  }
+  if (!warnedLegacy) {
+    warnedLegacy = true;
+    console.warn('⚠️  UNIPORTAL_OUTBOUND_SECRETS is not set — authenticating to uniportal with the static service token.');
+  }
+  return { 'x-service-token': serviceToken() };
+}
+
 function isConfigured() {
   return missingConfig().length === 0;
 }
@@ -36,16 +63,19 @@ async function call(path, body) {
     throw new Error(`uniportal bridge not configured \u2014 missing ${missing.join(' and ')}`);
   }
 
+  const url = `${baseUrl()}${path}`;
+  const universityId = tenants.currentTenant()?.universityId;
+  const payload = JSON.stringify(universityId && body?.universityId === undefined ? { ...body, universityId } : body);
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
   try {
-    const res = await fetch(`${baseUrl()}${path}`, {
+    const res = await fetch(url, {
       method: 'POST',
       headers: {
         'content-type': 'application/json',
-        'x-service-token': serviceToken(),
+        ...authHeaders('POST', url, payload),
       },
-      body: JSON.stringify(body),
+      body: payload,
       signal: controller.signal,
     });
 
@@ -70,9 +100,14 @@ async function call(path, body) {
   }
 }
 
-/** Ask the server to mail a connection code to the student who owns `email`. */
-async function startLink(jid, email) {
-  return call('/api/v1/whatsapp/link/start', { jid, email });
+/**
+ * Ask the server to mail a connection code to the student who owns `email`.
+ * With `replace`, a number that is already linked keeps its current account
+ * until the new code is verified, then moves over — a relink that is never
+ * finished leaves the student where they were rather than disconnected.
+ */
+async function startLink(jid, email, { replace = false } = {}) {
+  return call('/api/v1/whatsapp/link/start', { jid, email, replace: replace || undefined });
 }
 
 /** Submit the six-digit code the student replied with. */
@@ -85,6 +120,11 @@ async function identify(jid) {
   return call('/api/v1/whatsapp/identify', { jid });
 }
 
+/** Disconnect this WhatsApp number from its student account. */
+async function unlink(jid) {
+  return call('/api/v1/whatsapp/unlink', { jid });
+}
+
 /**
  * The linked student's own account context, for the assistant to answer from.
  * `{ linked: false }` for an unlinked number — an unverified chat gets nothing.
@@ -99,9 +139,73 @@ async function lookup(jid, resource, query) {
   return call('/api/v1/whatsapp/lookup', { jid: jid || undefined, resource, query });
 }
 
-/** Take an action as the linked student (complete milestone, RSVP, apply...). */
-async function act(jid, action, { target, text } = {}) {
-  return call('/api/v1/whatsapp/act', { jid, action, target, text });
+/**
+ * One signed POST of `body` (a JSON string) to a full URL. Signed per call, so
+ * a retry gets a fresh nonce rather than being refused as a replay. Errors
+ * carry `.status` when the receiver answered, and `.retryable`.
+ */
+async function postSigned(url, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...authHeaders('POST', url, body) },
+      body,
+      signal: controller.signal,
+    });
+    if (res.ok) return true;
+    const err = new Error(`HTTP ${res.status}`);
+    err.status = res.status;
+    err.retryable = res.status >= 500 || res.status === 429; // anything else, the receiver rejected it
+    throw err;
+  } catch (err) {
+    if (err.retryable === undefined) err.retryable = true; // network error or timeout
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Push a delivery-status change for a message sent through /api/send to
+ * UNIPORTAL_STATUS_CALLBACK_URL, if set, signed like every other request.
+ * Retried a few times; a status that still cannot be delivered is dropped,
+ * because GET /api/messages/:id always has the current value.
+ */
+async function notifyMessageStatus(status) {
+  const url = (process.env.UNIPORTAL_STATUS_CALLBACK_URL || '').trim();
+  if (!url || !status) return false;
+
+  const body = JSON.stringify({ event: 'message.status', ...status });
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await postSigned(url, body);
+    } catch (err) {
+      if (!err.retryable || attempt >= CALLBACK_ATTEMPTS) throw err;
+    }
+    await new Promise((r) => setTimeout(r, 1000 * 2 ** (attempt - 1)));
+  }
+}
+
+/** Where conversation events go (events.js); empty when the webhook is off. */
+function webhookUrl() {
+  return (process.env.UNIPORTAL_WEBHOOK_URL || '').trim();
+}
+
+/** Deliver one conversation event envelope. Single attempt — events.js retries. */
+async function sendEvent(envelope) {
+  return postSigned(webhookUrl(), JSON.stringify(envelope));
+}
+
+/**
+ * Take an action as the linked student (complete milestone, RSVP, apply...).
+ * A send_message answering a counselor carries that message's `threadId` /
+ * `counselorId` and the WhatsApp id it quoted (`inReplyTo`), so uniportal
+ * files it in the same thread.
+ */
+async function act(jid, action, { target, text, threadId, counselorId, inReplyTo } = {}) {
+  return call('/api/v1/whatsapp/act', { jid, action, target, text, threadId, counselorId, inReplyTo });
 }
 
 /** Publish a community post authored by the linked student. */
@@ -115,8 +219,12 @@ module.exports = {
   startLink,
   verifyLink,
   identify,
+  unlink,
   context,
   lookup,
   act,
   postToCommunity,
+  notifyMessageStatus,
+  webhookUrl,
+  sendEvent,
 };